@@ -1,5 +1,6 @@
 // Central Limit Theorem Component - Complete Standalone Version
 // Converted from React TSX to vanilla JavaScript for embedding
+// Requires modules/statistics.js and modules/stat-engine.js (MathUtils) to be loaded first.
 
 (function() {
     'use strict';
@@ -16,37 +17,30 @@
     }
 
     function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
-    function mean(a) { return a.length ? a.reduce((s, v) => s + v, 0) / a.length : NaN; }
-
-    function varianceUnbiased(a) {
-        const n = a.length; 
-        if (n < 2) return NaN; 
-        const m = mean(a);
-        let s2 = 0; 
-        for (let i = 0; i < n; i++) s2 += (a[i] - m) ** 2;
-        return s2 / (n - 1);
-    }
 
-    function robustSD(a) { 
-        const v = varianceUnbiased(a); 
-        return isFinite(v) && v >= 0 ? Math.sqrt(v) : 0; 
+    function normalPdf(x, mu, sigma) { 
+        return sigma > 1e-12 ? Math.exp(-0.5 * ((x - mu) / sigma) ** 2) / (sigma * Math.sqrt(2 * Math.PI)) : 0; 
     }
 
-    function med(a) {
-        if (!a.length) return NaN; 
-        const b = a.slice().sort((x, y) => x - y);
-        const m = b.length >> 1; 
-        return b.length % 2 ? b[m] : 0.5 * (b[m - 1] + b[m]);
+    // Labels from the statistic's definition (modules/statistics.js); the engine carries the
+    // threshold and quantile level that some of them depend on
+    function statLabel(engine) { 
+        return StatisticRegistry.resolve(engine.statistic, "shortLabel", engine); 
     }
 
-    function normalPdf(x, mu, sigma) { 
-        return sigma > 1e-12 ? Math.exp(-0.5 * ((x - mu) / sigma) ** 2) / (sigma * Math.sqrt(2 * Math.PI)) : 0; 
+    function paramLabel(engine) {
+        return StatisticRegistry.resolve(engine.statistic, "parameterShortLabel", engine);
     }
 
-    function statLabel(s) { 
-        return ({ mean: "x̄", median: "Median", sd: "s", proportion: "p̂" })[s]; 
+    // Spoken form for screen-reader announcements: "sample mean", "sample SD"
+    function statName(engine) {
+        return StatisticRegistry.resolve(engine.statistic, "label", engine).replace(/\b[A-Z][a-z]+/g, (word) => word.toLowerCase());
     }
 
+    // Hypothesis test labels
+    const ALTERNATIVE_SIGNS = { twoSided: "≠", less: "<", greater: ">" };
+    function formatPValue(p) { return isNaN(p) ? "p = –" : p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(3)}`; }
+
     function validateSampleSize(n) {
         if (n < 2) return { valid: false, message: "Sample size must be at least 2" };
         if (n > 1000) return { valid: false, message: "Sample size too large (max 1000)" };
@@ -59,6 +53,10 @@
     const PAD = 16;
     const TOP_UNITS = 30, MID_UNITS = 24, BOT_UNITS = 36;
     const TOTAL_UNITS = TOP_UNITS + MID_UNITS + BOT_UNITS;
+    const MAX_STAT_VALUES = 1000000; // raw statistics kept for export
+    const QQ_POINTS = 100, SORT_LIMIT = 20000; // Q–Q plot points; kept statistics past the limit aren't sorted (bins stand in)
+    const SWEEP_STEP_MS = 1200; // time each n of a sample-size sweep stays on show while it runs or plays
+    const SWEEP_HELP = "A separate sampling distribution at each n, to step through as the spread shrinks like 1/√n.";
     const COLORS = {
         text: "#001524",
         band: "rgba(0,0,0,0.04)",
@@ -79,14 +77,20 @@
         samplingLine: "#901328",
         success: "#10B981",
         warning: "#F59E0B",
-        error: "#EF4444"
+        error: "#EF4444",
+        fit: "#FF7D00",
+        exact: "#15616D",
+        kde: "#001524",
+        cursor: "#1D4ED8",
+        rejection: "rgba(239,68,68,0.14)",
+        nullLine: "#EF4444"
     };
 
     // ============ Complete Engine Class ============
     class Engine {
         constructor(ctx) {
             this.ctx = ctx;
-            this.plotW = 960; this.gridW = 0; this.colW = 0; this.BOX = 8; this.gridX0 = 0;
+            this.plotW = 960; this.gridW = 0; this.colW = 0; this.BOX = 8; this.gridX0 = 0; this.pixelRatio = 1;
             this.H_TOP = 300; this.H_MID = 240; this.H_BOT = 360; this.marginY = 8;
             this.BOX_TOP_Y = 8; this.BOX_MID_Y = 8; this.BOX_BOT_Y = 8;
             this.popCounts = new Uint16Array(COLS);
@@ -95,22 +99,45 @@
             this.sampleParticles = []; this.statParticles = []; this.popFlashes = [];
             this.gatherParticles = []; this.gatherTarget = null; this.gathering = false;
             this.gatherStart = 0; this.gatherDur = 260; this.emissionPlan = null;
-            this.lastSample = []; this.statistic = "mean"; this.threshold = 0.5; this.speed = "normal";
+            this.statValues = [];
+            this.lastSample = []; this.statistic = "mean"; this.threshold = 0.5; this.quantileLevel = 0.5; this.speed = "normal";
             this.showParamLine = true; this.showNormalFit = false; this.rng = rngMulberry32(1234);
-            this.needsRedraw = true; this.lastGatheringSample = null;
+            // Sample size the theoretical curves describe (kept in step with the slider)
+            this.sampleSize = 30;
+            // false draws without replacement from the painted blocks as a finite population of N units
+            this.replacement = true;
+            // Kernel density curves over the sample and sampling-distribution stacks (adjust scales the rule's bandwidth)
+            this.kde = { show: false, rule: "silverman", adjust: 1 };
+            // Keyboard painting column, outlined while the canvas has focus (null hides it)
+            this.cursorCol = null;
+            // Normal Q–Q panel beside the sampling distribution (takes width from the trays)
+            this.showQQ = false; this.trayW = 960; this.qq = null;
+            // Open sample-size sweep (see startSweep), or null while the trays show the user's own runs
+            this.sweep = null;
+            // Called with each animated sample's statistic once it lands in the sampling distribution
+            this.onStatistic = null;
+            // Called with each animated sample's values as they are drawn
+            this.onSample = null;
+            // z test of each run (null while off): { nullValue, alternative: "twoSided" | "less" | "greater", alpha },
+            // with the runs tested and rejected since it was set
+            this.test = null; this.testCounts = { runs: 0, rejections: 0 };
+            this.aliasTable = null; this.unitPool = null; this.needsRedraw = true; this.lastGatheringSample = null;
             this.resetGeometry({});
         }
 
         resetGeometry({ plotW = 960, topH = 300, midH = 240, botH = 360 }) {
-            this.plotW = plotW; const innerW = plotW - 2 * PAD; this.colW = Math.floor(innerW / COLS);
+            this.plotW = plotW; this.trayW = plotW - this.qqWidth(plotW); this.qq = this.showQQ ? { x: this.trayW + this.marginY, width: plotW - this.trayW - this.marginY } : null;
+            const innerW = this.trayW - 2 * PAD; this.colW = Math.floor(innerW / COLS);
             this.BOX = Math.max(6, this.colW); this.gridW = this.BOX * COLS;
-            this.gridX0 = Math.floor((plotW - this.gridW) / 2);
+            this.gridX0 = Math.floor((this.trayW - this.gridW) / 2);
             this.H_TOP = topH; this.H_MID = midH; this.H_BOT = botH;
             this.needsRedraw = true;
         }
 
+        qqWidth(plotW) { return this.showQQ ? Math.round(clamp(plotW * 0.28, 160, 280)) : 0; }
+
         layoutFromViewport(plotW, canvasH) {
-            const innerW = Math.max(200, plotW - 2 * PAD);
+            const innerW = Math.max(200, plotW - this.qqWidth(plotW) - 2 * PAD);
             const fromWidth = Math.max(6, Math.floor(innerW / COLS));
             const fromHeight = Math.max(6, Math.floor((canvasH - 2 * 16) / TOTAL_UNITS));
             const BOX = Math.min(fromWidth, fromHeight);
@@ -118,17 +145,12 @@
             this.resetGeometry({ plotW, topH: H_TOP, midH: H_MID, botH: H_BOT });
         }
 
-        applyGenerator(name) {
-            const counts = new Uint16Array(COLS);
-            for (let c = 0; c < COLS; c++) {
-                const x = (c + 0.5) / COLS; let w = 1;
-                if (name === "normal") { const z = (x - 0.5) / 0.16; w = Math.exp(-0.5 * z * z); }
-                else if (name === "uniform") { w = 1; }
-                else if (name === "bimodal") { const z1 = (x - 0.32) / 0.07, z2 = (x - 0.72) / 0.07; w = 0.55 * Math.exp(-0.5 * z1 * z1) + 0.45 * Math.exp(-0.5 * z2 * z2); }
-                else if (name === "lognormal") { const mu = Math.log(0.3), sig = 0.6; const lx = Math.log(Math.max(1e-4, x)); const z = (lx - mu) / sig; w = Math.exp(-0.5 * z * z) / Math.max(x, 1e-4); }
-                counts[c] = Math.max(0, Math.round(w * 20));
-            }
-            this.popCounts = counts;
+        // Shapes and parameters from PopulationGenerators (modules/stat-engine.js), scaled so the
+        // tallest column is 20 blocks; missing or out-of-range parameters fall back to defaults
+        applyGenerator(name, params = {}) {
+            const { counts, params: resolved } = StatEngine.generatePopulationCounts(name, params, COLS, 20);
+            this.popCounts = Uint16Array.from(counts); this.generatorParams = resolved;
+            this.invalidateSampler();
             this.needsRedraw = true;
         }
 
@@ -143,28 +165,62 @@
             const pthr = total ? greater / total : 0; return { mu, sd: sdPop, med: medv, pthr, total };
         }
 
-        statDomain() { return this.statistic === "sd" ? { min: 0, max: 0.5 } : { min: 0, max: 1 }; }
+        statDomain() { return StatisticRegistry.resolve(this.statistic, "domain", this); }
+        // Population value of the selected statistic (θ)
+        parameter() { return StatisticRegistry.get(this.statistic).parameter(StatisticRegistry.describePopulation(this.popCounts), this); }
 
-        computeStat(xs) {
-            if (!xs.length) return NaN;
-            if (this.statistic === "mean") return mean(xs);
-            if (this.statistic === "median") return med(xs);
-            if (this.statistic === "sd") return robustSD(xs);
-            if (this.statistic === "proportion") return xs.filter((v) => v > this.threshold).length / xs.length;
-            return NaN;
+        // Mean and SD of the binned sampling distribution (as StatEngine.getSamplingDistributionStats)
+        getSamplingDistributionStats() {
+            const dom = this.statDomain(); let total = 0, mean = 0;
+            for (let b = 0; b < STAT_BINS; b++) { const w = this.botCounts[b]; total += w; const x01 = (b + 0.5) / STAT_BINS; const val = dom.min + x01 * (dom.max - dom.min); mean += w * val; }
+            let sd = 0; if (total) { mean /= total; let s2 = 0; for (let b = 0; b < STAT_BINS; b++) { const w = this.botCounts[b]; const x01 = (b + 0.5) / STAT_BINS; const val = dom.min + x01 * (dom.max - dom.min); s2 += w * (val - mean) * (val - mean); } sd = Math.sqrt(Math.max(0, s2 / Math.max(1, total))); }
+            return { total, mean, sd };
         }
 
+        computeStat(xs) { return xs.length ? StatisticRegistry.get(this.statistic).compute(xs, this) : NaN; }
+
+        // Alias table and unit pool are rebuilt on the next draw after any population change; θ and
+        // the null SE move with the population, so the rejection counts restart too
+        invalidateSampler() { this.aliasTable = null; this.unitPool = null; this.resetTestCounts(); }
+
         sampleN(n) {
-            const rng = this.rng, weights = this.popCounts; let total = 0; for (let i = 0; i < COLS; i++) total += weights[i];
+            if (!this.replacement) return this.sampleWithoutReplacement(n);
+            const rng = this.rng; if (!this.aliasTable) this.aliasTable = MathUtils.buildAliasTable(this.popCounts); const table = this.aliasTable;
             const xs = new Array(n), cols = new Array(n);
-            if (total === 0) {
+            if (!table) {
                 for (let i = 0; i < n; i++) { const col = Math.floor(rng() * COLS); cols[i] = col; xs[i] = (col + 0.5) / COLS; }
             } else {
-                for (let i = 0; i < n; i++) { let target = rng() * total, acc = 0, chosen = COLS >> 1; for (let c = 0; c < COLS; c++) { acc += weights[c]; if (target <= acc) { chosen = c; break; } } cols[i] = chosen; xs[i] = (chosen + 0.5) / COLS; }
+                for (let i = 0; i < n; i++) { const chosen = MathUtils.sampleAlias(table, rng); cols[i] = chosen; xs[i] = (chosen + 0.5) / COLS; }
             }
             return { xs, cols };
         }
 
+        // One entry per painted block (its column), for sampling real units
+        getUnitPool() {
+            if (!this.unitPool) { const pool = new Uint32Array(this.popStats.total); let k = 0; for (let c = 0; c < COLS; c++) for (let r = 0; r < this.popCounts[c]; r++) pool[k++] = c; this.unitPool = pool; }
+            return this.unitPool;
+        }
+
+        // Partial Fisher–Yates over the unit pool (as StatEngine.drawSampleWithoutReplacement): no block is drawn twice within a sample
+        sampleWithoutReplacement(n) {
+            const pool = this.getUnitPool(), total = pool.length, rng = this.rng; const xs = new Array(n), cols = new Array(n);
+            for (let i = 0; i < n; i++) { const j = i + Math.floor(rng() * (total - i)); const col = pool[j]; pool[j] = pool[i]; pool[i] = col; cols[i] = col; xs[i] = (col + 0.5) / COLS; }
+            return { xs, cols };
+        }
+
+        // Without replacement n can't exceed the N painted blocks
+        validateSampleSize(n) {
+            const check = validateSampleSize(n); if (!check.valid || this.replacement) return check;
+            const total = this.popStats.total;
+            return n > total ? { valid: false, message: `Sample size ${n} exceeds the population size N = ${total} (sampling without replacement)` } : check;
+        }
+
+        // Finite population correction √((N − n)/(N − 1)); 1 when sampling with replacement
+        finitePopulationCorrection(n = this.sampleSize) {
+            if (this.replacement) return 1;
+            const total = this.popStats.total; return total > 1 ? Math.sqrt(Math.max(0, total - n) / (total - 1)) : 0;
+        }
+
         hasActiveAnimations() {
             return this.emissionPlan || this.sampleParticles.length || this.statParticles.length || this.gathering || this.popFlashes.length || this.gatherParticles.length;
         }
@@ -219,14 +275,14 @@
                     const level = (this.botCounts[this.gatherTarget.bin] || 0) + inflightForBin;
                     const targetY = botBase - level * this.BOX_BOT_Y - this.BOX_BOT_Y / 2;
                     const xCenter = this.gridX0 + this.gatherTarget.bin * this.BOX + this.BOX / 2;
-                    this.statParticles.push({ x: xCenter, y: this.gatherTarget.y, vy: 0, targetY, bin: this.gatherTarget.bin });
+                    this.statParticles.push({ x: xCenter, y: this.gatherTarget.y, vy: 0, targetY, bin: this.gatherTarget.bin, value: this.gatherTarget.value });
                     this.gathering = false; this.gatherTarget = null; this.gatherParticles = []; this.lastGatheringSample = null;
                 }
             }
             
             if (this.statParticles.length) {
                 const survivors = [];
-                for (const p of this.statParticles) { p.vy += g * dt; p.y = Math.min(p.y + p.vy * dt, p.targetY); if (p.y < p.targetY - 0.1) survivors.push(p); else this.botCounts[p.bin] = (this.botCounts[p.bin] || 0) + 1; }
+                for (const p of this.statParticles) { p.vy += g * dt; p.y = Math.min(p.y + p.vy * dt, p.targetY); if (p.y < p.targetY - 0.1) survivors.push(p); else { this.botCounts[p.bin] = (this.botCounts[p.bin] || 0) + 1; this.onStatistic?.(p.value); } }
                 this.statParticles = survivors;
             }
             this.popFlashes = this.popFlashes.filter((f) => f.until > now);
@@ -239,6 +295,17 @@
         colLeft(col) { return this.gridX0 + col * this.BOX; }
         colCenter(col) { return this.gridX0 + col * this.BOX + this.BOX / 2; }
 
+        // Device pixels: drawing is in CSS pixels on a backing store pixelRatio times larger;
+        // snapping edges to device pixels keeps blocks, ticks and lines sharp at fractional ratios
+        snap(v) { return Math.round(v * this.pixelRatio) / this.pixelRatio; }
+        hairline() { return Math.max(1, Math.round(this.pixelRatio)) / this.pixelRatio; }
+        crispRect(ctx, x, y, w, h) { const x0 = this.snap(x), y0 = this.snap(y); ctx.fillRect(x0, y0, Math.max(this.hairline(), this.snap(x + w) - x0), Math.max(this.hairline(), this.snap(y + h) - y0)); }
+        crispLineX(x, lineWidth) { const w = lineWidth * this.pixelRatio; return (Math.round(x * this.pixelRatio - w / 2) + w / 2) / this.pixelRatio; }
+
+        // Figure export (modules/figure-export.js): one draw into another context with the current layout
+        figureSize() { return { width: this.plotW, height: this.H_TOP + this.H_MID + this.H_BOT + 2 * this.marginY }; }
+        drawTo(ctx, pixelRatio = 1) { const screen = { ctx: this.ctx, pixelRatio: this.pixelRatio, cursorCol: this.cursorCol }; this.ctx = ctx; this.pixelRatio = pixelRatio; this.cursorCol = null; this.needsRedraw = true; try { this.draw(); } finally { Object.assign(this, screen); this.needsRedraw = true; } }
+
         // Complete draw method with all original functionality
         draw() {
             if (!this.ctx || !this.needsRedraw) return; 
@@ -249,16 +316,17 @@
             const maxOf = (arr) => arr.reduce((m, v) => (v > m ? v : m), 0);
             const scaleTop = (() => { const need = maxOf(this.popCounts) * this.BOX; return need > 0 ? Math.min(1, (this.H_TOP - 28) / need) : 1; })();
             const scaleMid = (() => { const need = maxOf(this.midCounts) * this.BOX; return need > 0 ? Math.min(1, (this.H_MID - 28) / need) : 1; })();
-            const scaleBot = (() => { const need = maxOf(this.botCounts) * this.BOX; return need > 0 ? Math.min(1, (this.H_BOT - 28) / need) : 1; })();
+            const overlays = this.showNormalFit ? this.theoreticalOverlays() : [];
+            const scaleBot = (() => { const need = Math.max(maxOf(this.botCounts), ...overlays.map((o) => o.peak)) * this.BOX; return need > 0 ? Math.min(1, (this.H_BOT - 28) / need) : 1; })();
             this.BOX_TOP_Y = this.BOX * scaleTop; this.BOX_MID_Y = this.BOX * scaleMid; this.BOX_BOT_Y = this.BOX * scaleBot;
 
-            const drawTray = (y, h, title) => {
-                ctx.fillStyle = COLORS.band; ctx.fillRect(0, y, this.plotW, h);
+            const drawTray = (y, h, title, dom = { min: 0, max: 1 }) => {
+                ctx.fillStyle = COLORS.band; ctx.fillRect(0, y, this.trayW, h);
                 ctx.fillStyle = COLORS.text; ctx.font = "600 18px Inter, system-ui, sans-serif"; ctx.textAlign = "left"; ctx.fillText(title, this.gridX0, y + 22);
                 ctx.fillStyle = COLORS.tick; const x0 = this.gridX0, effW = this.BOX * COLS;
-                for (let t = 0; t <= 10; t++) { const xpx = x0 + effW * (t / 10); ctx.fillRect(Math.round(xpx), y + h - 12, 1, 8); }
+                for (let t = 0; t <= 10; t++) { const xpx = x0 + effW * (t / 10); this.crispRect(ctx, xpx, y + h - 12, this.hairline(), 8); }
                 ctx.fillStyle = "#475569"; ctx.font = "13px Inter, system-ui, sans-serif"; ctx.textAlign = "center";
-                ctx.fillText("0", x0, y + h - 2); ctx.fillText("1", x0 + effW, y + h - 2); ctx.textAlign = "left";
+                ctx.fillText(String(dom.min), x0, y + h - 2); ctx.fillText(String(dom.max), x0 + effW, y + h - 2); ctx.textAlign = "left";
             };
 
             const drawStacks = (counts, yBottom, boxH, fill, top) => {
@@ -266,8 +334,8 @@
                     const stack = counts[c] || 0; if (!stack) continue; const xL = this.colLeft(c);
                     for (let r = 0; r < stack; r++) {
                         const y = yBottom - r * boxH - boxH / 2;
-                        ctx.fillStyle = fill; ctx.fillRect(Math.floor(xL), Math.floor(y - boxH / 2), Math.ceil(this.BOX), Math.ceil(boxH));
-                        ctx.fillStyle = top; ctx.fillRect(Math.floor(xL), Math.floor(y - boxH / 2), Math.ceil(this.BOX), 1);
+                        ctx.fillStyle = fill; this.crispRect(ctx, Math.floor(xL), Math.floor(y - boxH / 2), Math.ceil(this.BOX), Math.ceil(boxH));
+                        ctx.fillStyle = top; this.crispRect(ctx, Math.floor(xL), Math.floor(y - boxH / 2), Math.ceil(this.BOX), this.hairline());
                     }
                 }
             };
@@ -275,40 +343,46 @@
             // Population tray
             drawTray(yTop, this.H_TOP, "Population Distribution");
             const topBase = yTop + this.H_TOP - 8; drawStacks(this.popCounts, topBase, this.BOX_TOP_Y, COLORS.popFill, COLORS.popTop);
-            for (const f of this.popFlashes) { const x = this.colLeft(f.col); ctx.fillStyle = COLORS.flash; ctx.fillRect(Math.floor(x), Math.floor(f.y - this.BOX_TOP_Y / 2), Math.ceil(this.BOX), Math.ceil(this.BOX_TOP_Y)); }
+            for (const f of this.popFlashes) { const x = this.colLeft(f.col); ctx.fillStyle = COLORS.flash; this.crispRect(ctx, Math.floor(x), Math.floor(f.y - this.BOX_TOP_Y / 2), Math.ceil(this.BOX), Math.ceil(this.BOX_TOP_Y)); }
             const { mu, sd: sdPop } = this.popStats; ctx.fillStyle = COLORS.text; ctx.font = "600 18px Inter, system-ui, sans-serif"; ctx.textAlign = "right"; ctx.fillText(`μ = ${mu.toFixed(3)}`, this.gridX0 + this.gridW, yTop + 40); ctx.fillText(`σ = ${sdPop.toFixed(3)}`, this.gridX0 + this.gridW, yTop + 60); ctx.textAlign = "left";
+            if (this.cursorCol !== null) this.drawCursor(yTop + 28, topBase);
 
             // Sample tray
             drawTray(yMid, this.H_MID, "Sample Distribution");
             const midBase = yMid + this.H_MID - 16; drawStacks(this.midCounts, midBase, this.BOX_MID_Y, COLORS.midFill, COLORS.midTop);
 
             // Sampling distribution
-            const dom = this.statDomain(); let total = 0, m = 0;
-            for (let b = 0; b < STAT_BINS; b++) { const w = this.botCounts[b]; total += w; const x01 = (b + 0.5) / STAT_BINS; const val = dom.min + x01 * (dom.max - dom.min); m += w * val; }
-            let sHat = 0; if (total) { m /= total; let s2 = 0; for (let b = 0; b < STAT_BINS; b++) { const w = this.botCounts[b]; const x01 = (b + 0.5) / STAT_BINS; const val = dom.min + x01 * (dom.max - dom.min); s2 += w * (val - m) * (val - m); } sHat = Math.sqrt(Math.max(0, s2 / Math.max(1, total))); }
-            const bottomTitle = `Sampling Distribution of the ${statLabel(this.statistic)}`;
-            const yBotBase = yBot + this.H_BOT - 16; drawTray(yBot, this.H_BOT, bottomTitle);
+            const { total, mean: m, sd: sHat } = this.getSamplingDistributionStats();
+            const sweepNote = this.sweep?.index >= 0 ? ` · n = ${this.sampleSize} (${this.sweep.index + 1} of ${this.sweep.sizes.length})` : "";
+            const bottomTitle = `Sampling Distribution of the ${statLabel(this)}${sweepNote}`;
+            const yBotBase = yBot + this.H_BOT - 16; drawTray(yBot, this.H_BOT, bottomTitle, this.statDomain());
 
+            const region = this.rejectionRegion(); if (region) this.drawRejectionRegion(region, yBot, yBotBase);
+            const statsLines = [];
             if (total > 0) {
                 ctx.fillStyle = COLORS.text; ctx.font = "600 18px Inter, system-ui, sans-serif"; ctx.textAlign = "left"; ctx.fillText(`runs = ${total}`, this.gridX0, yBot + 40);
-                ctx.textAlign = "right";
-                const muLabel = this.statistic === "mean" ? "E[x̄]" : this.statistic === "median" ? "E[Median]" : this.statistic === "sd" ? "E[s]" : "E[p̂]";
-                const sigmaLabel = this.statistic === "mean" ? "SD[x̄]" : this.statistic === "median" ? "SD[Median]" : this.statistic === "sd" ? "SD[s]" : "SD[p̂]";
-                ctx.fillText(`${muLabel} = ${m.toFixed(3)}`, this.gridX0 + this.gridW, yBot + 40);
-                ctx.fillText(`${sigmaLabel} = ${sHat.toFixed(3)}`, this.gridX0 + this.gridW, yBot + 60);
-                ctx.textAlign = "left";
+                const label = statLabel(this); statsLines.push(`E[${label}] = ${m.toFixed(3)}`, `SD[${label}] = ${sHat.toFixed(3)}`);
+                const normality = this.normalityDiagnostics(total);
+                if (normality) statsLines.push(`skewness = ${normality.skewness.toFixed(3)}`, `excess kurtosis = ${normality.kurtosis.toFixed(3)}`, `vs ${normality.reference}: KS = ${normality.ks.toFixed(3)}, A² = ${normality.ad.toFixed(2)}`);
             }
+            if (this.test) statsLines.push(...this.testSummaryLines(region));
+            ctx.fillStyle = COLORS.text; ctx.font = "600 18px Inter, system-ui, sans-serif"; ctx.textAlign = "right";
+            statsLines.forEach((line, i) => ctx.fillText(line, this.gridX0 + this.gridW, yBot + 40 + 20 * i));
+            ctx.textAlign = "left";
 
             for (let b = 0; b < STAT_BINS; b++) {
                 const stack = this.botCounts[b] || 0; if (!stack) continue; const x = this.gridX0 + b * this.BOX + this.BOX / 2;
                 for (let r = 0; r < stack; r++) {
                     const y = yBotBase - r * this.BOX_BOT_Y - this.BOX_BOT_Y / 2;
-                    ctx.fillStyle = COLORS.botFill; ctx.fillRect(Math.floor(x - this.BOX / 2), Math.floor(y - this.BOX_BOT_Y / 2), Math.ceil(this.BOX), Math.ceil(this.BOX_BOT_Y));
-                    ctx.fillStyle = COLORS.botTop; ctx.fillRect(Math.floor(x - this.BOX / 2), Math.floor(y - this.BOX_BOT_Y / 2), Math.ceil(this.BOX), 1);
+                    ctx.fillStyle = COLORS.botFill; this.crispRect(ctx, Math.floor(x - this.BOX / 2), Math.floor(y - this.BOX_BOT_Y / 2), Math.ceil(this.BOX), Math.ceil(this.BOX_BOT_Y));
+                    ctx.fillStyle = COLORS.botTop; this.crispRect(ctx, Math.floor(x - this.BOX / 2), Math.floor(y - this.BOX_BOT_Y / 2), Math.ceil(this.BOX), this.hairline());
                 }
             }
 
-            const drawRect = (x, y, w, h, fill, top) => { ctx.fillStyle = fill; ctx.fillRect(Math.floor(x - w / 2), Math.floor(y - h / 2), Math.ceil(w), Math.ceil(h)); ctx.fillStyle = top; ctx.fillRect(Math.floor(x - w / 2), Math.floor(y - h / 2), Math.ceil(w), 1); };
+            for (const o of overlays) this.drawOverlay(o, yBotBase);
+            overlays.forEach((o, i) => { const y = yBot + 66 + i * 18; ctx.save(); ctx.strokeStyle = o.color; ctx.lineWidth = 2; ctx.setLineDash(o.dash); ctx.beginPath(); ctx.moveTo(this.gridX0, y - 4); ctx.lineTo(this.gridX0 + 20, y - 4); ctx.stroke(); ctx.fillStyle = COLORS.text; ctx.font = "12px Inter, system-ui, sans-serif"; ctx.textAlign = "left"; ctx.fillText(o.label, this.gridX0 + 26, y); ctx.restore(); });
+
+            const drawRect = (x, y, w, h, fill, top) => { ctx.fillStyle = fill; this.crispRect(ctx, Math.floor(x - w / 2), Math.floor(y - h / 2), Math.ceil(w), Math.ceil(h)); ctx.fillStyle = top; this.crispRect(ctx, Math.floor(x - w / 2), Math.floor(y - h / 2), Math.ceil(w), this.hairline()); };
             
             // Draw animated particles
             for (const p of this.sampleParticles) drawRect(p.x, p.y, this.BOX, this.BOX_MID_Y, COLORS.midFill, COLORS.midTop);
@@ -321,40 +395,188 @@
                 }
             }
             
+            // Density curves sit in front of blocks and falling particles
+            if (this.kde.show) { this.drawKDE(this.midCounts, { min: 0, max: 1 }, yMid, midBase, this.BOX_MID_Y); this.drawKDE(this.botCounts, this.statDomain(), yBot, yBotBase, this.BOX_BOT_Y); }
+            
+            if (this.qq) this.drawQQ(yBot, { total, mean: m, sd: sHat });
+            
             // Enhanced Lines System with Smart Positioning
             this.drawEnhancedLines(ctx, yMid, yBot, midBase, yBotBase);
+            if (region) this.drawTestLines(ctx, yBot, yBotBase);
             
             this.needsRedraw = false;
         }
 
+        // The statistic's standard error from its definition (× FPC without replacement), as
+        // StatEngine.getTheoreticalSE; NaN when it has none, or none for this sampling scheme
+        theoreticalSE(n = this.sampleSize) {
+            const definition = StatisticRegistry.get(this.statistic);
+            if (!definition.standardError || (!this.replacement && !definition.finitePopulationCorrection)) return NaN;
+            return definition.standardError(StatisticRegistry.describePopulation(this.popCounts), n, this) * this.finitePopulationCorrection(n);
+        }
+
+        // N(θ, SE) from the population; null for statistics without a standard error
+        cltNormal() { const se = this.theoreticalSE(); return se > 0 ? { mean: this.parameter(), sd: se } : null; }
+
+        // ============ Hypothesis Test ============
+        // Each run's statistic against H₀: θ = θ₀ as a z test. The null SE is the definition's
+        // nullStandardError where it has one (√(θ₀(1 − θ₀)/n) for the proportion), else its SE
+        // at the population, as StatEngine.getNullStandardError; statistics with neither have no test
+        setTest(test) { this.test = test; this.resetTestCounts(); this.needsRedraw = true; }
+        // Counts only mean something for one rejection region: called whenever n, the population, the statistic or its settings change
+        resetTestCounts() { this.testCounts = { runs: 0, rejections: 0 }; this.needsRedraw = true; }
+        nullSE() {
+            const definition = StatisticRegistry.get(this.statistic), n = this.sampleSize;
+            if (!definition.nullStandardError) return this.theoreticalSE(n);
+            return definition.nullStandardError(this.test.nullValue, StatisticRegistry.describePopulation(this.popCounts), n, this) * this.finitePopulationCorrection(n);
+        }
+        rejectionRegion() { return this.test ? MathUtils.zRejectionRegion(this.test.nullValue, this.nullSE(), this.test.alternative, this.test.alpha) : null; }
+        pValue(v) { return MathUtils.zTestPValue(v, this.test.nullValue, this.nullSE(), this.test.alternative); }
+        recordTest(v, region = this.rejectionRegion()) { if (!region || isNaN(v)) return; this.testCounts.runs++; if (MathUtils.isRejected(v, region)) this.testCounts.rejections++; }
+
+        // "H₀: μ = 0.5, H₁: μ ≠ 0.5, α = 0.05" and the rejection rate so far at the population's θ
+        // (the Type I error rate when θ = θ₀, power otherwise)
+        testSummaryLines(region) {
+            if (!region) return [`No z test for the ${statName(this)}`];
+            const { nullValue, alternative, alpha } = this.test; const { runs, rejections } = this.testCounts;
+            const theta = paramLabel(this); const parameter = this.parameter();
+            const lines = [`H₀: ${theta} = ${nullValue}, H₁: ${theta} ${ALTERNATIVE_SIGNS[alternative]} ${nullValue}, α = ${alpha}`];
+            if (runs) lines.push(`Rejection rate = ${(rejections / runs * 100).toFixed(1)}% (${rejections} / ${runs}) at ${theta} = ${parameter.toFixed(3)}`);
+            return lines;
+        }
+
+        // Shades the statistic values the test rejects
+        drawRejectionRegion(region, yBot, yBotBase) {
+            const ctx = this.ctx; const top = yBot + 32; const left = this.gridX0, right = this.gridX0 + this.gridW;
+            const fill = (x0, x1) => { if (x1 > x0) ctx.fillRect(x0, top, x1 - x0, yBotBase - top); };
+            ctx.save(); ctx.fillStyle = COLORS.rejection;
+            if (region.lower !== null) fill(left, this.statX(region.lower));
+            if (region.upper !== null) fill(this.statX(region.upper), right);
+            ctx.restore();
+        }
+
+        // H₀ and the latest sample's statistic, with its p-value, over the sampling distribution
+        drawTestLines(ctx, yBot, yBotBase) {
+            this.drawEnhancedLine(ctx, this.statX(this.test.nullValue), yBot + 52, yBotBase - 8, COLORS.nullLine, "H₀", yBot + 64, 'null');
+            const sample = this.lastSample.length ? this.lastSample : (this.lastGatheringSample || []); if (!sample.length) return;
+            const v = this.computeStat(sample); if (isNaN(v)) return;
+            this.drawEnhancedLine(ctx, this.statX(v), yBot + 70, yBotBase - 8, COLORS.sampleMean, `${statLabel(this)} (${formatPValue(this.pValue(v))})`, yBot + 82, 'sample');
+        }
+
+        statX(v) { const dom = this.statDomain(); return this.gridX0 + clamp((v - dom.min) / (dom.max - dom.min), 0, 1) * this.gridW; }
+
+        // Normality diagnostics of the runs, against the CLT normal where there is one (else a fitted normal)
+        normalityDiagnostics(total) {
+            const clt = this.cltNormal(); const normal = clt && clt.sd > 0 ? clt : null; const sorted = this.sortedStats(total);
+            const result = sorted ? MathUtils.normalityDiagnostics(sorted, normal) : MathUtils.binnedNormalityDiagnostics(this.botCounts, this.statDomain(), normal);
+            if (result) result.reference = normal ? `N(${paramLabel(this)}, SE)` : "fitted normal";
+            return result;
+        }
+
+        // Theoretical curves over the sampling distribution in expected counts per bin (the tallest
+        // fills the tray before any runs): CLT normal from the population, normal fit to the runs,
+        // and the exact distribution (i.i.d. draws, so only with replacement) when modules/statistics.js has one
+        theoreticalOverlays() {
+            const dom = this.statDomain(); const binW = (dom.max - dom.min) / STAT_BINS; const n = this.sampleSize; const overlays = [];
+            const normal = (mu, sd, label, color, dash) => { if (sd > 0) overlays.push({ label, color, dash, probability: (x) => normalPdf(x, mu, sd) * binW, peak: binW / (sd * Math.sqrt(2 * Math.PI)) }); };
+            const clt = this.cltNormal();
+            const fpc = this.replacement ? "" : " × FPC";
+            if (clt) normal(clt.mean, clt.sd, `CLT: N(${paramLabel(this)}, SE${fpc} = ${clt.sd.toFixed(3)})`, COLORS.normal, []);
+            const runs = this.getSamplingDistributionStats();
+            if (runs.total > 1) normal(runs.mean, runs.sd, "Normal fit to the runs", COLORS.fit, [6, 4]);
+
+            const definition = this.replacement ? StatisticRegistry.get(this.statistic) : null;
+            const key = [this.statistic, n, this.threshold, this.quantileLevel, this.popCounts.join(",")].join("|");
+            if (definition?.exactDistribution && this.exactCache?.key !== key) {
+                const exact = definition.exactDistribution(this.popCounts, n, this); let bins = null;
+                if (exact) { bins = new Float64Array(STAT_BINS); for (let i = 0; i < exact.values.length; i++) { const x01 = clamp((exact.values[i] - dom.min) / (dom.max - dom.min), 0, 1); bins[clamp(Math.floor(x01 * STAT_BINS), 0, STAT_BINS - 1)] += exact.probabilities[i]; } }
+                this.exactCache = { key, bins };
+            }
+            const bins = definition?.exactDistribution ? this.exactCache.bins : null;
+            if (bins) overlays.push({ label: `Exact, n = ${n}`, color: COLORS.exact, dash: [], bins, peak: Math.max(...bins) });
+
+            if (!overlays.length) return overlays;
+            const scale = runs.total || (this.H_BOT - 28) / this.BOX / Math.max(...overlays.map((o) => o.peak));
+            for (const o of overlays) { o.scale = scale; o.peak *= scale; }
+            return overlays;
+        }
+
+        // Densities as smooth curves, binned probabilities as a step outline
+        drawOverlay(o, yBase) {
+            const ctx = this.ctx; const dom = this.statDomain(); const h = this.BOX_BOT_Y * o.scale;
+            ctx.save(); ctx.strokeStyle = o.color; ctx.lineWidth = 2; ctx.setLineDash(o.dash); ctx.beginPath();
+            if (o.bins) { ctx.moveTo(this.gridX0, yBase); o.bins.forEach((p, b) => { ctx.lineTo(this.colLeft(b), yBase - p * h); ctx.lineTo(this.colLeft(b + 1), yBase - p * h); }); ctx.lineTo(this.colLeft(STAT_BINS), yBase); }
+            else { for (let px = 0; px <= this.gridW; px += 2) { const y = yBase - o.probability(dom.min + (px / this.gridW) * (dom.max - dom.min)) * h; if (px === 0) ctx.moveTo(this.gridX0 + px, y); else ctx.lineTo(this.gridX0 + px, y); } }
+            ctx.stroke(); ctx.restore();
+        }
+
+        // Kept statistics in ascending order (re-sorted only when the count changes); null unless every run was kept
+        sortedStats(total) {
+            if (this.statValues.length !== total || total > SORT_LIMIT) return null;
+            if (!(this.sortedCache?.source === this.statValues && this.sortedCache.length === total)) this.sortedCache = { source: this.statValues, length: total, sorted: Float64Array.from(this.statValues).sort() };
+            return this.sortedCache.sorted;
+        }
+
+        // Normal Q–Q points at probabilities (i − ½)/k: sorted statistics when there are, else interpolated within the bins; null before three runs
+        normalQuantilePairs(total) {
+            if (total < 3) return null;
+            const k = Math.min(QQ_POINTS, total); const theoretical = new Float64Array(k), sample = new Float64Array(k);
+            const sorted = this.sortedStats(total);
+            const dom = this.statDomain(); const binW = (dom.max - dom.min) / STAT_BINS; let bin = 0, below = 0;
+            for (let i = 0; i < k; i++) {
+                const p = (i + 0.5) / k; theoretical[i] = MathUtils.normalQuantile(p);
+                if (sorted) { const s = sorted; const h = clamp(p * total - 0.5, 0, total - 1), lo = Math.floor(h); sample[i] = s[lo] + (h - lo) * (s[Math.min(lo + 1, total - 1)] - s[lo]); continue; }
+                const rank = p * total; while (bin < STAT_BINS - 1 && below + this.botCounts[bin] < rank) below += this.botCounts[bin++];
+                sample[i] = dom.min + (bin + (this.botCounts[bin] ? (rank - below) / this.botCounts[bin] : 0.5)) * binW;
+            }
+            return { theoretical, sample };
+        }
+
+        // Q–Q panel: statistics' quantiles against z, with the line mean + SD·z they straighten onto as n grows
+        drawQQ(y, runs) {
+            const ctx = this.ctx; const { x, width } = this.qq; const height = this.H_BOT;
+            const left = x + 44, right = x + width - 12, top = y + 36, bottom = y + height - 34;
+            ctx.save(); ctx.fillStyle = COLORS.band; ctx.fillRect(x, y, width, height);
+            ctx.fillStyle = COLORS.text; ctx.font = "600 18px Inter, system-ui, sans-serif"; ctx.textAlign = "left"; ctx.fillText("Normal Q–Q", x + 12, y + 22);
+            const pairs = this.normalQuantilePairs(runs.total);
+            ctx.fillStyle = "#475569"; ctx.font = "13px Inter, system-ui, sans-serif"; ctx.textAlign = "center";
+            if (!pairs || !(runs.sd > 0)) { ctx.fillText("Needs three or more runs", (left + right) / 2, (top + bottom) / 2); ctx.restore(); return; }
+            const k = pairs.theoretical.length; const zMax = Math.max(2, Math.ceil(-pairs.theoretical[0])); const line = (z) => runs.mean + runs.sd * z;
+            let vMin = Math.min(pairs.sample[0], line(-zMax)), vMax = Math.max(pairs.sample[k - 1], line(zMax)); const margin = (vMax - vMin) * 0.04 || 0.5; vMin -= margin; vMax += margin;
+            const px = (z) => left + (z + zMax) / (2 * zMax) * (right - left); const py = (v) => bottom - (v - vMin) / (vMax - vMin) * (bottom - top);
+            for (let z = -zMax; z <= zMax; z++) { ctx.fillStyle = COLORS.tick; this.crispRect(ctx, px(z), top, this.hairline(), bottom - top); ctx.fillStyle = "#475569"; ctx.fillText(String(z), px(z), bottom + 16); }
+            ctx.fillText("Normal quantile (z)", (left + right) / 2, y + height - 2);
+            ctx.textAlign = "right"; ctx.fillText(String(+(vMax - margin).toFixed(2)), left - 6, top + 8); ctx.fillText(String(+(vMin + margin).toFixed(2)), left - 6, bottom);
+            ctx.strokeStyle = COLORS.normal; ctx.lineWidth = 2; ctx.beginPath(); ctx.moveTo(px(-zMax), py(line(-zMax))); ctx.lineTo(px(zMax), py(line(zMax))); ctx.stroke();
+            ctx.fillStyle = COLORS.botFill; for (let i = 0; i < k; i++) { ctx.beginPath(); ctx.arc(px(pairs.theoretical[i]), py(pairs.sample[i]), 2.5, 0, 2 * Math.PI); ctx.fill(); }
+            ctx.restore();
+        }
+
+        // Gaussian KDE of a tray's histogram in blocks per bin, masked (RenderUtils) where it crosses blocks or particles
+        drawKDE(counts, dom, trayY, yBase, boxH) {
+            const binW = (dom.max - dom.min) / counts.length; const centers = Array.from(counts, (_, b) => dom.min + (b + 0.5) * binW);
+            const h = MathUtils.kdeBandwidth(centers, counts, this.kde.rule) * this.kde.adjust; if (!(h > 0)) return;
+            let total = 0; for (let b = 0; b < counts.length; b++) total += counts[b];
+            const at = []; for (let px = 0; px <= this.gridW; px += 2) at.push(dom.min + (px / this.gridW) * (dom.max - dom.min));
+            const density = MathUtils.kernelDensity(centers, counts, h, at);
+            const points = at.map((_, i) => ({ x: this.gridX0 + i * 2, y: Math.max(trayY + 28, yBase - density[i] * binW * total * boxH) }));
+            const covered = (x, y) => { const b = Math.floor((x - this.gridX0) / this.BOX); return (b >= 0 && b < counts.length && y <= yBase && y >= yBase - counts[b] * boxH) || this.checkParticleAtPosition(x, y); };
+            const ctx = this.ctx;
+            if (window.RenderUtils) RenderUtils.drawCurveWithMasking(ctx, points, COLORS.kde, covered);
+            else { ctx.save(); ctx.strokeStyle = COLORS.kde; ctx.lineWidth = 2; ctx.beginPath(); points.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)); ctx.stroke(); ctx.restore(); }
+            ctx.save(); ctx.fillStyle = COLORS.kde; ctx.font = "12px Inter, system-ui, sans-serif"; ctx.textAlign = "right"; ctx.fillText(`KDE · ${this.kde.rule === "scott" ? "Scott" : "Silverman"} h = ${h.toPrecision(2)}`, this.gridX0 + this.gridW, trayY + 20); ctx.restore();
+        }
+
         drawEnhancedLines(ctx, yMid, yBot, midBase, yBotBase) {
             if (!this.showParamLine) return;
             
-            // Get parameter value based on current statistic
-            let paramValue = this.popStats.mu;
-            let paramLabel = "μ";
-            let paramColor = COLORS.paramLine || "#15616D";
-            
-            if (this.statistic === "median") {
-                paramValue = this.popStats.median;
-                paramLabel = "μ̃";
-            } else if (this.statistic === "sd") {
-                paramValue = this.popStats.sd;
-                paramLabel = "σ";
-                paramColor = "#901328";
-            } else if (this.statistic === "proportion") {
-                paramValue = this.popStats.proportion;
-                paramLabel = "π";
-                paramColor = "#FF7D00";
-            }
-            
-            // Calculate domain for statistic
-            const domain = this.statistic === "sd" ? { min: 0, max: 0.5 } : { min: 0, max: 1 };
-            const proportion = Math.max(0, Math.min(1, (paramValue - domain.min) / (domain.max - domain.min)));
+            const paramColor = COLORS.paramLine || "#15616D";
+            const domain = this.statDomain();
+            const proportion = Math.max(0, Math.min(1, (this.parameter() - domain.min) / (domain.max - domain.min)));
             const lineX = this.gridX0 + proportion * this.gridW;
             
             // Draw enhanced parameter line in sample section - keep label position stable
-            this.drawEnhancedLine(ctx, lineX, yMid + 32, midBase - 8, paramColor, paramLabel, yMid + 46, 'parameter');
+            this.drawEnhancedLine(ctx, lineX, yMid + 32, midBase - 8, paramColor, paramLabel(this), yMid + 46, 'parameter');
             
             // Draw enhanced parameter line in sampling distribution section (no label to avoid clutter)
             this.drawEnhancedLine(ctx, lineX, yBot + 32, yBotBase - 8, paramColor, null, null, 'parameter');
@@ -365,12 +587,8 @@
                 const sampleProportion = Math.max(0, Math.min(1, (sampleStat - domain.min) / (domain.max - domain.min)));
                 const sampleX = this.gridX0 + sampleProportion * this.gridW;
                 
-                let sampleLabel = this.statistic === "mean" ? "x̄" : 
-                                this.statistic === "median" ? "med" : 
-                                this.statistic === "sd" ? "s" : "p̂";
-                
                 // Draw sample statistic line in middle section with stable label position
-                this.drawEnhancedLine(ctx, sampleX, yMid + 32, midBase - 8, COLORS.sampleMean || "#FF7D00", sampleLabel, yMid + 66, 'sample');
+                this.drawEnhancedLine(ctx, sampleX, yMid + 32, midBase - 8, COLORS.sampleMean || "#FF7D00", statLabel(this), yMid + 66, 'sample');
             }
             
             // Add sampling distribution mean line if we have sampling data
@@ -394,12 +612,8 @@
                 const samplingProportion = Math.max(0, Math.min(1, (samplingMean - domain.min) / (domain.max - domain.min)));
                 const samplingX = this.gridX0 + samplingProportion * this.gridW;
                 
-                let samplingLabel = this.statistic === "mean" ? "E[x̄]" : 
-                                  this.statistic === "median" ? "E[med]" : 
-                                  this.statistic === "sd" ? "E[s]" : "E[p̂]";
-                
                 // Draw sampling distribution mean line
-                this.drawEnhancedLine(ctx, samplingX, yBot + 32, yBotBase - 8, COLORS.samplingLine || "#901328", samplingLabel, yBot + 46, 'sampling');
+                this.drawEnhancedLine(ctx, samplingX, yBot + 32, yBotBase - 8, COLORS.samplingLine || "#901328", `E[${statLabel(this)}]`, yBot + 46, 'sampling');
             }
         }
         
@@ -414,13 +628,15 @@
                 ctx.setLineDash([8, 4]); // Dashed line for parameters
             } else if (style === 'sample') {
                 ctx.setLineDash([4, 2]); // Shorter dashes for samples
+            } else if (style === 'null') {
+                ctx.setLineDash([2, 4]); // Dotted line for the null value
             } else if (style === 'sampling') {
                 ctx.setLineDash([6, 3]); // Medium dashes for sampling distribution
                 ctx.lineWidth = 3; // Thicker line for sampling mean
             }
             
             // Draw line with particle masking
-            this.drawLineWithMasking(ctx, x, y1, y2);
+            this.drawLineWithMasking(ctx, this.crispLineX(x, ctx.lineWidth), y1, y2);
             
             // Draw label with smart positioning and background
             if (label && labelY) {
@@ -541,9 +757,18 @@
             ctx.restore();
         }
 
-        clickPopulation(xCanvas, yCanvas) { if (yCanvas > this.marginY + this.H_TOP) return; const col = clamp(Math.floor((xCanvas - this.gridX0) / this.BOX), 0, COLS - 1); this.popCounts[col] = clamp((this.popCounts[col] || 0) + 1, 0, 10000); this.needsRedraw = true; }
-        altClickPopulation(xCanvas, yCanvas) { if (yCanvas > this.marginY + this.H_TOP) return; const col = clamp(Math.floor((xCanvas - this.gridX0) / this.BOX), 0, COLS - 1); this.popCounts[col] = clamp((this.popCounts[col] || 0) - 1, 0, 10000); this.needsRedraw = true; }
-        startSample(n, dropMs) { const { xs, cols } = this.sampleN(n); this.scheduleEmission(xs, cols, dropMs); }
+        // Focus indicator for keyboard painting: the cursor column's outline and a caret under it
+        drawCursor(top, bottom) {
+            const ctx = this.ctx; const x = this.colLeft(this.cursorCol); const mid = this.colCenter(this.cursorCol);
+            ctx.save(); ctx.strokeStyle = COLORS.cursor; ctx.lineWidth = 2; ctx.strokeRect(this.snap(x) - 1, top, this.snap(this.BOX) + 2, bottom - top + 1);
+            ctx.fillStyle = COLORS.cursor; ctx.beginPath(); ctx.moveTo(mid, bottom + 1); ctx.lineTo(mid - 4, bottom + 7); ctx.lineTo(mid + 4, bottom + 7); ctx.closePath(); ctx.fill(); ctx.restore();
+        }
+
+        columnAt(xCanvas) { return clamp(Math.floor((xCanvas - this.gridX0) / this.BOX), 0, COLS - 1); }
+        paintColumn(col, delta) { this.popCounts[col] = clamp((this.popCounts[col] || 0) + delta, 0, 10000); this.invalidateSampler(); this.needsRedraw = true; }
+        clickPopulation(xCanvas, yCanvas) { if (yCanvas > this.marginY + this.H_TOP) return; this.paintColumn(this.columnAt(xCanvas), 1); }
+        altClickPopulation(xCanvas, yCanvas) { if (yCanvas > this.marginY + this.H_TOP) return; this.paintColumn(this.columnAt(xCanvas), -1); }
+        startSample(n, dropMs) { const { xs, cols } = this.sampleN(n); this.scheduleEmission(xs, cols, dropMs); this.onSample?.(xs); }
         
         calculateWithGather() {
             const xs = this.lastSample || []; let hasMid = false; for (let i = 0; i < COLS; i++) if (this.midCounts[i] > 0) { hasMid = true; break; }
@@ -562,6 +787,7 @@
             }
             
             const val = this.computeStat(this.lastGatheringSample);
+            this.keepStat(val); this.recordTest(val);
             const { min, max } = this.statDomain(); const x01 = clamp((val - min) / (max - min + 1e-9), 0, 1); const bin = clamp(Math.floor(x01 * STAT_BINS), 0, STAT_BINS - 1);
             const binCenterX = this.gridX0 + bin * this.BOX + this.BOX / 2; const gatherX = binCenterX; const gatherY = this.marginY + this.H_TOP + this.H_MID / 2; const midBase = this.marginY + this.H_TOP + this.H_MID - 16;
             
@@ -578,7 +804,7 @@
                 } 
             }
             
-            this.midCounts = new Uint16Array(COLS); this.gatherTarget = { x: gatherX, y: gatherY, bin }; this.gathering = true; this.gatherStart = performance.now(); this.lastSample = [];
+            this.midCounts = new Uint16Array(COLS); this.gatherTarget = { x: gatherX, y: gatherY, bin, value: val }; this.gathering = true; this.gatherStart = performance.now(); this.lastSample = [];
         }
 
         drawSampleWithAutoCalculate(n, dropMs) {
@@ -589,12 +815,15 @@
         hasSampleInMid() { for (let i = 0; i < COLS; i++) { if (this.midCounts[i] > 0) return true; } return false; }
         
         clearTray() { this.midCounts = new Uint16Array(COLS); this.lastSample = []; this.sampleParticles = []; this.emissionPlan = null; this.gatherParticles = []; this.gathering = false; this.needsRedraw = true; }
-        resetExperiment() { this.botCounts = new Uint32Array(STAT_BINS); this.statParticles = []; this.needsRedraw = true; }
+        resetExperiment() { this.endSweep(); this.botCounts = new Uint32Array(STAT_BINS); this.statValues = []; this.statParticles = []; this.resetTestCounts(); }
+        keepStat(v) { if (!isNaN(v) && this.statValues.length < MAX_STAT_VALUES) this.statValues.push(v); }
         
-        handleRepeatTurbo(n) { 
-            for (let i = 0; i < 1000; i++) { 
+        handleRepeatTurbo(n, iterations = 1000) { 
+            const region = this.rejectionRegion();
+            for (let i = 0; i < iterations; i++) { 
                 const { xs } = this.sampleN(n); 
                 const v = this.computeStat(xs); 
+                this.keepStat(v); this.recordTest(v, region);
                 const { min, max } = this.statDomain(); 
                 const x01 = clamp((v - min) / (max - min + 1e-9), 0, 1); 
                 const bin = clamp(Math.floor(x01 * STAT_BINS), 0, STAT_BINS - 1); 
@@ -602,6 +831,73 @@
             } 
             this.needsRedraw = true;
         }
+
+        // Sample-size sweep (as StatEngine.startSweep in modules/stat-engine.js): a separate
+        // histogram of `repetitions` runs at each n in `sizes`. showSweepStep() puts one in
+        // place of botCounts, statValues and sampleSize (kept aside until endSweep()), so
+        // SD, SE, curves and diagnostics all describe that n.
+        startSweep(sizes, repetitions) { this.endSweep(); this.sweep = { sizes: sizes.slice(), repetitions, steps: [], index: -1, saved: { botCounts: this.botCounts, statValues: this.statValues, sampleSize: this.sampleSize } }; }
+        // The next n's runs collect in sweep.pending, from runSweepTrials() here or mergeSweepCounts() from a worker job
+        pendingSweepStep() { const sweep = this.sweep; return sweep.pending || (sweep.pending = { n: sweep.sizes[sweep.steps.length], counts: new Uint32Array(STAT_BINS), values: [], done: 0 }); }
+        // Up to `count` more runs of the next n; the step's index once all its repetitions are in, else -1
+        runSweepTrials(count) {
+            const sweep = this.sweep, step = this.pendingSweepStep(), end = Math.min(sweep.repetitions, step.done + count);
+            const { min, max } = this.statDomain();
+            for (; step.done < end; step.done++) {
+                const v = this.computeStat(this.sampleN(step.n).xs); if (isNaN(v)) continue;
+                step.counts[clamp(Math.floor(clamp((v - min) / (max - min + 1e-9), 0, 1) * STAT_BINS), 0, STAT_BINS - 1)]++; step.values.push(v);
+            }
+            if (step.done < sweep.repetitions) return -1;
+            sweep.pending = null; sweep.steps.push({ n: step.n, counts: step.counts, values: step.values }); return sweep.steps.length - 1;
+        }
+        sweepStepJob() { const step = this.pendingSweepStep(); return this.bulkJob(step.n, this.sweep.repetitions - step.done); }
+        // runs: how many runs the update covers (NaN statistics have no bin)
+        mergeSweepCounts(counts, values = [], runs) {
+            const step = this.pendingSweepStep();
+            for (let b = 0; b < STAT_BINS; b++) step.counts[b] += counts[b] || 0;
+            for (let i = 0; i < values.length; i++) step.values.push(values[i]);
+            step.done += runs;
+        }
+        isSweepComplete() { return !!this.sweep && this.sweep.steps.length === this.sweep.sizes.length; }
+        showSweepStep(index) { const step = this.sweep.steps[index]; this.sweep.index = index; this.botCounts = step.counts; this.statValues = step.values; this.sampleSize = step.n; this.needsRedraw = true; return step; }
+        endSweep() { if (!this.sweep) return; Object.assign(this, this.sweep.saved); this.sweep = null; this.needsRedraw = true; }
+
+        // Plain-data job for modules/simulation-worker.js; the seed comes from this
+        // engine's stream so seeded runs stay reproducible
+        bulkJob(n, iterations) {
+            return {
+                weights: this.popCounts, bins: STAT_BINS, domain: this.statDomain(), statistic: this.statistic,
+                settings: { threshold: this.threshold, quantileLevel: this.quantileLevel }, n, iterations, seed: Math.floor(this.rng() * 4294967296),
+                retainValues: true, rejection: this.rejectionRegion()
+            };
+        }
+
+        // What a bulk run's bins depend on; a run whose key no longer matches is stopped
+        bulkKey() { return [this.statistic, this.threshold, this.quantileLevel, this.replacement, this.popCounts.join(","), JSON.stringify(this.test)].join("|"); }
+
+        // rejections: the runs among `counts` in the job's rejection region, when it had one
+        mergeBotCounts(counts, values = [], rejections) {
+            let runs = 0; for (let b = 0; b < STAT_BINS; b++) { this.botCounts[b] += counts[b] || 0; runs += counts[b] || 0; }
+            if (rejections !== undefined) { this.testCounts.runs += runs; this.testCounts.rejections += rejections; }
+            for (let i = 0; i < values.length; i++) this.keepStat(values[i]);
+            this.needsRedraw = true;
+        }
+
+        // Export object for modules/data-export.js; meta carries seed, n and generator from the page
+        exportData(meta) {
+            const runs = this.botCounts.reduce((s, c) => s + c, 0);
+            const sample = this.lastSample.length ? this.lastSample : (this.lastGatheringSample || []);
+            const data = {
+                meta: { ...meta, statistic: this.statistic, replacement: this.replacement, runs },
+                statistics: this.statValues.slice(),
+                sample: sample.slice(),
+                population: Array.from(this.popCounts, (weight, c) => ({ x: (c + 0.5) / COLS, weight }))
+            };
+            if (this.statistic === "proportion") data.meta.threshold = this.threshold;
+            if (this.statistic === "quantile") data.meta.quantileLevel = this.quantileLevel;
+            if (this.statValues.length < runs) data.meta.note = `only ${this.statValues.length} statistic values were kept`;
+            return data;
+        }
     }
 
     // ============ Main Component ============
@@ -725,7 +1021,8 @@
                                                 background: #fff; 
                                                 box-shadow: 0 2px 8px rgba(0,0,0,0.1);
                                             "
-                                            aria-label="Central Limit Theorem Canvas"
+                                            tabindex="0"
+                                            aria-label="Central Limit Theorem Canvas. Left and Right arrows choose a population column, Up and Down add or remove blocks, Shift for five at a time."
                                         ></canvas>
                                         
                                         <button
@@ -806,6 +1103,22 @@
                                                 >
                                                     ×1000
                                                 </button>
+                                                <button
+                                                    id="repeat-100000-btn"
+                                                    style="
+                                                        padding: 0.5rem 0.75rem; 
+                                                        border-radius: 8px; 
+                                                        background: #134B54; 
+                                                        color: #fff; 
+                                                        font-weight: 600; 
+                                                        border: 0; 
+                                                        flex: 1; 
+                                                        min-width: 80px;
+                                                        cursor: pointer;
+                                                    "
+                                                >
+                                                    ×100k
+                                                </button>
                                                 <button
                                                     id="reset-btn"
                                                     style="
@@ -823,6 +1136,29 @@
                                                     Reset
                                                 </button>
                                             </div>
+                                            
+                                            <div id="bulk-progress" style="display: none;">
+                                                <div style="height: 8px; border-radius: 4px; background: #E5E7EB; overflow: hidden;">
+                                                    <div id="bulk-progress-fill" style="height: 100%; width: 0; background: #15616D;"></div>
+                                                </div>
+                                                <div style="display: flex; align-items: center; justify-content: space-between; gap: 0.5rem; margin-top: 0.25rem; font-size: 0.875rem; color: #475569;">
+                                                    <span id="bulk-progress-label">0%</span>
+                                                    <button
+                                                        id="cancel-bulk-btn"
+                                                        style="
+                                                            padding: 0.25rem 0.75rem; 
+                                                            border-radius: 8px; 
+                                                            background: #fff; 
+                                                            color: #001524; 
+                                                            font-weight: 600; 
+                                                            border: 1px solid #cbd5e1; 
+                                                            cursor: pointer;
+                                                        "
+                                                    >
+                                                        Cancel
+                                                    </button>
+                                                </div>
+                                            </div>
                                         </div>
                                     </div>
                                 </div>
@@ -845,7 +1181,8 @@
                                     
                                     <div style="font-size: 0.6875rem; color: #6B7280; margin-bottom: 0.75rem; padding: 0.5rem; background: #F3F4F6; border-radius: 6px;">
                                         <strong>Keyboard shortcuts:</strong><br/>
-                                        Space: Draw Sample • R: Reset • E: Toggle Erase • 1: ×10 • 2: ×1000
+                                        Space: Draw Sample • R: Reset • E: Toggle Erase • 1: ×10 • 2: ×1000<br/>
+                                        On the focused canvas: ←/→ Column • Home/End: First/Last • ↑/↓ Add/Remove • Shift: ×5
                                     </div>
                                     
                                     <div style="display: grid; gap: 0.75rem;">
@@ -858,10 +1195,7 @@
                                                 border: 1px solid #cbd5e1; 
                                                 background: #fff;
                                             ">
-                                                <option value="normal">Normal</option>
-                                                <option value="lognormal">Skewed (lognormal)</option>
-                                                <option value="uniform">Uniform</option>
-                                                <option value="bimodal">Bimodal</option>
+                                                ${Object.entries(PopulationGenerators).map(([name, generator]) => `<option value="${name}">${generator.label}</option>`).join('')}
                                             </select>
                                             <div id="pop-stats" style="font-size: 0.75rem; color: #475569; margin-top: 0.25rem;">μ≈0.500 · σ≈0.161</div>
                                             <div style="font-size: 0.75rem; color: #475569; margin-top: 0.25rem;">Click/drag on the population to paint your own distribution!</div>
@@ -876,16 +1210,18 @@
                                                 border: 1px solid #cbd5e1; 
                                                 background: #fff;
                                             ">
-                                                <option value="mean">Mean (x̄)</option>
-                                                <option value="median">Median</option>
-                                                <option value="sd">Standard Deviation (s)</option>
-                                                <option value="proportion">Proportion (&gt; threshold)</option>
+                                                ${StatisticRegistry.list().map((stat) => `<option value="${stat.name}">${(stat.menuLabel || stat.name).replace('>', '&gt;')}</option>`).join('')}
                                             </select>
                                             <div id="threshold-controls" style="padding-top: 0.5rem; display: none;">
                                                 <div style="font-size: 0.75rem;">Threshold</div>
                                                 <input type="range" id="threshold-slider" min="0.05" max="0.95" step="0.01" value="0.5" style="width: 100%;" />
                                                 <div id="threshold-display" style="font-size: 0.75rem; color: #475569;">θ = P(X &gt; 0.50)</div>
                                             </div>
+                                            <div id="quantile-controls" style="padding-top: 0.5rem; display: none;">
+                                                <div style="font-size: 0.75rem;">Quantile level</div>
+                                                <input type="range" id="quantile-slider" min="0.01" max="0.99" step="0.01" value="0.5" style="width: 100%;" />
+                                                <div id="quantile-display" style="font-size: 0.75rem; color: #475569;">p = 0.50</div>
+                                            </div>
                                         </div>
                                         
                                         <div>
@@ -902,6 +1238,10 @@
                                             <div style="font-size: 0.875rem; font-weight: 600; color: #001524;">
                                                 <span id="sample-size-value">30</span>
                                             </div>
+                                            <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer; padding-top: 0.375rem;">
+                                                <span>Sample without replacement</span>
+                                                <input type="checkbox" id="without-replacement-checkbox" />
+                                            </label>
                                         </div>
                                         
                                         <div style="display: grid; gap: 0.375rem;">
@@ -911,9 +1251,133 @@
                                             </label>
                                             
                                             <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer;">
-                                                <span>Show normal fit</span>
+                                                <span>Show theoretical curves</span>
                                                 <input type="checkbox" id="normal-fit-checkbox" />
                                             </label>
+                                            
+                                            <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer;">
+                                                <span>Show normal Q–Q plot</span>
+                                                <input type="checkbox" id="qq-plot-checkbox" />
+                                            </label>
+                                            
+                                            <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer;">
+                                                <span>Smooth with a density curve (KDE)</span>
+                                                <input type="checkbox" id="kde-checkbox" />
+                                            </label>
+                                            <div id="kde-controls" style="display: none;">
+                                                <select id="kde-rule-select" style="
+                                                    width: 100%; 
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    background: #fff;
+                                                ">
+                                                    <option value="silverman">Silverman bandwidth</option>
+                                                    <option value="scott">Scott bandwidth</option>
+                                                </select>
+                                                <input type="range" id="kde-adjust-slider" min="0.25" max="3" step="0.05" value="1" style="width: 100%;" />
+                                                <div id="kde-adjust-display" style="font-size: 0.75rem; color: #475569;">× 1.00 the rule's bandwidth</div>
+                                            </div>
+                                            
+                                            <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer;">
+                                                <span>Test a hypothesis (z test)</span>
+                                                <input type="checkbox" id="test-checkbox" />
+                                            </label>
+                                            <div id="test-controls" style="display: none;">
+                                                <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem;">
+                                                    <span>H₀: θ =</span>
+                                                    <input type="number" id="null-value-input" min="0" max="1" step="0.01" value="0.5" style="width: 5rem;" />
+                                                </label>
+                                                <select id="alternative-select" style="
+                                                    width: 100%; 
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    background: #fff;
+                                                ">
+                                                    <option value="twoSided">H₁: θ ≠ θ₀</option>
+                                                    <option value="less">H₁: θ &lt; θ₀</option>
+                                                    <option value="greater">H₁: θ &gt; θ₀</option>
+                                                </select>
+                                                <select id="alpha-select" style="
+                                                    width: 100%; 
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    background: #fff;
+                                                ">
+                                                    <option value="0.1">α = 0.10</option>
+                                                    <option value="0.05" selected>α = 0.05</option>
+                                                    <option value="0.01">α = 0.01</option>
+                                                </select>
+                                                <div style="font-size: 0.75rem; color: #475569;">Run ×1000 for the rejection rate: power, or the Type I error rate when θ = θ₀.</div>
+                                            </div>
+                                            
+                                            ${window.Sonification ? `
+                                            <label style="display: flex; justify-content: space-between; align-items: center; font-size: 0.875rem; cursor: pointer;">
+                                                <span>Play each statistic as a tone</span>
+                                                <input type="checkbox" id="sonify-checkbox" />
+                                            </label>
+                                            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.375rem;">
+                                                ${[['glissando', 'Play distribution'], ['chord', 'Play as chord']].map(([mode, label]) => `
+                                                <button data-play="${mode}" style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">${label}</button>`).join('')}
+                                            </div>
+                                            ` : ''}
+                                        </div>
+                                        
+                                        <div>
+                                            <div style="font-size: 0.875rem;">Sweep n</div>
+                                            <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 0.375rem;">
+                                                <input id="sweep-sizes-input" value="2, 5, 10, 30, 100" aria-label="Sample sizes to sweep, separated by commas" style="
+                                                    width: 100%; 
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    background: #fff; 
+                                                    border-radius: 8px;
+                                                " />
+                                                <input id="sweep-repetitions-input" type="number" min="10" max="10000" step="10" value="1000" aria-label="Runs at each sample size" style="
+                                                    width: 100%; 
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    background: #fff; 
+                                                    border-radius: 8px;
+                                                " />
+                                            </div>
+                                            <div style="display: grid; grid-template-columns: 1fr 1fr 2fr; gap: 0.375rem; margin-top: 0.375rem;">
+                                                <button id="sweep-run-btn" style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">Run sweep</button>
+                                                <button id="sweep-play-btn" disabled style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">Play</button>
+                                                <button id="sweep-end-btn" disabled style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">Back to my runs</button>
+                                            </div>
+                                            <input type="range" id="sweep-step-slider" min="0" max="0" step="1" value="0" disabled aria-label="Sample size on show" style="width: 100%;" />
+                                            <div id="sweep-status" style="font-size: 0.75rem; color: #475569;">${SWEEP_HELP}</div>
                                         </div>
                                         
                                         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
@@ -946,6 +1410,59 @@
                                             </div>
                                         </div>
                                         
+                                        ${window.UrlState ? `
+                                        <button
+                                            id="copy-link-btn"
+                                            style="
+                                                padding: 0.5rem 0.75rem; 
+                                                border-radius: 8px; 
+                                                background: #fff; 
+                                                color: #001524; 
+                                                font-weight: 600; 
+                                                border: 1px solid #cbd5e1; 
+                                                cursor: pointer;
+                                            "
+                                        >
+                                            Copy link
+                                        </button>
+                                        ` : ''}
+                                        
+                                        ${window.DataExport ? `
+                                        <div>
+                                            <div style="font-size: 0.875rem;">Export data</div>
+                                            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.375rem;">
+                                                ${[['csv', 'statistics', 'Statistics CSV'], ['csv', 'sample', 'Sample CSV'], ['csv', 'population', 'Population CSV'], ['json', '', 'All (JSON)']]
+                                                    .map(([format, dataset, label]) => `
+                                                <button data-export="${format}" data-dataset="${dataset}" style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">${label}</button>`).join('')}
+                                            </div>
+                                        </div>
+                                        ` : ''}
+                                        
+                                        ${window.FigureExport ? `
+                                        <div>
+                                            <div style="font-size: 0.875rem;">Export figure</div>
+                                            <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 0.375rem;">
+                                                ${[...FigureExport.SCALES.map(scale => ['png', scale, `PNG ${scale}×`]), ['svg', '', 'SVG']]
+                                                    .map(([format, scale, label]) => `
+                                                <button data-figure="${format}" data-scale="${scale}" style="
+                                                    padding: 0.375rem 0.5rem; 
+                                                    border-radius: 8px; 
+                                                    background: #fff; 
+                                                    color: #001524; 
+                                                    border: 1px solid #cbd5e1; 
+                                                    cursor: pointer;
+                                                ">${label}</button>`).join('')}
+                                            </div>
+                                        </div>
+                                        ` : ''}
+                                        
                                         <div style="
                                             font-size: 0.75rem; 
                                             color: #475569; 
@@ -984,23 +1501,215 @@
                 // State variables
                 let eraseMode = false;
                 let n = 30;
+                // Painted populations are written into shared links
+                let painted = false;
                 
                 // Set up canvas dimensions and layout
                 function resizeCanvas() {
                     const container = canvas.parentElement;
                     const rect = container.getBoundingClientRect();
                     const plotW = Math.max(320, rect.width - 16);
-                    const canvasH = Math.max(520, Math.min(800, window.innerHeight * 0.7));
+                    // An auto-sized iframe's innerHeight follows the canvas, so embeds use the screen
+                    const viewportH = window.HeightReporter?.isEmbedded() ? window.screen.height : window.innerHeight;
+                    const canvasH = Math.max(520, Math.min(800, viewportH * 0.7));
                     
-                    canvas.width = plotW;
+                    // Backing store in device pixels; the engine keeps drawing in CSS pixels
+                    const ratio = window.devicePixelRatio || 1;
                     engine.layoutFromViewport(plotW, canvasH);
-                    canvas.height = engine.H_TOP + engine.H_MID + engine.H_BOT + 2 * engine.marginY;
+                    const { height } = engine.figureSize();
+                    canvas.width = Math.round(plotW * ratio);
+                    canvas.height = Math.round(height * ratio);
+                    canvas.style.height = `${height}px`;
+                    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+                    engine.pixelRatio = ratio;
                     engine.needsRedraw = true;
                 }
                 
+                // Moving the window to another monitor changes the ratio without a resize;
+                // a resolution query matches one ratio only, so it is re-armed on every change
+                function watchPixelRatio() {
+                    if (typeof window.matchMedia !== 'function') return;
+                    window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+                        .addEventListener('change', function() {
+                            resizeCanvas();
+                            watchPixelRatio();
+                        }, { once: true });
+                }
+                
+                // Pointer position in the engine's CSS-pixel layout
+                function canvasPoint(e) {
+                    const rect = canvas.getBoundingClientRect();
+                    const { width, height } = engine.figureSize();
+                    return {
+                        x: (e.clientX - rect.left) * width / rect.width,
+                        y: (e.clientY - rect.top) * height / rect.height
+                    };
+                }
+                
                 // Initial setup
                 resizeCanvas();
+                watchPixelRatio();
                 engine.applyGenerator('normal');
+                applyUrlState();
+                
+                // URL state (modules/url-state.js): configure from the hash on mount
+                // and keep the hash current so the view can be shared
+                function urlState() {
+                    const statistic = document.getElementById('statistic-select').value;
+                    return {
+                        distribution: document.getElementById('distribution-select').value,
+                        generatorParams: Object.keys(engine.generatorParams).length ? engine.generatorParams : undefined,
+                        statistic,
+                        threshold: statistic === 'proportion' ? engine.threshold : undefined,
+                        quantileLevel: statistic === 'quantile' ? engine.quantileLevel : undefined,
+                        sampleSize: n,
+                        seed: parseInt(document.getElementById('seed-input').value) || 0,
+                        speed: engine.speed,
+                        population: painted ? engine.popCounts : undefined
+                    };
+                }
+                
+                function updateUrlState() {
+                    if (window.UrlState) UrlState.write(urlState());
+                }
+                
+                // Events for embedding pages (modules/embed-api.js), as CLTApp emits them:
+                // sampleDrawn, statisticComputed and stateChanged
+                const listeners = new Map();
+                
+                function on(event, callback) {
+                    if (!listeners.has(event)) listeners.set(event, []);
+                    listeners.get(event).push(callback);
+                }
+                
+                function emit(event, data) {
+                    listeners.get(event)?.forEach(function(callback) { callback(data); });
+                }
+                
+                function stateChanged() {
+                    updateUrlState();
+                    emit('stateChanged', getState());
+                }
+                
+                // `runs` statistics were just added; `value` is the latest when there is one
+                function statisticsComputed(runs, value = null) {
+                    if (!listeners.has('statisticComputed')) return;
+                    const { mean, sd, total } = engine.getSamplingDistributionStats();
+                    emit('statisticComputed', {
+                        statistic: engine.statistic,
+                        value: value === null || isNaN(value) ? null : value,
+                        runs,
+                        samplingDistribution: { count: total, mean, sd }
+                    });
+                }
+                
+                function getState() {
+                    const { mean, sd, total } = engine.getSamplingDistributionStats();
+                    return {
+                        distribution: document.getElementById('distribution-select').value,
+                        generatorParams: { ...engine.generatorParams },
+                        statistic: engine.statistic,
+                        threshold: engine.threshold,
+                        quantileLevel: engine.quantileLevel,
+                        sampleSize: n,
+                        seed: parseInt(document.getElementById('seed-input').value) || 0,
+                        speed: engine.speed,
+                        running: Boolean(bulkRun || engine.emissionPlan || engine.gathering || engine.statParticles.length),
+                        samplingDistribution: { count: total, mean, sd }
+                    };
+                }
+                
+                function hasOption(id, value) {
+                    return Array.from(document.getElementById(id).options).some(o => o.value === value);
+                }
+                
+                function applyUrlState() {
+                    if (!window.UrlState) return;
+                    const state = UrlState.parse();
+                    
+                    if (state.distribution && hasOption('distribution-select', state.distribution)) {
+                        document.getElementById('distribution-select').value = state.distribution;
+                        engine.applyGenerator(state.distribution, state.generatorParams);
+                    }
+                    const population = state.population && UrlState.decodePopulation(state.population, COLS);
+                    if (population) {
+                        engine.popCounts = Uint16Array.from(population);
+                        engine.invalidateSampler();
+                        painted = true;
+                    }
+                    if (state.statistic && hasOption('statistic-select', state.statistic)) {
+                        engine.statistic = state.statistic;
+                        document.getElementById('statistic-select').value = state.statistic;
+                        showStatisticSettings(state.statistic);
+                    }
+                    if (state.threshold !== undefined) {
+                        engine.threshold = clamp(state.threshold, 0.05, 0.95);
+                        document.getElementById('threshold-slider').value = engine.threshold;
+                        document.getElementById('threshold-display').textContent = `θ = P(X > ${engine.threshold})`;
+                    }
+                    if (state.quantileLevel !== undefined) {
+                        engine.quantileLevel = clamp(state.quantileLevel, 0.01, 0.99);
+                        document.getElementById('quantile-slider').value = engine.quantileLevel;
+                        document.getElementById('quantile-display').textContent = `p = ${engine.quantileLevel.toFixed(2)}`;
+                    }
+                    if (state.sampleSize !== undefined) {
+                        n = clamp(state.sampleSize, 2, 500);
+                        engine.sampleSize = n;
+                        document.getElementById('sample-size-slider').value = n;
+                        document.getElementById('sample-size-display').textContent = n;
+                        document.getElementById('sample-size-value').textContent = n;
+                    }
+                    if (state.seed !== undefined) {
+                        engine.rng = rngMulberry32(state.seed);
+                        document.getElementById('seed-input').value = state.seed;
+                    }
+                    if (state.speed) {
+                        engine.speed = state.speed;
+                        document.getElementById('speed-select').value = state.speed;
+                    }
+                    engine.needsRedraw = true;
+                }
+                
+                // Screen readers (modules/accessible-data.js): offscreen tables of the three
+                // trays and a live announcement as each sample's statistic lands
+                const accessibleData = window.AccessibleData ? new AccessibleData(canvas, { tables: accessibleTables }) : null;
+                
+                function accessibleTables() {
+                    const stats = engine.popStats;
+                    const sampleSize = engine.midCounts.reduce((sum, count) => sum + count, 0);
+                    const name = statName(engine);
+                    return [
+                        { caption: `Population: mean ${stats.mu.toFixed(3)}, SD ${stats.sd.toFixed(3)}`, counts: engine.popCounts },
+                        { caption: `Current sample (${sampleSize} values)`, counts: engine.midCounts },
+                        { caption: `Sampling distribution of the ${name} (${engine.getSamplingDistributionStats().total} runs)`,
+                          counts: engine.botCounts, domain: engine.statDomain(), valueLabel: name }
+                    ];
+                }
+                
+                function announceTotals(prefix) {
+                    if (!accessibleData) return;
+                    const name = statName(engine);
+                    const { total, mean, sd } = engine.getSamplingDistributionStats();
+                    accessibleData.announce(`${prefix}. E[${name}] = ${mean.toFixed(3)}, SD[${name}] = ${sd.toFixed(3)} over ${total} run${total === 1 ? '' : 's'}.`);
+                }
+                
+                // Sonification (modules/sonification.js): a tone per statistic, pitch by position on the axis
+                const sonification = window.Sonification ? new Sonification() : null;
+                
+                function statPosition(value) {
+                    const { min, max } = engine.statDomain();
+                    return (value - min) / (max - min);
+                }
+                
+                engine.onStatistic = function(value) {
+                    announceTotals(`Sample ${engine.getSamplingDistributionStats().total}: ${statName(engine)} = ${value.toFixed(3)}`);
+                    sonification?.playTone(statPosition(value));
+                    statisticsComputed(1, value);
+                };
+                
+                engine.onSample = function(xs) {
+                    emit('sampleDrawn', { values: xs.slice() });
+                };
                 
                 // Update population stats display
                 function updatePopStats() {
@@ -1013,9 +1722,7 @@
                 
                 // Canvas interaction
                 canvas.addEventListener('pointerdown', function(e) {
-                    const rect = canvas.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
+                    const { x, y } = canvasPoint(e);
                     const isErase = e.button === 2 || e.ctrlKey || e.metaKey || eraseMode;
                     
                     if (isErase) {
@@ -1023,15 +1730,18 @@
                     } else {
                         engine.clickPopulation(x, y);
                     }
+                    if (y <= engine.marginY + engine.H_TOP) {
+                        painted = true;
+                        cursorCol = engine.columnAt(x);
+                        if (engine.cursorCol !== null) engine.cursorCol = cursorCol;
+                    }
                     updatePopStats();
                     e.preventDefault();
                 });
                 
                 canvas.addEventListener('pointermove', function(e) {
                     if (e.buttons === 0) return;
-                    const rect = canvas.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
+                    const { x, y } = canvasPoint(e);
                     const isErase = (e.buttons & 2) === 2 || eraseMode;
                     
                     if (isErase) {
@@ -1039,38 +1749,129 @@
                     } else {
                         engine.clickPopulation(x, y);
                     }
+                    if (y <= engine.marginY + engine.H_TOP) painted = true;
                     updatePopStats();
                 });
                 
+                // One hash update per stroke; browsers throttle history updates
+                canvas.addEventListener('pointerup', function() {
+                    if (painted) stateChanged();
+                });
+                
                 canvas.addEventListener('contextmenu', function(e) {
                     e.preventDefault();
                 });
                 
+                // Keyboard painting while the canvas has focus: Left/Right (Home/End) pick a
+                // column, Up/Down add or remove a block, Shift for five. The page-wide shortcuts
+                // (Space/R/E/1/2) are handled below and unaffected.
+                let cursorCol = Math.floor(COLS / 2);
+                let cursorStateTimer = null;
+                
+                function announceCursor() {
+                    const count = engine.popCounts[cursorCol];
+                    accessibleData?.announce(`Population, column ${cursorCol + 1} of ${COLS} (${(cursorCol / COLS).toFixed(3)} to ${((cursorCol + 1) / COLS).toFixed(3)}): ${count} block${count === 1 ? '' : 's'}.`);
+                }
+                
+                canvas.addEventListener('focus', function() {
+                    engine.cursorCol = cursorCol;
+                    engine.needsRedraw = true;
+                    announceCursor();
+                });
+                
+                canvas.addEventListener('blur', function() {
+                    engine.cursorCol = null;
+                    engine.needsRedraw = true;
+                });
+                
+                canvas.addEventListener('keydown', function(e) {
+                    if (e.ctrlKey || e.metaKey || e.altKey) return;
+                    const step = e.shiftKey ? 5 : 1;
+                    
+                    switch (e.key) {
+                        case 'ArrowLeft': cursorCol = clamp(cursorCol - step, 0, COLS - 1); break;
+                        case 'ArrowRight': cursorCol = clamp(cursorCol + step, 0, COLS - 1); break;
+                        case 'Home': cursorCol = 0; break;
+                        case 'End': cursorCol = COLS - 1; break;
+                        case 'ArrowUp':
+                        case 'ArrowDown':
+                            engine.paintColumn(cursorCol, e.key === 'ArrowUp' ? step : -step);
+                            painted = true;
+                            updatePopStats();
+                            // Held keys repeat; update the hash once they settle
+                            clearTimeout(cursorStateTimer);
+                            cursorStateTimer = setTimeout(stateChanged, 300);
+                            break;
+                        default:
+                            return;
+                    }
+                    e.preventDefault();
+                    engine.cursorCol = cursorCol;
+                    engine.needsRedraw = true;
+                    announceCursor();
+                });
+                
                 // Control event listeners
-                document.getElementById('distribution-select').addEventListener('change', function() {
-                    engine.applyGenerator(this.value);
+                function selectDistribution(name, params) {
+                    endSweep();
+                    engine.applyGenerator(name, params);
+                    painted = false;
                     updatePopStats();
+                    stateChanged();
+                }
+                
+                document.getElementById('distribution-select').addEventListener('change', function() {
+                    selectDistribution(this.value);
                 });
                 
+                // The threshold only applies to the proportion, the level to the quantile
+                function showStatisticSettings(statistic) {
+                    document.getElementById('threshold-controls').style.display = statistic === 'proportion' ? 'block' : 'none';
+                    document.getElementById('quantile-controls').style.display = statistic === 'quantile' ? 'block' : 'none';
+                }
+                
                 document.getElementById('statistic-select').addEventListener('change', function() {
+                    endSweep();
                     engine.statistic = this.value;
-                    const thresholdControls = document.getElementById('threshold-controls');
-                    if (this.value === 'proportion') {
-                        thresholdControls.style.display = 'block';
-                    } else {
-                        thresholdControls.style.display = 'none';
-                    }
+                    engine.resetTestCounts();
+                    showStatisticSettings(this.value);
+                    stateChanged();
                 });
                 
                 document.getElementById('threshold-slider').addEventListener('input', function() {
+                    endSweep();
                     engine.threshold = parseFloat(this.value);
+                    engine.resetTestCounts();
                     document.getElementById('threshold-display').textContent = `θ = P(X > ${this.value})`;
+                    stateChanged();
+                });
+                
+                document.getElementById('quantile-slider').addEventListener('input', function() {
+                    endSweep();
+                    engine.quantileLevel = parseFloat(this.value);
+                    engine.resetTestCounts();
+                    document.getElementById('quantile-display').textContent = `p = ${engine.quantileLevel.toFixed(2)}`;
+                    stateChanged();
                 });
                 
                 document.getElementById('sample-size-slider').addEventListener('input', function() {
                     n = parseInt(this.value);
+                    // Closing a sweep puts back the n it replaced
+                    endSweep();
+                    engine.sampleSize = n;
+                    engine.resetTestCounts();
                     document.getElementById('sample-size-display').textContent = n;
                     document.getElementById('sample-size-value').textContent = n;
+                    stateChanged();
+                });
+                
+                document.getElementById('without-replacement-checkbox').addEventListener('change', function() {
+                    // Results from the two schemes don't belong in the same histogram
+                    endSweep();
+                    engine.replacement = !this.checked;
+                    engine.invalidateSampler();
+                    engine.resetExperiment();
+                    stateChanged();
                 });
                 
                 document.getElementById('param-line-checkbox').addEventListener('change', function() {
@@ -1083,13 +1884,207 @@
                     engine.needsRedraw = true;
                 });
                 
+                // The panel narrows the trays, so the layout is redone
+                document.getElementById('qq-plot-checkbox').addEventListener('change', function() {
+                    engine.showQQ = this.checked;
+                    resizeCanvas();
+                });
+                
+                document.getElementById('kde-checkbox').addEventListener('change', function() {
+                    engine.kde.show = this.checked;
+                    document.getElementById('kde-controls').style.display = this.checked ? 'block' : 'none';
+                    engine.needsRedraw = true;
+                });
+                
+                document.getElementById('kde-rule-select').addEventListener('change', function() {
+                    engine.kde.rule = this.value;
+                    engine.needsRedraw = true;
+                });
+                
+                document.getElementById('kde-adjust-slider').addEventListener('input', function() {
+                    engine.kde.adjust = parseFloat(this.value);
+                    document.getElementById('kde-adjust-display').textContent = `× ${engine.kde.adjust.toFixed(2)} the rule's bandwidth`;
+                    engine.needsRedraw = true;
+                });
+                
+                // Any change to the test starts a new count of rejections
+                function updateTest() {
+                    const nullValue = parseFloat(document.getElementById('null-value-input').value);
+                    if (isNaN(nullValue) || nullValue <= 0 || nullValue >= 1) { alert('H₀ must be a value between 0 and 1'); return; }
+                    engine.setTest(document.getElementById('test-checkbox').checked ? {
+                        nullValue,
+                        alternative: document.getElementById('alternative-select').value,
+                        alpha: parseFloat(document.getElementById('alpha-select').value)
+                    } : null);
+                }
+                
+                document.getElementById('test-checkbox').addEventListener('change', function() {
+                    document.getElementById('test-controls').style.display = this.checked ? 'block' : 'none';
+                    updateTest();
+                });
+                ['null-value-input', 'alternative-select', 'alpha-select'].forEach(function(id) {
+                    document.getElementById(id).addEventListener('change', updateTest);
+                });
+                
+                document.getElementById('sonify-checkbox')?.addEventListener('change', function() {
+                    sonification.setEnabled(this.checked);
+                });
+                
+                container.querySelectorAll('[data-play]').forEach(function(button) {
+                    button.addEventListener('click', function() {
+                        if (!sonification.playSweep(engine.botCounts, this.dataset.play)) {
+                            alert('Draw some samples first: the sampling distribution is empty.');
+                        }
+                    });
+                });
+                
+                // Sample-size sweep: one n per tick while it runs, then the scrubber and
+                // Play step between them. Drawing, Reset or moving the n slider returns
+                // to the user's own runs.
+                let sweepTimer = null, sweepJob = null;
+                
+                function sweepStatus() {
+                    const { total, sd } = engine.getSamplingDistributionStats();
+                    const normal = engine.cltNormal();
+                    return `n = ${engine.sampleSize}: SD of ${total} runs ${sd.toFixed(3)}` + (normal ? ` · SE ${normal.sd.toFixed(3)}` : '');
+                }
+                
+                function syncSweepControls() {
+                    const sweep = engine.sweep, open = !!sweep && sweep.index >= 0, complete = engine.isSweepComplete();
+                    const slider = document.getElementById('sweep-step-slider');
+                    slider.disabled = !complete;
+                    slider.max = String(open ? sweep.sizes.length - 1 : 0);
+                    slider.value = String(open ? sweep.index : 0);
+                    document.getElementById('sweep-play-btn').disabled = !complete;
+                    document.getElementById('sweep-play-btn').textContent = complete && sweepTimer ? 'Pause' : 'Play';
+                    document.getElementById('sweep-end-btn').disabled = !open;
+                    document.getElementById('sweep-status').textContent = open ? sweepStatus() : SWEEP_HELP;
+                }
+                
+                function showSweepStep(index) {
+                    if (!engine.sweep?.steps[index]) return;
+                    engine.showSweepStep(index);
+                    syncSweepControls();
+                    accessibleData?.announce(sweepStatus());
+                }
+                
+                function stopSweepTimer() {
+                    clearTimeout(sweepTimer);
+                    sweepTimer = null;
+                }
+                
+                function endSweep() {
+                    if (!engine.sweep) return;
+                    // Terminating drops the running step's bins
+                    if (sweepJob) {
+                        sweepJob = null;
+                        bulkSimulation?.terminate();
+                    }
+                    stopSweepTimer();
+                    engine.endSweep();
+                    syncSweepControls();
+                }
+                
+                document.getElementById('sweep-run-btn').addEventListener('click', function() {
+                    if (bulkRun || !engine.isIdle()) return;
+                    const sizes = document.getElementById('sweep-sizes-input').value.split(/[\s,;]+/).filter(Boolean).map(Number);
+                    const repetitions = parseInt(document.getElementById('sweep-repetitions-input').value) || 0;
+                    if (!sizes.length || sizes.some(size => !Number.isInteger(size) || size < 2 || size > 500)) {
+                        alert('Enter sample sizes from 2 to 500, separated by commas');
+                        return;
+                    }
+                    if (repetitions < 10 || repetitions > 10000) {
+                        alert('Runs at each n must be between 10 and 10000');
+                        return;
+                    }
+                    const validation = engine.validateSampleSize(Math.max(...sizes));
+                    if (!validation.valid) {
+                        alert(validation.message);
+                        return;
+                    }
+                    
+                    endSweep();
+                    engine.startSweep(sizes, repetitions);
+                    runSweepStep(engine.sweep);
+                });
+                
+                // Each n runs as a worker job where it can (the worker only draws with
+                // replacement), then finishes in 1000-run chunks between frames. Painting,
+                // or a new distribution or statistic, mid-step ends the sweep.
+                function runSweepStep(sweep) {
+                    sweepTimer = null;
+                    // Closed (or replaced) since the last step
+                    if (engine.sweep !== sweep) return;
+                    const key = engine.bulkKey();
+                    if (!bulkSimulation || !engine.replacement) return runSweepChunks(sweep, key);
+                    
+                    let merged = 0;
+                    const job = sweepJob = engine.sweepStepJob();
+                    bulkSimulation.run(job, function(update) {
+                        if (engine.bulkKey() !== key) return endSweep();
+                        engine.mergeSweepCounts(update.counts, update.values, update.done - merged);
+                        merged = update.done;
+                    }).catch(function(error) {
+                        console.warn('Simulation worker unavailable, running on the main thread:', error.message);
+                        bulkSimulation = null;
+                    }).finally(function() {
+                        if (sweepJob === job) sweepJob = null;
+                        runSweepChunks(sweep, key);
+                    });
+                }
+                
+                function runSweepChunks(sweep, key) {
+                    sweepTimer = null;
+                    if (engine.sweep !== sweep) return;
+                    if (engine.bulkKey() !== key) return endSweep();
+                    const index = engine.runSweepTrials(1000);
+                    if (index < 0) {
+                        sweepTimer = setTimeout(function() { runSweepChunks(sweep, key); }, 0);
+                        return;
+                    }
+                    showSweepStep(index);
+                    if (!engine.isSweepComplete()) sweepTimer = setTimeout(function() { runSweepStep(sweep); }, SWEEP_STEP_MS);
+                    syncSweepControls();
+                }
+                
+                // Plays from the step on show (from the start when at the end)
+                document.getElementById('sweep-play-btn').addEventListener('click', function() {
+                    if (sweepTimer) {
+                        stopSweepTimer();
+                        syncSweepControls();
+                        return;
+                    }
+                    const sweep = engine.sweep;
+                    if (!engine.isSweepComplete()) return;
+                    if (sweep.index >= sweep.steps.length - 1) showSweepStep(0);
+                    
+                    const next = function() {
+                        sweepTimer = null;
+                        if (engine.sweep !== sweep) return;
+                        showSweepStep(sweep.index + 1);
+                        if (sweep.index < sweep.steps.length - 1) sweepTimer = setTimeout(next, SWEEP_STEP_MS);
+                        syncSweepControls();
+                    };
+                    sweepTimer = setTimeout(next, SWEEP_STEP_MS);
+                    syncSweepControls();
+                });
+                
+                document.getElementById('sweep-step-slider').addEventListener('input', function() {
+                    stopSweepTimer();
+                    showSweepStep(parseInt(this.value));
+                });
+                
+                document.getElementById('sweep-end-btn').addEventListener('click', endSweep);
+                
                 document.getElementById('speed-select').addEventListener('change', function() {
                     engine.speed = this.value;
+                    stateChanged();
                 });
                 
                 document.getElementById('seed-input').addEventListener('input', function() {
                     const seed = parseInt(this.value) || 0;
                     engine.rng = rngMulberry32(seed);
+                    stateChanged();
                 });
                 
                 document.getElementById('erase-toggle').addEventListener('click', function() {
@@ -1100,21 +2095,23 @@
                 
                 // Action buttons
                 document.getElementById('draw-sample-btn').addEventListener('click', function() {
-                    const validation = validateSampleSize(n);
+                    const validation = engine.validateSampleSize(n);
                     if (!validation.valid) {
                         alert(validation.message);
                         return;
                     }
+                    endSweep();
                     engine.drawSampleWithAutoCalculate(n, 1200);
                 });
                 
                 document.getElementById('repeat-10-btn').addEventListener('click', async function() {
-                    const validation = validateSampleSize(n);
+                    const validation = engine.validateSampleSize(n);
                     if (!validation.valid) {
                         alert(validation.message);
                         return;
                     }
                     
+                    endSweep();
                     const prevSpeed = engine.speed;
                     const prevGather = engine.gatherDur;
                     engine.speed = "fast";
@@ -1129,16 +2126,128 @@
                     engine.gatherDur = prevGather;
                 });
                 
-                document.getElementById('repeat-1000-btn').addEventListener('click', function() {
-                    const validation = validateSampleSize(n);
+                // Bulk runs: in a worker when modules/bulk-simulation.js is loaded,
+                // otherwise in 1000-run chunks between frames. Either way the
+                // animation loop keeps running and partial histograms show up live.
+                let bulkSimulation = window.BulkSimulation?.isSupported() ? new BulkSimulation() : null;
+                let bulkRun = null;
+                
+                function setBulkProgress(done, total) {
+                    const running = done !== null;
+                    document.getElementById('bulk-progress').style.display = running ? 'block' : 'none';
+                    ['draw-sample-btn', 'repeat-10-btn', 'repeat-1000-btn', 'repeat-100000-btn'].forEach(function(id) {
+                        document.getElementById(id).disabled = running;
+                    });
+                    if (!running) return;
+                    const percent = Math.round(done / total * 100);
+                    document.getElementById('bulk-progress-fill').style.width = `${percent}%`;
+                    document.getElementById('bulk-progress-label').textContent =
+                        `${done.toLocaleString()} / ${total.toLocaleString()} (${percent}%)`;
+                }
+                
+                function finishBulk() {
+                    bulkRun = null;
+                    setBulkProgress(null);
+                    announceTotals('Repeated sampling finished');
+                }
+                
+                function runBulkOnMainThread(run, count, done) {
+                    const step = function() {
+                        // Painting, a new distribution, statistic or threshold ends the run
+                        if (run.cancelled || engine.bulkKey() !== run.key) return finishBulk();
+                        const chunk = Math.min(1000, count - done);
+                        engine.handleRepeatTurbo(run.n, chunk);
+                        statisticsComputed(chunk);
+                        done += chunk;
+                        setBulkProgress(done, count);
+                        if (done < count) setTimeout(step, 0);
+                        else finishBulk();
+                    };
+                    step();
+                }
+                
+                function runBulk(count) {
+                    if (bulkRun) return;
+                    const validation = engine.validateSampleSize(n);
                     if (!validation.valid) {
                         alert(validation.message);
                         return;
                     }
-                    engine.handleRepeatTurbo(n);
+                    
+                    endSweep();
+                    const run = bulkRun = { n, key: engine.bulkKey(), cancelled: false };
+                    setBulkProgress(0, count);
+                    // The worker only draws with replacement
+                    if (!bulkSimulation || !engine.replacement) return runBulkOnMainThread(run, count, 0);
+                    
+                    let merged = 0;
+                    bulkSimulation.run(engine.bulkJob(n, count), function(update) {
+                        // Bins from another statistic, threshold or population would land in the wrong places
+                        if (engine.bulkKey() !== run.key) return bulkSimulation.cancel();
+                        engine.mergeBotCounts(update.counts, update.values, update.rejections);
+                        statisticsComputed(update.done - merged);
+                        merged = update.done;
+                        setBulkProgress(update.done, update.total);
+                    }).then(finishBulk, function(error) {
+                        console.warn('Simulation worker unavailable, running on the main thread:', error.message);
+                        bulkSimulation = null;
+                        runBulkOnMainThread(run, count, merged);
+                    });
+                }
+                
+                function cancelBulk() {
+                    if (!bulkRun) return;
+                    bulkRun.cancelled = true;
+                    bulkSimulation?.cancel();
+                }
+                
+                document.getElementById('repeat-1000-btn').addEventListener('click', function() {
+                    runBulk(1000);
+                });
+                
+                document.getElementById('repeat-100000-btn').addEventListener('click', function() {
+                    runBulk(100000);
+                });
+                
+                document.getElementById('cancel-bulk-btn').addEventListener('click', cancelBulk);
+                
+                container.querySelectorAll('[data-export]').forEach(function(button) {
+                    button.addEventListener('click', function() {
+                        const data = engine.exportData({
+                            seed: parseInt(document.getElementById('seed-input').value) || 0,
+                            n,
+                            generator: painted ? `painted, starting from ${document.getElementById('distribution-select').value}` :
+                                document.getElementById('distribution-select').value
+                        });
+                        DataExport.save(data, this.dataset.export, this.dataset.dataset);
+                    });
+                });
+                
+                container.querySelectorAll('[data-figure]').forEach(function(button) {
+                    button.addEventListener('click', function() {
+                        const { width, height } = engine.figureSize();
+                        const seed = parseInt(document.getElementById('seed-input').value) || 0;
+                        const basename = `figure-${document.getElementById('statistic-select').value}-n${n}-seed${seed}`;
+                        FigureExport.save(width, height, function(ctx, ratio) { engine.drawTo(ctx, ratio); }, this.dataset.figure, Number(this.dataset.scale) || 1, basename)
+                            .catch(function(error) { alert(`Could not export the figure: ${error.message}`); });
+                    });
+                });
+                
+                document.getElementById('copy-link-btn')?.addEventListener('click', function() {
+                    const button = this;
+                    UrlState.copyLink(urlState()).then(function() {
+                        button.textContent = 'Link copied';
+                        setTimeout(function() { button.textContent = 'Copy link'; }, 1500);
+                    });
                 });
                 
                 document.getElementById('reset-btn').addEventListener('click', function() {
+                    // Terminating drops any histogram chunks still in flight
+                    if (bulkRun) {
+                        bulkRun.cancelled = true;
+                        bulkSimulation?.terminate();
+                    }
+                    endSweep();
                     engine.clearTray();
                     engine.resetExperiment();
                 });
@@ -1182,6 +2291,7 @@
                     
                     if (engine.needsRedraw || engine.hasActiveAnimations()) {
                         engine.draw();
+                        accessibleData?.refresh();
                     }
                     
                     requestAnimationFrame(animate);
@@ -1275,9 +2385,48 @@
                 window.addEventListener('resize', handleResize);
                 handleResize(); // Initial call
                 
+                // Public API: the commands CLTApp offers, so EmbedApi.attach() works on this
+                // page too. Setters go through the controls, so programmatic changes
+                // behave exactly like the user changing them.
+                function setControl(id, value, event) {
+                    const control = document.getElementById(id);
+                    control.value = value;
+                    control.dispatchEvent(new Event(event));
+                }
+                
                 return {
                     engine: engine,
-                    canvas: canvas
+                    canvas: canvas,
+                    on,
+                    getState,
+                    setDistribution(name, params = {}) {
+                        if (!hasOption('distribution-select', name)) throw new Error(`Unknown distribution: ${name}`);
+                        document.getElementById('distribution-select').value = name;
+                        selectDistribution(name, params);
+                    },
+                    setStatistic(stat) {
+                        if (!hasOption('statistic-select', stat)) throw new Error(`Unknown statistic: ${stat}`);
+                        setControl('statistic-select', stat, 'change');
+                    },
+                    setSeed(seed) {
+                        setControl('seed-input', seed, 'input');
+                    },
+                    setSampleSize(sampleSize) {
+                        if (!Number.isInteger(sampleSize) || sampleSize < 2 || sampleSize > 500) {
+                            throw new Error('Sample size must be an integer from 2 to 500');
+                        }
+                        setControl('sample-size-slider', sampleSize, 'input');
+                    },
+                    drawSample() {
+                        document.getElementById('draw-sample-btn').click();
+                    },
+                    // Every count runs in bulk (the 1000-run chunks or the worker)
+                    runMultipleSamples(count) {
+                        runBulk(count);
+                    },
+                    reset() {
+                        document.getElementById('reset-btn').click();
+                    }
                 };
             }
         };
@@ -0,0 +1,48 @@
+// Embed Host Snippet - Sizes XBAR applet iframes to fit their content
+// Include once on any page that embeds applets; every applet iframe on the page
+// then follows the height its applet reports (see modules/height-reporter.js).
+//
+//   <iframe src="https://<user>.github.io/xbar-apps/apps/central-limit-theorem/"
+//           style="width: 100%; border: 0;" height="640"></iframe>
+//   <script src="https://<user>.github.io/xbar-apps/shared/embed-host.js" defer></script>
+//
+// The height attribute is only the starting size before the applet reports in.
+
+(function() {
+    'use strict';
+
+    if (window.XbarEmbedHost) return;
+
+    const PROTOCOL = 'xbar-applet';
+
+    function frameFor(source) {
+        const frames = document.getElementsByTagName('iframe');
+        for (let i = 0; i < frames.length; i++) {
+            if (frames[i].contentWindow === source) return frames[i];
+        }
+        return null;
+    }
+
+    function handleMessage(event) {
+        const message = event.data;
+        if (!message || message.protocol !== PROTOCOL || message.type !== 'event' || message.event !== 'resize') return;
+
+        const frame = frameFor(event.source);
+        if (!frame) return;
+
+        // Only trust the page the iframe actually loaded
+        if (new URL(frame.src, window.location.href).origin !== event.origin) return;
+
+        const height = Number(message.data && message.data.height);
+        if (!(height > 0)) return;
+        frame.style.height = `${Math.ceil(height)}px`;
+    }
+
+    window.addEventListener('message', handleMessage);
+
+    window.XbarEmbedHost = {
+        stop() {
+            window.removeEventListener('message', handleMessage);
+        }
+    };
+})();
@@ -1,5 +1,7 @@
 // Engine Core - Reusable simulation engine for stat applets
 // Extracted from CLT component for modularity
+// Requires modules/statistics.js (StatisticRegistry) and modules/stat-engine.js (MathUtils)
+// to be loaded first; this file then replaces window.StatEngine with its own class.
 
 (function() {
     'use strict';
@@ -49,8 +51,8 @@
             return sigma > 1e-12 ? Math.exp(-0.5 * ((x - mu) / sigma) ** 2) / (sigma * Math.sqrt(2 * Math.PI)) : 0; 
         },
 
-        statLabel: function(s) { 
-            return ({ mean: "x̄", median: "Median", sd: "s", proportion: "p̂" })[s]; 
+        statLabel: function(s, settings) { 
+            return StatisticRegistry.resolve(s, "shortLabel", settings); 
         },
 
         validateSampleSize: function(n) {
@@ -109,10 +111,12 @@
             this.lastSample = []; 
             this.statistic = "mean"; 
             this.threshold = 0.5; 
+            this.quantileLevel = 0.5; 
             this.speed = "normal";
             this.showParamLine = true; 
             this.showNormalFit = false; 
             this.rng = StatUtils.rngMulberry32(1234);
+            this.aliasTable = null;
             this.needsRedraw = true;
             this.lastGatheringSample = null;
 
@@ -199,6 +203,7 @@
                 counts[c] = Math.max(0, Math.round(w * 20));
             }
             this.popCounts = counts;
+            this.aliasTable = null;
             this.updateLines();
             this.needsRedraw = true;
         }
@@ -239,27 +244,19 @@
         }
 
         statDomain() { 
-            return this.statistic === "sd" ? { min: 0, max: 0.5 } : { min: 0, max: 1 }; 
+            return StatisticRegistry.resolve(this.statistic, "domain", this); 
         }
 
         computeStat(xs) {
             if (!xs.length) return NaN;
-            if (this.statistic === "mean") return StatUtils.mean(xs);
-            if (this.statistic === "median") return StatUtils.median(xs);
-            if (this.statistic === "sd") return StatUtils.robustSD(xs);
-            if (this.statistic === "proportion") return xs.filter((v) => v > this.threshold).length / xs.length;
-            return NaN;
+            return StatisticRegistry.get(this.statistic).compute(xs, this);
         }
 
         // Enhanced line tracking and updating
         updateLines() {
-            const popStats = this.popStats;
-            
             // Update parameter line
-            let paramValue = popStats.mu;
-            if (this.statistic === "median") paramValue = popStats.med;
-            else if (this.statistic === "sd") paramValue = popStats.sd;
-            else if (this.statistic === "proportion") paramValue = popStats.pthr;
+            const population = StatisticRegistry.describePopulation(this.popCounts);
+            const paramValue = StatisticRegistry.get(this.statistic).parameter(population, this);
             
             this.lines.parameter.value = paramValue;
             this.lines.parameter.x = this.valueToX(paramValue);
@@ -303,12 +300,12 @@
 
         // Additional methods for particle and animation management
         sampleN(n) {
-            const rng = this.rng, weights = this.popCounts; 
-            let total = 0; 
-            for (let i = 0; i < this.config.cols; i++) total += weights[i];
+            const rng = this.rng;
+            if (!this.aliasTable) this.aliasTable = MathUtils.buildAliasTable(this.popCounts);
+            const table = this.aliasTable;
             const xs = new Array(n), cols = new Array(n);
             
-            if (total === 0) {
+            if (!table) {
                 for (let i = 0; i < n; i++) { 
                     const col = Math.floor(rng() * this.config.cols); 
                     cols[i] = col; 
@@ -316,14 +313,7 @@
                 }
             } else {
                 for (let i = 0; i < n; i++) { 
-                    let target = rng() * total, acc = 0, chosen = this.config.cols >> 1; 
-                    for (let c = 0; c < this.config.cols; c++) { 
-                        acc += weights[c]; 
-                        if (target <= acc) { 
-                            chosen = c; 
-                            break; 
-                        } 
-                    } 
+                    const chosen = MathUtils.sampleAlias(table, rng); 
                     cols[i] = chosen; 
                     xs[i] = (chosen + 0.5) / this.config.cols; 
                 }
@@ -361,6 +351,7 @@
             if (yCanvas > this.marginY + this.H_TOP) return; 
             const col = StatUtils.clamp(Math.floor((xCanvas - this.gridX0) / this.BOX), 0, this.config.cols - 1); 
             this.popCounts[col] = StatUtils.clamp((this.popCounts[col] || 0) + 1, 0, 10000); 
+            this.aliasTable = null;
             this.updateLines();
             this.needsRedraw = true; 
         }
@@ -369,6 +360,7 @@
             if (yCanvas > this.marginY + this.H_TOP) return; 
             const col = StatUtils.clamp(Math.floor((xCanvas - this.gridX0) / this.BOX), 0, this.config.cols - 1); 
             this.popCounts[col] = StatUtils.clamp((this.popCounts[col] || 0) - 1, 0, 10000); 
+            this.aliasTable = null;
             this.updateLines();
             this.needsRedraw = true; 
         }
@@ -0,0 +1,146 @@
+// Accessible Data Module - Screen-reader layer for the canvas trays
+// Keeps an offscreen, navigable table per tray (population, current sample,
+// sampling distribution) in sync with the applet, and an aria-live region for
+// announcing each sample's statistic. Engine-agnostic: apps pass a function
+// returning the histograms to show.
+//
+//   const layer = new AccessibleData(canvas, {
+//       tables: () => [{ caption: 'Population', counts: engine.getPopulationData() }]
+//   });
+//   layer.refresh();                // after anything redraws
+//   layer.announce('Sample 3: …');  // spoken politely, rate-limited
+
+(function(global) {
+    'use strict';
+
+    const STYLE_ID = 'accessible-data-styles';
+    // Tables follow animations without rebuilding on every frame
+    const REFRESH_DELAY = 400;
+    // Minimum ms between announcements; newer messages replace queued ones
+    const ANNOUNCE_INTERVAL = 1500;
+
+    const escapeHTML = (text) => String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const format = (value) => value.toFixed(3);
+
+    /**
+     * One histogram as a table of bin ranges and counts. Empty bins before the
+     * first and after the last block are left out.
+     * @param {{caption: string, counts: ArrayLike<number>, domain?: {min: number, max: number}, valueLabel?: string}} table
+     */
+    function tableHTML({ caption, counts, domain = { min: 0, max: 1 }, valueLabel = 'Value' }) {
+        const width = (domain.max - domain.min) / counts.length;
+        let first = -1, last = -1;
+        for (let i = 0; i < counts.length; i++) {
+            if (!counts[i]) continue;
+            if (first < 0) first = i;
+            last = i;
+        }
+
+        const rows = [];
+        for (let i = first; first >= 0 && i <= last; i++) {
+            const lower = domain.min + i * width;
+            rows.push(`<tr><th scope="row">${format(lower)} to ${format(lower + width)}</th><td>${counts[i] || 0}</td></tr>`);
+        }
+        if (!rows.length) rows.push('<tr><td colspan="2">No data yet</td></tr>');
+
+        return `<table><caption>${escapeHTML(caption)}</caption>` +
+            `<thead><tr><th scope="col">${escapeHTML(valueLabel)} range</th><th scope="col">Count</th></tr></thead>` +
+            `<tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    class AccessibleData {
+        /**
+         * @param {Element} anchor - the visual (canvas or svg) the layer describes; inserted after it
+         * @param {{tables: function(): Array<object>, label?: string}} options
+         */
+        constructor(anchor, options) {
+            this.getTables = options.tables;
+            this.refreshTimer = null;
+            this.announceTimer = null;
+            this.pendingMessage = null;
+            this.lastMarkup = '';
+
+            this.addStyles();
+
+            this.element = document.createElement('section');
+            this.element.className = 'accessible-data';
+            this.element.setAttribute('aria-label', options.label || 'Data tables for the visualization');
+            this.element.innerHTML = `
+                <div class="accessible-data-tables"></div>
+                <div class="accessible-data-live" role="status" aria-live="polite" aria-atomic="true"></div>
+            `;
+            this.tables = this.element.querySelector('.accessible-data-tables');
+            this.live = this.element.querySelector('.accessible-data-live');
+
+            anchor.insertAdjacentElement('afterend', this.element);
+            this.update();
+        }
+
+        addStyles() {
+            if (document.getElementById(STYLE_ID)) return;
+
+            const style = document.createElement('style');
+            style.id = STYLE_ID;
+            // Visually hidden but still in the accessibility tree
+            style.textContent = `
+                .accessible-data {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    padding: 0;
+                    margin: -1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        // Schedule a table rebuild; bursts of redraws collapse into one
+        refresh() {
+            if (this.refreshTimer) return;
+            this.refreshTimer = setTimeout(() => {
+                this.refreshTimer = null;
+                this.update();
+            }, REFRESH_DELAY);
+        }
+
+        update() {
+            const markup = this.getTables().map(tableHTML).join('');
+            // Rewriting unchanged tables would reset a screen reader's place in them
+            if (markup === this.lastMarkup) return;
+            this.lastMarkup = markup;
+            this.tables.innerHTML = markup;
+        }
+
+        announce(message) {
+            this.pendingMessage = message;
+            if (!this.announceTimer) this.flushAnnouncement();
+        }
+
+        flushAnnouncement() {
+            this.announceTimer = null;
+            if (!this.pendingMessage) return;
+
+            this.live.textContent = this.pendingMessage;
+            this.pendingMessage = null;
+            this.announceTimer = setTimeout(() => this.flushAnnouncement(), ANNOUNCE_INTERVAL);
+        }
+
+        destroy() {
+            clearTimeout(this.refreshTimer);
+            clearTimeout(this.announceTimer);
+            this.element.remove();
+        }
+    }
+
+    AccessibleData.tableHTML = tableHTML;
+
+    // Export to global scope
+    global.AccessibleData = AccessibleData;
+
+})(window || this);
@@ -0,0 +1,115 @@
+// Bulk Simulation Module - Main-thread client for simulation-worker.js
+// One job at a time: run() streams partial histograms to onProgress and resolves
+// when the worker finishes or is cancelled. Callers fall back to synchronous
+// simulation when workers are unavailable (e.g. pages opened from file://).
+
+(function(global) {
+    'use strict';
+
+    // Resolve the worker next to this script, wherever the page lives
+    const scriptSrc = global.document?.currentScript?.src;
+    const DEFAULT_WORKER_URL = scriptSrc ? new URL('simulation-worker.js', scriptSrc).href : null;
+
+    class BulkSimulation {
+        constructor(workerUrl = DEFAULT_WORKER_URL) {
+            this.workerUrl = workerUrl;
+            this.worker = null;
+            this.job = null;
+            this.nextId = 1;
+        }
+
+        static isSupported() {
+            return typeof global.Worker === 'function' && !!DEFAULT_WORKER_URL;
+        }
+
+        isRunning() {
+            return !!this.job;
+        }
+
+        /**
+         * Run a bulk simulation in the worker.
+         * @param {{weights: ArrayLike<number>, bins: number, domain: {min: number, max: number},
+         *          statistic: string, settings: object, n: number, iterations: number,
+         *          seed: number, chunkSize?: number, retainValues?: boolean,
+         *          rejection?: {lower: ?number, upper: ?number}}} job
+         * @param {(update: {done: number, total: number, counts: Uint32Array,
+         *          values?: Float64Array, rejections?: number}) => void} onProgress
+         * @returns {Promise<{done: number, total: number, cancelled: boolean}>}
+         */
+        run(job, onProgress) {
+            if (this.job) return Promise.reject(new Error('A bulk simulation is already running'));
+
+            const id = this.nextId++;
+
+            return new Promise((resolve, reject) => {
+                // Constructing a worker throws outright on some origins (file://)
+                let worker;
+                try {
+                    worker = this.getWorker();
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+
+                this.job = { id, onProgress, resolve, reject };
+                worker.postMessage({
+                    ...job,
+                    type: 'run',
+                    id,
+                    weights: Array.from(job.weights)
+                });
+            });
+        }
+
+        cancel() {
+            if (this.job) this.worker.postMessage({ type: 'cancel', id: this.job.id });
+        }
+
+        terminate() {
+            this.worker?.terminate();
+            this.worker = null;
+            if (this.job) {
+                this.job.resolve({ done: 0, total: 0, cancelled: true });
+                this.job = null;
+            }
+        }
+
+        getWorker() {
+            if (this.worker) return this.worker;
+
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                e.preventDefault?.();
+                this.fail(new Error(e.message || 'Simulation worker failed to load'));
+                this.worker?.terminate();
+                this.worker = null;
+            };
+            return this.worker;
+        }
+
+        handleMessage(message) {
+            const job = this.job;
+            if (!job || message.id !== job.id) return;
+
+            if (message.type === 'progress') {
+                job.onProgress?.(message);
+            } else if (message.type === 'done') {
+                this.job = null;
+                job.resolve({ done: message.done, total: message.total, cancelled: message.cancelled });
+            } else if (message.type === 'error') {
+                this.fail(new Error(message.message));
+            }
+        }
+
+        fail(error) {
+            const job = this.job;
+            this.job = null;
+            job?.reject(error);
+        }
+    }
+
+    // Export to global scope
+    global.BulkSimulation = BulkSimulation;
+
+})(window || this);
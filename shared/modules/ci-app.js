@@ -0,0 +1,225 @@
+// Confidence Interval Coverage Application - Built on CLTApp
+// Each sample becomes an interval on a scrolling ladder, colored by whether it
+// captures the population parameter; repeated runs report empirical coverage.
+// Requires modules/intervals.js (IntervalMethods) and modules/clt-app.js.
+
+(function(global) {
+    'use strict';
+
+    // Most recent intervals kept for the ladder; coverage counts every interval
+    const MAX_LADDER_ROWS = 100;
+
+    // Intervals computed between frames in a bulk run
+    const BULK_CHUNK = 1000;
+
+    class CIApp extends CLTApp {
+        initializeComponents() {
+            if (!window.IntervalMethods) throw new Error('IntervalMethods not loaded');
+            super.initializeComponents();
+            this.resetLadder();
+        }
+
+        createControlPanel() {
+            return new UIComponents.IntervalControlPanel(this.controlsContainer);
+        }
+
+        setupEventListeners() {
+            super.setupEventListeners();
+
+            // Coverage only means something for one method, level, n and parameter
+            const restart = () => {
+                this.abandonBulkIntervals();
+                this.resetLadder();
+                this.render();
+            };
+            [
+                'distributionChange', 'generatorParamsChange', 'statisticChange', 'thresholdChange',
+                'quantileLevelChange', 'intervalMethodChange', 'confidenceLevelChange', 'sampleSizeChange',
+                'withoutReplacementToggle', 'seedChange'
+            ].forEach(event => this.controlPanel.on(event, restart));
+
+            this.actionBar.on('cancelBulk', () => {
+                if (this.bulkIntervals) this.bulkIntervals.cancelled = true;
+            });
+        }
+
+        populationModified(group) {
+            super.populationModified(group);
+            this.abandonBulkIntervals();
+            this.resetLadder();
+        }
+
+        supportsStatistic(name) {
+            return IntervalMethods.statistics().includes(name);
+        }
+
+        // ============ Intervals ============
+        resetLadder() {
+            this.ladder = { intervals: [], total: 0, covered: 0 };
+        }
+
+        getParameter() {
+            return IntervalMethods.populationParameter(this.engine.statistic, this.engine.getPopulationStats());
+        }
+
+        addInterval(values, parameter = this.getParameter()) {
+            const method = IntervalMethods.get(this.controlPanel.getControls().intervalMethod);
+            const interval = method.compute(values, this.engine.confidenceLevel, this.engine);
+            interval.covered = interval.lower <= parameter && parameter <= interval.upper;
+
+            this.ladder.total++;
+            if (interval.covered) this.ladder.covered++;
+            this.ladder.intervals.push(interval);
+            if (this.ladder.intervals.length > MAX_LADDER_ROWS) this.ladder.intervals.shift();
+            return interval;
+        }
+
+        // Intervals have no sampling distribution; listeners get coverage so far
+        statisticsComputed(runs, value = null) {
+            this.emit('statisticComputed', {
+                statistic: this.engine.statistic,
+                value,
+                runs,
+                coverage: {
+                    count: this.ladder.total,
+                    covered: this.ladder.covered,
+                    rate: this.ladder.total ? this.ladder.covered / this.ladder.total : null
+                }
+            });
+        }
+
+        // The bottom tray is the interval ladder, so no sampling distribution table
+        getAccessibleTables() {
+            return super.getAccessibleTables().slice(0, -1);
+        }
+
+        announceStatistics({ value, runs, coverage }) {
+            const { count, covered, rate } = coverage;
+            const latest = this.ladder.intervals[this.ladder.intervals.length - 1];
+            const added = value === null || !latest
+                ? `${runs} intervals added`
+                : `Interval ${count}: estimate ${latest.estimate.toFixed(3)}, from ${latest.lower.toFixed(3)} to ${latest.upper.toFixed(3)}, ${latest.covered ? 'captures' : 'misses'} the parameter`;
+            const summary = rate === null ? '' : ` Coverage ${(rate * 100).toFixed(1)}% (${covered} of ${count}).`;
+            this.accessibleData.announce(`${added}.${summary}`);
+        }
+
+        drawSample() {
+            if (this.animationState.isRunning || this.isBulkRunning()) return;
+
+            const controls = this.controlPanel.getControls();
+            if (!this.checkSampleSize(controls.sampleSize)) return;
+
+            const sampleResult = this.engine.drawSample(controls.sampleSize);
+            this.updateSampleVisualization({ A: sampleResult });
+            const interval = this.addInterval(sampleResult.values);
+            this.render();
+            this.statisticsComputed(1, interval.estimate);
+        }
+
+        runMultipleSamples(count) {
+            if (this.animationState.isRunning || this.isBulkRunning()) return;
+
+            const controls = this.controlPanel.getControls();
+            if (!this.checkSampleSize(controls.sampleSize)) return;
+
+            if (controls.speed === 'fast' || count >= 100) {
+                this.runBulkIntervals(count, controls.sampleSize);
+            } else {
+                this.runAnimatedSampling(count, controls.sampleSize);
+            }
+        }
+
+        // ============ Bulk Intervals ============
+        // BULK_CHUNK intervals per tick with the action bar's progress bar, so the
+        // page stays responsive. Cancel keeps the intervals so far; anything that
+        // restarts the ladder abandons the run.
+        isBulkRunning() {
+            return super.isBulkRunning() || !!this.bulkIntervals;
+        }
+
+        runBulkIntervals(count, sampleSize) {
+            const run = this.bulkIntervals = { cancelled: false };
+            const parameter = this.getParameter();
+            let done = 0;
+            this.actionBar.updateBulkProgress(0, count);
+
+            const step = () => {
+                if (this.bulkIntervals !== run) return;
+                if (!run.cancelled) {
+                    const end = Math.min(count, done + BULK_CHUNK);
+                    let sampleResult = null;
+                    for (; done < end; done++) {
+                        sampleResult = this.engine.drawSample(sampleSize);
+                        this.addInterval(sampleResult.values, parameter);
+                    }
+                    this.updateSampleVisualization({ A: sampleResult });
+                    this.actionBar.updateBulkProgress(done, count);
+                    this.render();
+                    if (done < count) {
+                        setTimeout(step, 0);
+                        return;
+                    }
+                }
+                this.bulkIntervals = null;
+                this.actionBar.updateBulkProgress(null);
+                this.statisticsComputed(done);
+            };
+
+            step();
+        }
+
+        abandonBulkIntervals() {
+            if (!this.bulkIntervals) return;
+            this.bulkIntervals = null;
+            this.actionBar.updateBulkProgress(null);
+        }
+
+        runAnimatedSampling(count, sampleSize) {
+            this.animationState = {
+                isRunning: true,
+                currentIteration: 0,
+                totalIterations: count,
+                startTime: Date.now()
+            };
+
+            const animate = () => {
+                if (!this.animationState.isRunning ||
+                    this.animationState.currentIteration >= this.animationState.totalIterations) {
+                    this.animationState.isRunning = false;
+                    return;
+                }
+
+                const sampleResult = this.engine.drawSample(sampleSize);
+                this.updateSampleVisualization({ A: sampleResult });
+                const interval = this.addInterval(sampleResult.values);
+
+                this.render();
+                this.statisticsComputed(1, interval.estimate);
+                this.animationState.currentIteration++;
+                setTimeout(animate, 50);
+            };
+
+            animate();
+        }
+
+        reset() {
+            this.abandonBulkIntervals();
+            this.resetLadder();
+            super.reset();
+        }
+
+        draw() {
+            this.renderer.renderIntervalLadder(this.engine, {
+                ...this.ladder,
+                level: this.engine.confidenceLevel,
+                parameter: this.getParameter(),
+                parameterLabel: this.engine.getParameterLabel(true),
+                methodLabel: IntervalMethods.get(this.controlPanel.getControls().intervalMethod).label
+            });
+        }
+    }
+
+    // Export to global scope
+    global.CIApp = CIApp;
+
+})(window || this);
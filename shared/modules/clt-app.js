@@ -4,8 +4,29 @@
 (function(global) {
     'use strict';
 
+    // Population samples simulated for the bootstrap's "true" sampling distribution
+    const BOOTSTRAP_REFERENCE_RUNS = 2000;
+
+    // Time each n of a sample-size sweep stays on show while it runs or plays
+    const SWEEP_STEP_MS = 1200;
+
+    // Sweep runs per timer tick when a step can't go to the worker
+    const SWEEP_CHUNK = 1000;
+
+    // localStorage slot for the browser-saved experiment
+    const EXPERIMENT_STORAGE_KEY = 'xbar-clt-experiment';
+
     class CLTApp {
-        constructor(canvasId, controlsId, actionsId) {
+        /**
+         * @param {string} canvasId - a <canvas> (or an <svg> for the SVG renderer)
+         * @param {string} controlsId
+         * @param {string} actionsId
+         * @param {{renderer?: 'canvas'|'svg', mode?: 'oneSample'|'twoSample'|'bootstrap'}} [options] -
+         *     'svg' draws an accessible, CSS-stylable SVG DOM (needs modules/svg-renderer.js);
+         *     mode is the one the applet opens in
+         */
+        constructor(canvasId, controlsId, actionsId, options = {}) {
+            this.options = options;
             this.canvas = document.getElementById(canvasId);
             this.controlsContainer = document.getElementById(controlsId);
             this.actionsContainer = document.getElementById(actionsId);
@@ -14,11 +35,16 @@
                 throw new Error('Required DOM elements not found');
             }
 
+            // Listeners for app events (sampleDrawn, statisticComputed, stateChanged)
+            this.listeners = new Map();
+
             // Initialize components
             this.initializeComponents();
             this.setupEventListeners();
             this.setupKeyboardShortcuts();
             this.setupResponsiveLayout();
+            if (options.mode) this.setMode(options.mode);
+            this.applyUrlState();
             
             // Initial render
             this.render();
@@ -28,6 +54,7 @@
             console.log('Initializing CLT App components...');
             
             // Check if required classes are available
+            if (!window.StatisticRegistry) throw new Error('StatisticRegistry not loaded');
             if (!window.StatEngine) throw new Error('StatEngine not loaded');
             if (!window.StatRenderer) throw new Error('StatRenderer not loaded');
             if (!window.UIComponents) throw new Error('UIComponents not loaded');
@@ -45,14 +72,44 @@
             console.log('Population set to normal distribution');
 
             // Initialize renderer
-            this.renderer = new StatRenderer(this.canvas);
+            if (this.options.renderer === 'svg') {
+                if (!window.SvgRenderer) throw new Error('SvgRenderer not loaded');
+                this.renderer = new SvgRenderer(this.canvas);
+                // A <canvas> is swapped for the renderer's <svg>; pointer input comes from there
+                this.canvas = this.renderer.element;
+            } else {
+                this.renderer = new StatRenderer(this.canvas);
+            }
+            // Re-render at the new resolution when the window moves to another monitor
+            StatRenderer.watchPixelRatio(() => this.render());
             console.log('StatRenderer initialized');
 
             // Initialize UI components
-            this.controlPanel = new UIComponents.ControlPanel(this.controlsContainer);
+            this.controlPanel = this.createControlPanel();
             this.actionBar = new UIComponents.ActionBar(this.actionsContainer);
             console.log('UI Components initialized');
 
+            // Offscreen data tables and live announcements for screen readers
+            if (window.AccessibleData) {
+                this.accessibleData = new AccessibleData(this.canvas, { tables: () => this.getAccessibleTables() });
+                this.on('statisticComputed', (data) => this.announceStatistics(data));
+            }
+
+            // Tones for new statistics and sweeps of the sampling distribution
+            if (window.Sonification) {
+                this.sonification = new Sonification();
+                this.on('statisticComputed', ({ value }) => {
+                    if (value !== null) this.sonification.playTone(this.statisticPosition(value));
+                });
+            }
+
+            // Bulk runs go to a worker when the page can start one
+            this.bulkSimulation = window.BulkSimulation?.isSupported() ? new BulkSimulation() : null;
+
+            // A painted population goes into shared links; a generated one is
+            // described by its distribution and parameters
+            this.populationPainted = false;
+
             // Animation state
             this.animationState = {
                 isRunning: false,
@@ -61,29 +118,116 @@
                 particles: [],
                 startTime: 0
             };
+
+            // Pending step of a running or playing sample-size sweep, and the
+            // worker job running one
+            this.sweepTimer = null;
+            this.sweepJob = null;
+        }
+
+        // Applets built on CLTApp swap in their own control panel here
+        createControlPanel() {
+            return new UIComponents.ControlPanel(this.controlsContainer);
         }
 
         setupEventListeners() {
             // Control panel events
-            this.controlPanel.on('distributionChange', (distribution) => {
-                this.engine.setPopulationGenerator(distribution);
+            this.controlPanel.on('modeChange', (mode) => {
+                const wasTwoSample = this.engine.isTwoSample();
+                this.engine.mode = mode;
+                // θ₀ follows the mode into and out of differences
+                if (this.engine.isTwoSample() !== wasTwoSample) {
+                    const nullValue = this.engine.getDefaultNullValue();
+                    this.engine.setHypothesis({ nullValue });
+                    this.controlPanel.setControls({ nullValue });
+                }
+                if (this.engine.isTwoSample() && !this.engine.generatorB) {
+                    const controls = this.controlPanel.getControls();
+                    this.engine.setPopulationGenerator(controls.distributionB, controls.generatorParamsB, 'B');
+                }
+                // Single statistics and differences don't share a histogram
+                this.engine.clearAll();
                 this.updatePopulationStats();
                 this.render();
             });
 
+            this.controlPanel.on('distributionChange', (distribution) => {
+                this.engine.setPopulationGenerator(distribution, this.controlPanel.getControls().generatorParams);
+                this.populationPainted = false;
+                this.populationChanged();
+                this.render();
+            });
+
+            this.controlPanel.on('generatorParamsChange', (params) => {
+                this.engine.setPopulationGenerator(this.controlPanel.getControls().distribution, params);
+                this.populationPainted = false;
+                this.populationChanged();
+                this.render();
+            });
+
+            this.controlPanel.on('distributionBChange', (distribution) => {
+                this.engine.setPopulationGenerator(distribution, this.controlPanel.getControls().generatorParamsB, 'B');
+                this.populationChanged();
+                this.render();
+            });
+
+            this.controlPanel.on('generatorParamsBChange', (params) => {
+                this.engine.setPopulationGenerator(this.controlPanel.getControls().distributionB, params, 'B');
+                this.populationChanged();
+                this.render();
+            });
+
             this.controlPanel.on('statisticChange', (statistic) => {
+                this.endSweep();
                 this.engine.statistic = statistic;
+                this.engine.resetTestCounts();
+                this.restartBootstrap();
+                this.render();
+            });
+
+            this.controlPanel.on('quantileLevelChange', (level) => {
+                this.endSweep();
+                this.engine.quantileLevel = level;
+                this.engine.resetTestCounts();
+                this.restartBootstrap();
                 this.render();
             });
 
             this.controlPanel.on('thresholdChange', (threshold) => {
+                this.endSweep();
                 this.engine.threshold = threshold;
+                this.engine.resetTestCounts();
+                this.restartBootstrap();
                 this.updatePopulationStats();
                 this.render();
             });
 
+            this.controlPanel.on('confidenceLevelChange', (level) => {
+                this.engine.confidenceLevel = level;
+                this.render();
+            });
+
             this.controlPanel.on('sampleSizeChange', (sampleSize) => {
+                // Closing a sweep puts back the n it replaced
+                this.endSweep();
+                this.engine.sampleSize = sampleSize;
+                // The rejection region moves with n, so earlier counts no longer apply
+                this.engine.resetTestCounts();
                 this.actionBar.updateSampleSizeDisplay(sampleSize);
+                this.render();
+            });
+
+            this.controlPanel.on('sampleSizeBChange', (sampleSize) => {
+                this.engine.sampleSizeB = sampleSize;
+                this.engine.resetTestCounts();
+                this.render();
+            });
+
+            this.controlPanel.on('withoutReplacementToggle', (withoutReplacement) => {
+                // Results from the two schemes don't belong in the same histogram
+                this.engine.replacement = !withoutReplacement;
+                this.engine.clearAll();
+                this.render();
             });
 
             this.controlPanel.on('speedChange', (speed) => {
@@ -97,6 +241,46 @@
                 this.render();
             });
 
+            this.controlPanel.on('saveExperiment', ({ target }) => {
+                this.saveExperiment(target);
+            });
+
+            this.controlPanel.on('loadExperiment', ({ source, file }) => {
+                this.loadExperiment(source, file);
+            });
+
+            this.controlPanel.on('exportData', ({ format, dataset }) => {
+                this.exportData(format, dataset);
+            });
+
+            this.controlPanel.on('exportFigure', ({ format, scale }) => {
+                this.exportFigure(format, scale);
+            });
+
+            this.controlPanel.on('sonifyToggle', (enabled) => {
+                this.sonification?.setEnabled(enabled);
+            });
+
+            this.controlPanel.on('playDistribution', (mode) => {
+                if (!this.sonification) return;
+                if (!this.sonification.playSweep(this.engine.samplingDistData, mode)) {
+                    alert('Draw some samples first: the sampling distribution is empty.');
+                }
+            });
+
+            this.controlPanel.on('copyLink', () => {
+                UrlState.copyLink(this.getUrlState())
+                    .then(() => this.controlPanel.setExperimentStatus('Link copied'));
+            });
+
+            // Keep the address bar and any listeners (embedding pages) in step
+            [
+                'modeChange', 'distributionChange', 'generatorParamsChange', 'distributionBChange',
+                'generatorParamsBChange', 'statisticChange', 'thresholdChange', 'quantileLevelChange',
+                'confidenceLevelChange', 'sampleSizeChange', 'sampleSizeBChange', 'withoutReplacementToggle',
+                'seedChange', 'speedChange'
+            ].forEach(event => this.controlPanel.on(event, () => this.stateChanged()));
+
             // Action bar events
             this.actionBar.on('drawSample', () => {
                 this.drawSample();
@@ -106,10 +290,54 @@
                 this.runMultipleSamples(count);
             });
 
+            this.controlPanel.on('normalFitToggle', (show) => {
+                this.renderer.showLines.normalFit = show;
+                this.render();
+            });
+
+            this.controlPanel.on('runSweep', (sweep) => {
+                this.runSweep(sweep);
+            });
+
+            this.controlPanel.on('playSweep', () => {
+                this.toggleSweepPlayback();
+            });
+
+            this.controlPanel.on('sweepStep', (index) => {
+                this.stopSweepTimer();
+                this.showSweepStep(index);
+            });
+
+            this.controlPanel.on('endSweep', () => {
+                this.endSweep();
+            });
+
+            // The panel changes the layout, which render() recomputes
+            this.controlPanel.on('qqToggle', (show) => {
+                this.renderer.showQQPlot = show;
+                this.render();
+            });
+
+            // A new hypothesis starts the rejection count over
+            this.controlPanel.on('testChange', ({ testMode, ...hypothesis }) => {
+                this.engine.setHypothesis(hypothesis);
+                this.engine.setTestMode(testMode);
+                this.render();
+            });
+
+            this.controlPanel.on('kdeChange', (kde) => {
+                Object.assign(this.renderer.kde, kde);
+                this.render();
+            });
+
             this.actionBar.on('reset', () => {
                 this.reset();
             });
 
+            this.actionBar.on('cancelBulk', () => {
+                this.bulkSimulation?.cancel();
+            });
+
             // Canvas interaction for population modification
             this.setupCanvasInteraction();
         }
@@ -118,10 +346,12 @@
             let isDrawing = false;
             let lastPosition = null;
 
+            // Renderer coordinates are CSS pixels of the layout, not backing-store pixels
             const getCanvasPosition = (e) => {
                 const rect = this.canvas.getBoundingClientRect();
-                const scaleX = this.canvas.width / rect.width;
-                const scaleY = this.canvas.height / rect.height;
+                const size = this.renderer.getFigureSize();
+                const scaleX = size.width / rect.width;
+                const scaleY = size.height / rect.height;
                 
                 return {
                     x: (e.clientX - rect.left) * scaleX,
@@ -133,10 +363,14 @@
                 const pos = getCanvasPosition(e);
                 const proportion = this.renderer.screenToValue(pos.x);
                 
-                // Only modify if in population area
-                if (pos.y < this.renderer.layout.heights.top + this.renderer.layout.marginY) {
-                    this.engine.modifyPopulation(proportion, isAdding ? 1 : -1);
-                    this.updatePopulationStats();
+                // Only modify if in population area (either band in two-sample mode)
+                const group = this.renderer.populationGroupAt(pos.y);
+                if (group) {
+                    // Keyboard painting carries on from the last painted column
+                    this.populationCursor = { column: this.renderer.valueToColumn(proportion), group };
+                    if (this.renderer.populationCursor) this.renderer.populationCursor = this.populationCursor;
+                    this.engine.modifyPopulation(proportion, isAdding ? 1 : -1, group);
+                    this.populationModified(group);
                     this.render();
                 }
             };
@@ -152,7 +386,9 @@
                 modifyPopulation(e, !e.shiftKey);
             });
 
+            // The link is updated once per stroke; browsers throttle history updates
             this.canvas.addEventListener('mouseup', () => {
+                if (isDrawing) this.stateChanged();
                 isDrawing = false;
                 lastPosition = null;
             });
@@ -161,6 +397,96 @@
                 isDrawing = false;
                 lastPosition = null;
             });
+
+            // Keyboard painting: the canvas takes focus, which shows the cursor
+            this.populationCursor = { column: Math.floor(this.engine.config.cols / 2), group: 'A' };
+            if (!this.canvas.hasAttribute('tabindex')) this.canvas.setAttribute('tabindex', '0');
+            if (!this.canvas.hasAttribute('aria-label')) {
+                this.canvas.setAttribute('aria-label', 'Population, sample and sampling distribution. ' +
+                    'Left and Right arrows choose a population column, Up and Down add or remove blocks, Shift for five at a time.');
+            }
+            this.canvas.addEventListener('focus', () => this.showPopulationCursor(true));
+            this.canvas.addEventListener('blur', () => this.showPopulationCursor(false));
+        }
+
+        // After painting by pointer or keyboard; applets built on CLTApp hook in here
+        populationModified(group) {
+            if (group === 'A') this.populationPainted = true;
+            this.populationChanged();
+        }
+
+        // Any population change: θ and the null SE move, so the rejection counts
+        // restart, and an open sweep no longer describes this population
+        populationChanged() {
+            this.endSweep();
+            this.engine.resetTestCounts();
+            this.refreshBootstrapReference();
+            this.updatePopulationStats();
+        }
+
+        // ============ Keyboard Painting ============
+        showPopulationCursor(visible) {
+            if (visible) this.clampPopulationCursor();
+            this.renderer.populationCursor = visible ? this.populationCursor : null;
+            this.render();
+            if (visible) this.announcePopulationCursor();
+        }
+
+        // Back to population A when B goes away with two-sample mode
+        clampPopulationCursor() {
+            const cursor = this.populationCursor;
+            if (cursor.group === 'B' && !this.engine.isTwoSample()) cursor.group = 'A';
+            cursor.column = MathUtils.clamp(cursor.column, 0, this.engine.config.cols - 1);
+        }
+
+        moveCursor(delta) {
+            this.populationCursor.column += delta;
+            this.cursorMoved();
+        }
+
+        jumpCursor(end) {
+            this.populationCursor.column = end === 'end' ? this.engine.config.cols - 1 : 0;
+            this.cursorMoved();
+        }
+
+        switchCursorGroup(direction) {
+            if (!this.engine.isTwoSample()) return;
+            this.populationCursor.group = direction < 0 ? 'A' : 'B';
+            this.cursorMoved();
+        }
+
+        cursorMoved() {
+            this.clampPopulationCursor();
+            this.renderer.populationCursor = this.populationCursor;
+            this.render();
+            this.announcePopulationCursor();
+        }
+
+        // Add (delta > 0) or remove blocks in the cursor's column
+        paintCursor(delta) {
+            this.clampPopulationCursor();
+            const { column, group } = this.populationCursor;
+            this.engine.modifyPopulation((column + 0.5) / this.engine.config.cols, delta, group);
+            this.populationModified(group);
+            this.renderer.populationCursor = this.populationCursor;
+            this.render();
+            this.announcePopulationCursor();
+            
+            // Held keys repeat; update the link once they settle
+            clearTimeout(this.cursorStateTimer);
+            this.cursorStateTimer = setTimeout(() => this.stateChanged(), 300);
+        }
+
+        announcePopulationCursor() {
+            if (!this.accessibleData) return;
+            const { column, group } = this.populationCursor;
+            const cols = this.engine.config.cols;
+            const count = this.engine.getPopulationData(group)[column] || 0;
+            const name = this.engine.isTwoSample() ? `Population ${group}` : 'Population';
+            this.accessibleData.announce(
+                `${name}, column ${column + 1} of ${cols} (${(column / cols).toFixed(3)} to ${((column + 1) / cols).toFixed(3)}): ` +
+                `${count} block${count === 1 ? '' : 's'}.`
+            );
         }
 
         setupKeyboardShortcuts() {
@@ -172,8 +498,12 @@
                 toggleErase: () => {
                     // Toggle erase mode (for future enhancement)
                     console.log('Toggle erase mode');
-                }
-            });
+                },
+                moveCursor: (delta) => this.moveCursor(delta),
+                jumpCursor: (end) => this.jumpCursor(end),
+                paintCursor: (delta) => this.paintCursor(delta),
+                switchCursorGroup: (direction) => this.switchCursorGroup(direction)
+            }, this.canvas);
         }
 
         setupResponsiveLayout() {
@@ -192,49 +522,274 @@
         }
 
         drawSample() {
-            if (this.animationState.isRunning) return;
+            if (this.animationState.isRunning || this.isBulkRunning()) return;
+            this.endSweep();
             
             const controls = this.controlPanel.getControls();
-            const sampleResult = this.engine.drawSample(controls.sampleSize);
+            if (!this.checkSampleSize(controls.sampleSize, controls.sampleSizeB)) return;
+            
+            if (this.engine.isBootstrap()) {
+                this.drawBootstrapSample(controls.sampleSize);
+                this.render();
+                return;
+            }
+            
+            const trial = this.engine.runTrial(controls.sampleSize, controls.sampleSizeB);
             
             // Update sample visualization
-            this.updateSampleVisualization(sampleResult);
+            this.updateSampleVisualization(trial.samples);
             
-            // Calculate and add statistic
-            const statisticValue = this.engine.computeStatistic(sampleResult.values);
-            if (!isNaN(statisticValue)) {
-                this.engine.addToSamplingDistribution(statisticValue);
+            // Add statistic (a difference in two-sample mode)
+            if (!isNaN(trial.statistic)) {
+                this.engine.addToSamplingDistribution(trial.statistic);
+                this.engine.recordTest(trial.statistic);
             }
             
             this.render();
+            this.statisticsComputed(1, trial.statistic);
+        }
+
+        // ============ Bootstrap ============
+        // A new original sample starts a fresh bootstrap distribution
+        drawBootstrapSample(sampleSize) {
+            const trial = this.engine.runTrial(sampleSize);
+            this.updateSampleVisualization(trial.samples);
+            this.engine.clearSamplingDistribution();
+            this.refreshBootstrapReference();
+        }
+
+        // The true sampling distribution depends on the population and statistic
+        refreshBootstrapReference() {
+            if (!this.engine.isBootstrap() || !this.engine.hasBootstrapSample()) return;
+            this.engine.buildReferenceDistribution(BOOTSTRAP_REFERENCE_RUNS);
+        }
+
+        // Resamples of a different statistic can't share the histogram
+        restartBootstrap() {
+            if (!this.engine.isBootstrap()) return;
+            this.engine.clearSamplingDistribution();
+            this.refreshBootstrapReference();
+        }
+
+        checkSampleSize(sampleSize, sampleSizeB) {
+            const validation = this.engine.validateTrial(sampleSize, sampleSizeB);
+            if (!validation.valid) {
+                alert(validation.message);
+                return false;
+            }
+            return true;
         }
 
-        updateSampleVisualization(sampleResult) {
-            // Clear previous sample
-            this.engine.clearSample();
+        updateSampleVisualization(samples) {
+            // Clear the previous sample's blocks; the drawn values stay in
+            // currentSample (bootstrap resampling and export read them)
+            this.engine.sampleData.fill(0);
+            this.engine.sampleDataB.fill(0);
             
-            // Add to sample data for visualization
-            sampleResult.columns.forEach(col => {
-                this.engine.sampleData[col] = (this.engine.sampleData[col] || 0) + 1;
+            // Add to sample data for visualization, one tray band per group
+            Object.entries(samples).forEach(([group, sampleResult]) => {
+                const sampleData = this.engine.getSampleData(group);
+                sampleResult.columns.forEach(col => {
+                    sampleData[col] = (sampleData[col] || 0) + 1;
+                });
             });
+
+            this.emit('sampleDrawn', { values: samples.A.values, valuesB: samples.B?.values });
         }
 
         runMultipleSamples(count) {
-            if (this.animationState.isRunning) return;
+            if (this.animationState.isRunning || this.isBulkRunning()) return;
+            this.endSweep();
             
             const controls = this.controlPanel.getControls();
+            if (!this.checkSampleSize(controls.sampleSize, controls.sampleSizeB)) return;
+            
+            // Repeat resamples the drawn sample in bootstrap mode, drawing one first if needed
+            if (this.engine.isBootstrap() && !this.engine.hasBootstrapSample()) {
+                this.drawBootstrapSample(controls.sampleSize);
+            }
             
             if (controls.speed === 'fast' || count >= 100) {
                 // Run bulk simulation for fast mode or large counts
-                this.engine.runBulkSimulation(controls.sampleSize, count);
+                if (this.bulkSimulation && this.engine.canRunInWorker()) {
+                    this.runWorkerSimulation(controls.sampleSize, count);
+                    return;
+                }
+                if (this.engine.isBootstrap()) this.engine.runBootstrap(count);
+                else this.engine.runBulkSimulation(controls.sampleSize, count, controls.sampleSizeB);
                 this.render();
+                this.statisticsComputed(count);
             } else {
                 // Animated mode for normal speed and small counts
-                this.runAnimatedSampling(count, controls.sampleSize);
+                this.runAnimatedSampling(count, controls.sampleSize, controls.sampleSizeB);
             }
         }
 
-        runAnimatedSampling(count, sampleSize) {
+        // ============ Sample-Size Sweep ============
+        // Runs one n per tick, showing each histogram as it is done; once all have
+        // run, the scrubber and Play move between them. Drawing samples, Reset or
+        // a mode change returns to the user's own runs.
+        runSweep({ sizes, repetitions }) {
+            // A new sweep replaces one still running
+            this.endSweep();
+            if (this.animationState.isRunning || this.isBulkRunning()) return;
+            if (this.engine.mode !== 'oneSample') {
+                alert('Sweep n works in one-sample mode');
+                return;
+            }
+            if (!sizes.every(n => this.checkSampleSize(n))) return;
+
+            this.engine.startSweep(sizes, repetitions);
+            this.runSweepStep(this.engine.sweep);
+        }
+
+        // Each n runs as a worker job where the engine allows one, then finishes in
+        // chunks on this thread (all of it without a worker) so the page stays live
+        runSweepStep(sweep) {
+            this.sweepTimer = null;
+            // Closed (or replaced) since the last step
+            if (this.engine.sweep !== sweep) return;
+            const job = this.bulkSimulation && this.engine.canRunInWorker() ? this.engine.createSweepJob() : null;
+            if (!job) {
+                this.runSweepChunks(sweep);
+                return;
+            }
+
+            let merged = 0;
+            this.sweepJob = job;
+            this.bulkSimulation.run(job, ({ done, counts, values }) => {
+                // The step's bins no longer describe this population or statistic
+                if (!this.engine.isBulkJobCurrent(job)) {
+                    this.endSweep();
+                    return;
+                }
+                this.engine.mergeSweepCounts(counts, values, done - merged);
+                merged = done;
+            }).catch(error => {
+                console.warn('Simulation worker unavailable, running on the main thread:', error.message);
+                this.bulkSimulation = null;
+            }).finally(() => {
+                if (this.sweepJob === job) this.sweepJob = null;
+                this.runSweepChunks(sweep);
+            });
+        }
+
+        runSweepChunks(sweep) {
+            this.sweepTimer = null;
+            if (this.engine.sweep !== sweep) return;
+            const index = this.engine.runSweepTrials(SWEEP_CHUNK);
+            if (index < 0) {
+                this.sweepTimer = setTimeout(() => this.runSweepChunks(sweep), 0);
+                return;
+            }
+            this.showSweepStep(index);
+            if (!this.engine.isSweepComplete()) this.sweepTimer = setTimeout(() => this.runSweepStep(sweep), SWEEP_STEP_MS);
+            this.syncSweepControls();
+        }
+
+        showSweepStep(index) {
+            const sweep = this.engine.sweep;
+            if (!sweep?.steps[index]) return;
+            const step = this.engine.showSweepStep(index);
+            if (step.samples) this.updateSampleVisualization(step.samples);
+            this.render();
+            this.accessibleData?.announce(this.sweepStatus());
+        }
+
+        // Plays from the step on show (from the start when at the end)
+        toggleSweepPlayback() {
+            if (this.sweepTimer) {
+                this.stopSweepTimer();
+                return;
+            }
+            const sweep = this.engine.sweep;
+            if (!this.engine.isSweepComplete()) return;
+            if (sweep.index >= sweep.steps.length - 1) this.showSweepStep(0);
+
+            const next = () => {
+                this.sweepTimer = null;
+                if (this.engine.sweep !== sweep) return;
+                this.showSweepStep(sweep.index + 1);
+                if (sweep.index < sweep.steps.length - 1) this.sweepTimer = setTimeout(next, SWEEP_STEP_MS);
+                this.syncSweepControls();
+            };
+            this.sweepTimer = setTimeout(next, SWEEP_STEP_MS);
+            this.syncSweepControls();
+        }
+
+        stopSweepTimer() {
+            clearTimeout(this.sweepTimer);
+            this.sweepTimer = null;
+            this.syncSweepControls();
+        }
+
+        endSweep() {
+            if (!this.engine.sweep) return;
+            // Terminating drops the running step's bins
+            if (this.sweepJob) {
+                this.sweepJob = null;
+                this.bulkSimulation?.terminate();
+            }
+            this.stopSweepTimer();
+            this.engine.endSweep();
+            this.render();
+        }
+
+        // "n = 30: SD of 1000 runs 0.052 · SE 0.053"
+        sweepStatus() {
+            const { sd, total } = this.engine.getSamplingDistributionStats();
+            const se = this.engine.getTheoreticalSE();
+            return `n = ${this.engine.sampleSize}: SD of ${total} runs ${sd.toFixed(3)}` +
+                (isFinite(se) ? ` · SE ${se.toFixed(3)}` : '');
+        }
+
+        syncSweepControls() {
+            const sweep = this.engine.sweep;
+            this.controlPanel.setSweepState?.(sweep && sweep.index >= 0 ? {
+                steps: sweep.sizes.length,
+                index: sweep.index,
+                complete: this.engine.isSweepComplete(),
+                playing: !!this.sweepTimer && this.engine.isSweepComplete(),
+                status: this.sweepStatus()
+            } : null);
+        }
+
+        // ============ Worker Simulation ============
+        // A sweep's worker job doesn't count: starting anything else ends the sweep
+        isBulkRunning() {
+            return !!this.bulkSimulation?.isRunning() && !this.sweepJob;
+        }
+
+        // Partial histograms stream in while the page keeps animating; if the
+        // worker can't run, the remaining iterations finish on this thread
+        runWorkerSimulation(sampleSize, count) {
+            const job = this.engine.createBulkJob(sampleSize, count);
+            let merged = 0;
+            this.actionBar.updateBulkProgress(0, count);
+
+            this.bulkSimulation.run(job, ({ done, total, counts, values, rejections }) => {
+                // Bins from another statistic, threshold or population don't belong here
+                if (!this.engine.isBulkJobCurrent(job)) {
+                    this.bulkSimulation.cancel();
+                    return;
+                }
+                this.engine.mergeSamplingCounts(counts, values, rejections);
+                merged = done;
+                this.actionBar.updateBulkProgress(done, total);
+                this.render();
+            }).catch(error => {
+                console.warn('Simulation worker unavailable, running on the main thread:', error.message);
+                this.bulkSimulation = null;
+                this.engine.runBulkSimulation(sampleSize, count - merged);
+                merged = count;
+            }).finally(() => {
+                this.actionBar.updateBulkProgress(null);
+                this.render();
+                this.statisticsComputed(merged);
+            });
+        }
+
+        runAnimatedSampling(count, sampleSize, sampleSizeB) {
             this.animationState = {
                 isRunning: true,
                 currentIteration: 0,
@@ -243,21 +798,30 @@
             };
 
             const animate = () => {
-                if (this.animationState.currentIteration >= this.animationState.totalIterations) {
+                if (this.animationState.currentIteration >= this.animationState.totalIterations ||
+                    !this.engine.validateTrial(sampleSize, sampleSizeB).valid) {
                     this.animationState.isRunning = false;
                     return;
                 }
 
-                // Draw one sample
-                const sampleResult = this.engine.drawSample(sampleSize);
-                this.updateSampleVisualization(sampleResult);
-                
-                const statisticValue = this.engine.computeStatistic(sampleResult.values);
-                if (!isNaN(statisticValue)) {
-                    this.engine.addToSamplingDistribution(statisticValue);
+                let statistic;
+                if (this.engine.isBootstrap()) {
+                    // The drawn sample stays put while it is resampled
+                    statistic = this.engine.drawBootstrapResample().statistic;
+                } else {
+                    // Draw one sample (one per group in two-sample mode)
+                    const trial = this.engine.runTrial(sampleSize, sampleSizeB);
+                    this.updateSampleVisualization(trial.samples);
+                    statistic = trial.statistic;
+                    
+                    if (!isNaN(trial.statistic)) {
+                        this.engine.addToSamplingDistribution(trial.statistic);
+                        this.engine.recordTest(trial.statistic);
+                    }
                 }
                 
                 this.render();
+                this.statisticsComputed(1, statistic);
                 this.animationState.currentIteration++;
                 
                 // Continue animation
@@ -269,20 +833,248 @@
 
         reset() {
             this.animationState.isRunning = false;
+            // Terminating drops any histogram chunks still in flight
+            this.bulkSimulation?.terminate();
+            this.endSweep();
             this.engine.clearAll();
             this.render();
+            this.stateChanged();
+        }
+
+        // ============ Save / Load ============
+        saveExperiment(target = 'browser') {
+            // Sweep histograms aren't part of the experiment
+            this.endSweep();
+            if (target === 'file') {
+                Download.save(`clt-experiment-${new Date().toISOString().slice(0, 10)}.json`,
+                    JSON.stringify(this.engine), 'application/json');
+                return;
+            }
+
+            try {
+                // The histogram without its raw values; those only go into files
+                localStorage.setItem(EXPERIMENT_STORAGE_KEY, JSON.stringify(this.engine.snapshot({ statisticValues: false })));
+                this.controlPanel.setExperimentStatus(`Saved ${new Date().toLocaleTimeString()}`);
+            } catch (error) {
+                alert(`Could not save the experiment: ${error.message}`);
+            }
+        }
+
+        async loadExperiment(source = 'browser', file = null) {
+            let text;
+            try {
+                text = source === 'file' ? await file.text() : localStorage.getItem(EXPERIMENT_STORAGE_KEY);
+            } catch (error) {
+                alert(`Could not read the experiment: ${error.message}`);
+                return;
+            }
+            if (!text) {
+                alert('No saved experiment in this browser');
+                return;
+            }
+
+            try {
+                this.restoreExperiment(JSON.parse(text));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            this.controlPanel.setExperimentStatus(source === 'file' ? `Loaded ${file.name}` : 'Loaded saved experiment');
+        }
+
+        // Swap in an engine rebuilt from StatEngine.toJSON() output and bring the
+        // controls in line with it
+        restoreExperiment(data) {
+            const engine = StatEngine.fromJSON(data, { colors: this.engine.config.colors });
+
+            this.animationState.isRunning = false;
+            this.bulkSimulation?.terminate();
+            this.endSweep();
+            this.engine = engine;
+            this.populationPainted = true;
+
+            const controls = this.controlPanel.getControls();
+            this.controlPanel.setControls({
+                mode: engine.mode,
+                distribution: engine.generator?.name || controls.distribution,
+                generatorParams: { ...engine.generator?.params },
+                distributionB: engine.generatorB?.name || controls.distributionB,
+                generatorParamsB: { ...(engine.generatorB?.params || controls.generatorParamsB) },
+                statistic: engine.statistic,
+                threshold: engine.threshold,
+                quantileLevel: engine.quantileLevel,
+                sampleSize: engine.sampleSize,
+                sampleSizeB: engine.sampleSizeB,
+                withoutReplacement: !engine.replacement,
+                speed: engine.speed,
+                seed: engine.config.seed,
+                confidenceLevel: engine.confidenceLevel,
+                testMode: engine.testMode,
+                ...engine.hypothesis
+            });
+            this.actionBar.updateSampleSizeDisplay(engine.sampleSize);
+
+            this.stateChanged();
+            this.updatePopulationStats();
+            this.render();
+        }
+
+        // ============ Data Export ============
+        exportData(format = 'csv', dataset = 'statistics') {
+            const data = this.engine.exportData();
+            if (this.populationPainted && this.engine.generator) {
+                data.meta.generator = `painted, starting from ${data.meta.generator}`;
+            }
+            DataExport.save(data, format, dataset);
+        }
+
+        // The three trays as a 2×/3× PNG or an SVG, drawn by the same code as the screen
+        exportFigure(format = 'png', scale = 2) {
+            const { width, height } = this.renderer.getFigureSize();
+            const basename = `figure-${this.engine.statistic}-n${this.engine.sampleSize}-seed${this.engine.config.seed}`;
+            const draw = (ctx, ratio) => this.renderer.drawTo(ctx, () => this.draw(), ratio);
+
+            FigureExport.save(width, height, draw, format, scale, basename).catch(error => {
+                alert(`Could not export the figure: ${error.message}`);
+            });
+        }
+
+        // ============ Accessibility ============
+        // One table per tray, for AccessibleData
+        getAccessibleTables() {
+            const engine = this.engine;
+            const groups = engine.isTwoSample() ? ['A', 'B'] : ['A'];
+            const name = (group) => engine.isTwoSample() ? ` ${group}` : '';
+            const tables = [];
+
+            groups.forEach(group => {
+                const { mean, sd } = engine.getPopulationStats(group);
+                tables.push({
+                    caption: `Population${name(group)}: mean ${mean.toFixed(3)}, SD ${sd.toFixed(3)}`,
+                    counts: engine.getPopulationData(group)
+                });
+            });
+            groups.forEach(group => {
+                const data = engine.getSampleData(group);
+                const size = Array.from(data).reduce((sum, count) => sum + count, 0);
+                tables.push({ caption: `Current sample${name(group)} (${size} values)`, counts: data });
+            });
+
+            const label = engine.getStatisticLabel();
+            const { total } = engine.getSamplingDistributionStats();
+            tables.push({
+                caption: `${engine.isBootstrap() ? 'Bootstrap' : 'Sampling'} distribution of the ${label} (${total} runs)`,
+                counts: engine.samplingDistData,
+                domain: engine.getStatisticDomain(),
+                valueLabel: label
+            });
+            return tables;
+        }
+
+        // A drawn sample reads its statistic; bulk runs read only the new totals
+        announceStatistics({ value, runs, samplingDistribution }) {
+            const label = this.engine.getStatisticLabel();
+            const { count, mean, sd } = samplingDistribution;
+            const added = value === null ? `${runs} samples added` : `Sample ${count}: ${label} = ${value.toFixed(3)}`;
+            this.accessibleData.announce(`${added}. E[${label}] = ${mean.toFixed(3)}, SD[${label}] = ${sd.toFixed(3)} over ${count} run${count === 1 ? '' : 's'}.`);
+        }
+
+        // ============ Sonification ============
+        // Where a statistic sits across the bottom tray (0 = left, 1 = right)
+        statisticPosition(value) {
+            const { gridX0, gridW } = this.renderer.layout;
+            return (this.renderer.valueToX(value, this.engine.getStatisticDomain()) - gridX0) / gridW;
+        }
+
+        // ============ URL State ============
+        getUrlState() {
+            const controls = this.controlPanel.getControls();
+            return {
+                distribution: controls.distribution,
+                generatorParams: controls.generatorParams,
+                statistic: controls.statistic,
+                threshold: controls.statistic === 'proportion' ? controls.threshold : undefined,
+                quantileLevel: controls.statistic === 'quantile' ? controls.quantileLevel : undefined,
+                sampleSize: controls.sampleSize,
+                seed: controls.seed,
+                speed: controls.speed,
+                population: this.populationPainted ? this.engine.populationData : undefined
+            };
+        }
+
+        updateUrlState() {
+            global.UrlState?.write(this.getUrlState());
+        }
+
+        // Statistics this applet's controls can show
+        supportsStatistic(name) {
+            return StatisticRegistry.has(name);
+        }
+
+        // Configure the applet from the location hash (see modules/url-state.js)
+        applyUrlState() {
+            if (!global.UrlState) return;
+
+            const state = UrlState.parse();
+            const controls = this.controlPanel.getControls();
+            const changes = {};
+
+            const distribution = PopulationGenerators[state.distribution] ? state.distribution : controls.distribution;
+            if (distribution !== controls.distribution || state.generatorParams) {
+                changes.distribution = distribution;
+                changes.generatorParams = StatEngine.resolveGeneratorParams(distribution, state.generatorParams || {});
+            }
+            if (state.statistic && this.supportsStatistic(state.statistic)) changes.statistic = state.statistic;
+            if (state.threshold !== undefined) changes.threshold = MathUtils.clamp(state.threshold, 0.05, 0.95);
+            if (state.quantileLevel !== undefined) changes.quantileLevel = MathUtils.clamp(state.quantileLevel, 0.01, 0.99);
+            if (state.sampleSize !== undefined) changes.sampleSize = MathUtils.clamp(state.sampleSize, 2, 500);
+            if (state.seed !== undefined) changes.seed = state.seed;
+            if (state.speed) changes.speed = state.speed;
+
+            const population = state.population && UrlState.decodePopulation(state.population, this.engine.config.cols);
+            if (!Object.keys(changes).length && !population) return;
+
+            this.endSweep();
+            this.controlPanel.setControls(changes);
+            const applied = this.controlPanel.getControls();
+
+            this.engine.setPopulationGenerator(applied.distribution, applied.generatorParams);
+            if (population) {
+                this.engine.populationData.set(population);
+                this.engine.invalidateSampler('A');
+                this.populationPainted = true;
+            }
+            this.engine.statistic = applied.statistic;
+            this.engine.threshold = applied.threshold;
+            this.engine.quantileLevel = applied.quantileLevel;
+            this.engine.sampleSize = applied.sampleSize;
+            this.engine.speed = applied.speed;
+            this.engine.config.seed = applied.seed;
+            this.engine.rng = MathUtils.createRNG(applied.seed);
+
+            this.actionBar.updateSampleSizeDisplay(applied.sampleSize);
+            this.updatePopulationStats();
         }
 
         updatePopulationStats() {
-            const stats = this.engine.getPopulationStats();
-            this.controlPanel.updatePopulationStats(stats);
+            this.controlPanel.updatePopulationStats(this.engine.getPopulationStats());
+            if (this.engine.isTwoSample()) {
+                this.controlPanel.updatePopulationStats(this.engine.getPopulationStats('B'), 'B');
+            }
         }
 
         render() {
             // Update canvas size for responsiveness
             this.updateCanvasSize();
             
-            // Render the visualization
+            this.draw();
+            this.accessibleData?.refresh();
+            // Reset and mode changes close a sweep without going through the sweep controls
+            this.syncSweepControls();
+        }
+
+        // Render the visualization with the current layout
+        draw() {
             this.renderer.render(this.engine);
         }
 
@@ -297,23 +1089,87 @@
             this.renderer.requestRedraw();
         }
 
+        // ============ Events ============
+        on(event, callback) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, []);
+            }
+            this.listeners.get(event).push(callback);
+        }
+
+        emit(event, data) {
+            if (this.listeners.has(event)) {
+                this.listeners.get(event).forEach(callback => callback(data));
+            }
+        }
+
+        stateChanged() {
+            this.updateUrlState();
+            this.emit('stateChanged', this.getState());
+        }
+
+        // `runs` statistics were just added; `value` is the latest when there is one
+        statisticsComputed(runs, value = null) {
+            if (!this.listeners.has('statisticComputed')) return;
+            const { mean, sd, total } = this.engine.getSamplingDistributionStats();
+            this.emit('statisticComputed', {
+                statistic: this.engine.statistic,
+                value: value === null || isNaN(value) ? null : value,
+                runs,
+                samplingDistribution: { count: total, mean, sd }
+            });
+        }
+
         // Public API
-        setDistribution(name) {
-            this.engine.setPopulationGenerator(name);
-            this.updatePopulationStats();
-            this.render();
+        // Setters go through the control panel's events, so programmatic changes
+        // behave exactly like the user changing the control
+        getState() {
+            const controls = this.controlPanel.getControls();
+            const { mean, sd, total } = this.engine.getSamplingDistributionStats();
+            return {
+                mode: this.engine.mode,
+                distribution: controls.distribution,
+                generatorParams: { ...controls.generatorParams },
+                statistic: this.engine.statistic,
+                threshold: this.engine.threshold,
+                quantileLevel: this.engine.quantileLevel,
+                sampleSize: controls.sampleSize,
+                seed: this.engine.config.seed,
+                speed: this.engine.speed,
+                running: this.animationState.isRunning || this.isBulkRunning(),
+                samplingDistribution: { count: total, mean, sd }
+            };
+        }
+
+        setMode(mode) {
+            if (!['oneSample', 'twoSample', 'bootstrap'].includes(mode)) throw new Error(`Unknown mode: ${mode}`);
+            this.controlPanel.setControls({ mode });
+            this.controlPanel.emit('modeChange', mode);
+        }
+
+        setDistribution(name, params = {}) {
+            if (!PopulationGenerators[name]) throw new Error(`Unknown distribution: ${name}`);
+            this.controlPanel.setControls({ distribution: name, generatorParams: { ...params } });
+            this.controlPanel.emit('distributionChange', name);
         }
 
         setStatistic(stat) {
-            this.engine.statistic = stat;
-            this.render();
+            if (!this.supportsStatistic(stat)) throw new Error(`Unknown statistic: ${stat}`);
+            this.controlPanel.setControls({ statistic: stat });
+            this.controlPanel.emit('statisticChange', stat);
         }
 
         setSeed(seed) {
-            this.engine.config.seed = seed;
-            this.engine.rng = MathUtils.createRNG(seed);
-            this.engine.clearAll();
-            this.render();
+            this.controlPanel.setControls({ seed });
+            this.controlPanel.emit('seedChange', seed);
+        }
+
+        setSampleSize(sampleSize) {
+            if (!Number.isInteger(sampleSize) || sampleSize < 2 || sampleSize > 500) {
+                throw new Error('Sample size must be an integer from 2 to 500');
+            }
+            this.controlPanel.setControls({ sampleSize });
+            this.controlPanel.emit('sampleSizeChange', sampleSize);
         }
     }
 
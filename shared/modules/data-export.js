@@ -0,0 +1,64 @@
+// Data Export Module - Simulated data as CSV or JSON files
+// Takes the plain object from StatEngine.exportData() (or the standalone CLT
+// engine's equivalent): { meta, statistics, sample, sampleB?, population, populationB? }.
+// CSV files start with "# key: value" lines, so R reads them with
+//   read.csv("file.csv", comment.char = "#")
+// Load after modules/download.js.
+
+(function(global) {
+    'use strict';
+
+    // One CSV table per dataset; columns and rows from the export object
+    const DATASETS = {
+        statistics: {
+            columns: ['run', 'value'],
+            rows: (data) => data.statistics.map((value, i) => [i + 1, value])
+        },
+        sample: {
+            columns: ['group', 'index', 'value'],
+            rows: (data) => [['A', data.sample], ['B', data.sampleB || []]]
+                .flatMap(([group, values]) => values.map((value, i) => [group, i + 1, value]))
+        },
+        population: {
+            columns: ['group', 'x', 'weight'],
+            rows: (data) => [['A', data.population], ['B', data.populationB || []]]
+                .flatMap(([group, columns]) => columns.map(({ x, weight }) => [group, x, weight]))
+        }
+    };
+
+    const formatNumber = (value) => typeof value === 'number' ? String(Number(value.toPrecision(12))) : value;
+
+    const DataExport = {
+        toCSV(data, dataset = 'statistics') {
+            const table = DATASETS[dataset];
+            if (!table) throw new Error(`Unknown export dataset: ${dataset}`);
+
+            const header = Object.entries({ exported: new Date().toISOString(), dataset, ...data.meta })
+                .map(([key, value]) => `# ${key}: ${value}`);
+            const rows = table.rows(data).map(row => row.map(formatNumber).join(','));
+            return [...header, table.columns.join(','), ...rows].join('\n') + '\n';
+        },
+
+        toJSON(data) {
+            return JSON.stringify({ exported: new Date().toISOString(), ...data }, null, 2);
+        },
+
+        filename(data, dataset, extension) {
+            const { statistic, n, seed } = data.meta;
+            return `clt-${dataset}-${statistic}-n${n}-seed${seed}.${extension}`;
+        },
+
+        // format "csv" writes one dataset; "json" writes everything
+        save(data, format, dataset = 'statistics') {
+            if (format === 'json') {
+                Download.save(this.filename(data, 'data', 'json'), this.toJSON(data), 'application/json');
+            } else {
+                Download.save(this.filename(data, dataset, 'csv'), this.toCSV(data, dataset), 'text/csv');
+            }
+        }
+    };
+
+    // Export to global scope
+    global.DataExport = DataExport;
+
+})(window || this);
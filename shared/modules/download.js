@@ -0,0 +1,31 @@
+// Download Module - Save generated content as a file from the browser
+// Shared by the data, figure and experiment exports:
+//   Download.save('statistics.csv', csvText, 'text/csv')
+//   Download.save('figure@2x.png', pngBlob)
+
+(function(global) {
+    'use strict';
+
+    const Download = {
+        /**
+         * @param {string} filename
+         * @param {Blob|string} content - text is wrapped in a Blob of `type`
+         * @param {string} [type]
+         */
+        save(filename, content, type = 'application/octet-stream') {
+            const blob = content instanceof Blob ? content : new Blob([content], { type });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        }
+    };
+
+    // Export to global scope
+    global.Download = Download;
+
+})(window || this);
@@ -0,0 +1,141 @@
+// Embed API Module - postMessage protocol for applets inside iframes
+// Lets a host page drive an applet (e.g. a "run 1000 samples with n=5" button in
+// a blog post) and listen to what happens in it.
+//
+// Host → applet:  { protocol: "xbar-applet", version: 1, id?, command, args? }
+//   commands: setDistribution {name, params?} · setStatistic {statistic} · setSeed {seed}
+//             setSampleSize {sampleSize} · drawSample · repeat {count} · reset · getState
+// Applet → host:  { protocol, version, type: "response", id, ok, result | error }
+//                 { protocol, version, type: "event", event, data }
+//   events: ready · sampleDrawn · statisticComputed · stateChanged
+//
+// Commands answer as soon as they start; animated runs report through events.
+// Messages are only accepted from, and only sent to, allow-listed origins: the
+// applet's own origin, the origins listed on the page's <html> element and any
+// passed to attach(). Listing them on the applet page (not in the iframe URL)
+// keeps a host from allowing itself:
+//
+//   <html lang="en" data-embed-origins="https://songyosr.github.io http://localhost:1313">
+//
+//   const frame = document.querySelector('iframe');
+//   frame.contentWindow.postMessage({ protocol: 'xbar-applet', version: 1,
+//       command: 'setSampleSize', args: { sampleSize: 5 } }, 'https://<user>.github.io');
+
+(function(global) {
+    'use strict';
+
+    const PROTOCOL = 'xbar-applet';
+    const VERSION = 1;
+    const EVENTS = ['sampleDrawn', 'statisticComputed', 'stateChanged'];
+    const MAX_REPEAT = 100000;
+
+    // ============ Commands ============
+    // Each maps message args onto the app's public API; replies carry app.getState()
+    const COMMANDS = {
+        setDistribution: (app, { name, params = {} }) => app.setDistribution(name, params),
+        setStatistic: (app, { statistic }) => app.setStatistic(statistic),
+        setSeed: (app, { seed }) => {
+            if (!Number.isInteger(seed)) throw new Error('seed must be an integer');
+            app.setSeed(seed);
+        },
+        setSampleSize: (app, { sampleSize }) => app.setSampleSize(sampleSize),
+        drawSample: (app) => app.drawSample(),
+        repeat: (app, { count }) => {
+            if (!Number.isInteger(count) || count < 1 || count > MAX_REPEAT) {
+                throw new Error(`count must be an integer from 1 to ${MAX_REPEAT}`);
+            }
+            app.runMultipleSamples(count);
+        },
+        reset: (app) => app.reset(),
+        getState: () => {}
+    };
+
+    class EmbedApi {
+        /**
+         * @param {CLTApp|Object} app - a CLTApp, or an object with the same public API
+         *   (as returned by CentralLimitTheoremLab().mount)
+         * @param {{allowedOrigins?: string[], target?: Window}} [options]
+         */
+        constructor(app, options = {}) {
+            this.app = app;
+            this.target = options.target || global.parent;
+            // Pages opened from file:// have the opaque origin "null", which can't be targeted
+            this.allowedOrigins = new Set([global.location.origin, ...EmbedApi.configuredOrigins(), ...(options.allowedOrigins || [])]);
+            this.allowedOrigins.delete('null');
+
+            this.handleMessage = this.handleMessage.bind(this);
+            global.addEventListener('message', this.handleMessage);
+
+            EVENTS.forEach(event => app.on(event, (data) => this.postEvent(event, data)));
+            this.postEvent('ready', app.getState());
+        }
+
+        // Only start the protocol when the applet is actually framed
+        static attach(app, options = {}) {
+            if (!app || global.parent === global) return null;
+            return new EmbedApi(app, options);
+        }
+
+        // Whitespace- or comma-separated origins from <html data-embed-origins>
+        static configuredOrigins() {
+            const list = global.document.documentElement.dataset.embedOrigins || '';
+            return list.split(/[\s,]+/).filter(Boolean);
+        }
+
+        isAllowed(origin) {
+            return this.allowedOrigins.has(origin);
+        }
+
+        handleMessage(event) {
+            const message = event.data;
+            if (!message || message.protocol !== PROTOCOL) return;
+            if (!this.isAllowed(event.origin)) {
+                console.warn(`Ignoring applet command from ${event.origin}`);
+                return;
+            }
+
+            const reply = (body) => event.source?.postMessage(
+                { protocol: PROTOCOL, version: VERSION, type: 'response', id: message.id, ...body },
+                event.origin
+            );
+
+            if (message.version !== VERSION) {
+                reply({ ok: false, error: `Unsupported protocol version ${message.version} (expected ${VERSION})` });
+                return;
+            }
+
+            const command = Object.prototype.hasOwnProperty.call(COMMANDS, message.command) && COMMANDS[message.command];
+            if (!command) {
+                reply({ ok: false, error: `Unknown command: ${message.command}` });
+                return;
+            }
+
+            try {
+                command(this.app, message.args || {});
+                reply({ ok: true, result: this.app.getState() });
+            } catch (error) {
+                reply({ ok: false, error: error.message });
+            }
+        }
+
+        // postMessage drops messages whose target origin doesn't match the host,
+        // so sending to each allowed origin reaches only the real one
+        postEvent(event, data) {
+            if (!this.app) return;
+            const message = { protocol: PROTOCOL, version: VERSION, type: 'event', event, data };
+            this.allowedOrigins.forEach(origin => this.target.postMessage(message, origin));
+        }
+
+        destroy() {
+            global.removeEventListener('message', this.handleMessage);
+            this.app = null;
+        }
+    }
+
+    EmbedApi.PROTOCOL = PROTOCOL;
+    EmbedApi.VERSION = VERSION;
+
+    // Export to global scope
+    global.EmbedApi = EmbedApi;
+
+})(window || this);
@@ -0,0 +1,267 @@
+// Figure Export Module - High-resolution PNG and vector SVG of a canvas drawing
+// Screenshots of the on-screen canvas only have the display's resolution and blur
+// when enlarged on slides. Exports instead replay the renderer's own drawing code:
+//   - PNG: into an offscreen canvas scaled 2× or 3×
+//   - SVG: into SvgContext, which records the same 2D-context calls as SVG elements
+//
+//   FigureExport.png(width, height, (ctx, ratio) => renderer.drawTo(ctx, () => renderer.render(engine), ratio), 2)
+//       .then(blob => Download.save('figure.png', blob));
+// Load after modules/download.js.
+
+(function(global) {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const BACKGROUND = '#ffffff';
+
+    const num = (value) => String(Math.round(value * 100) / 100);
+
+    const escapeXML = (text) => String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    // "rgba(r, g, b, a)" → rgb() plus a separate opacity, which slide software
+    // and older SVG viewers understand
+    function parseColor(color) {
+        const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(String(color).trim());
+        if (!match) return { color: String(color), opacity: 1 };
+        return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: parseFloat(match[4]) };
+    }
+
+    // "600 18px Inter, system-ui, sans-serif" → SVG font attributes
+    function parseFont(font) {
+        const match = /^\s*(italic\s+)?(?:(normal|bold|[1-9]00)\s+)?([\d.]+)px\s+(.+)$/.exec(font);
+        if (!match) return { size: 10, attrs: 'font-family="sans-serif" font-size="10"' };
+        const attrs = [
+            `font-family="${escapeXML(match[4])}"`,
+            `font-size="${match[3]}"`,
+            match[2] && match[2] !== 'normal' ? `font-weight="${match[2]}"` : '',
+            match[1] ? 'font-style="italic"' : ''
+        ];
+        return { size: parseFloat(match[3]), attrs: attrs.filter(Boolean).join(' ') };
+    }
+
+    const attributes = (attrs) => Object.entries(attrs)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXML(value)}"`).join('');
+
+    const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const BASELINE = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' };
+
+    // ============ SVG Recording Context ============
+    // The subset of CanvasRenderingContext2D the renderers use (rects, straight
+    // paths, arcs, text, dashes, save/restore); each fill or stroke becomes an element.
+    // beginGroup/endGroup (not part of the canvas API) wrap elements in a <g>.
+    class SvgContext {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.elements = [];
+            this.stack = [];
+            this.path = '';
+
+            this.fillStyle = '#000000';
+            this.strokeStyle = '#000000';
+            this.lineWidth = 1;
+            this.font = '10px sans-serif';
+            this.textAlign = 'start';
+            this.textBaseline = 'alphabetic';
+            this.globalAlpha = 1;
+            this.lineDash = [];
+        }
+
+        // ============ State ============
+        save() {
+            const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, lineDash } = this;
+            this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, lineDash });
+        }
+
+        restore() {
+            if (this.stack.length) Object.assign(this, this.stack.pop());
+        }
+
+        setLineDash(segments) {
+            this.lineDash = segments.slice();
+        }
+
+        getLineDash() {
+            return this.lineDash.slice();
+        }
+
+        // ============ Groups ============
+        // title becomes the group's accessible name and tooltip
+        beginGroup(attrs = {}, title = null) {
+            this.elements.push(`<g${attributes(attrs)}>` + (title ? `<title>${escapeXML(title)}</title>` : ''));
+        }
+
+        endGroup() {
+            this.elements.push('</g>');
+        }
+
+        // ============ Paint ============
+        paint(kind, style) {
+            const { color, opacity } = parseColor(style);
+            const alpha = opacity * this.globalAlpha;
+            return `${kind}="${escapeXML(color)}"${alpha < 1 ? ` ${kind}-opacity="${num(alpha)}"` : ''}`;
+        }
+
+        stroke() {
+            if (!this.path) return;
+            const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.map(num).join(' ')}"` : '';
+            this.elements.push(`<path d="${this.path.trim()}" fill="none" ${this.paint('stroke', this.strokeStyle)} stroke-width="${num(this.lineWidth)}"${dash}/>`);
+        }
+
+        fill() {
+            if (!this.path) return;
+            this.elements.push(`<path d="${this.path.trim()}" ${this.paint('fill', this.fillStyle)}/>`);
+        }
+
+        fillRect(x, y, w, h) {
+            if (w === 0 || h === 0) return;
+            this.elements.push(`<rect x="${num(Math.min(x, x + w))}" y="${num(Math.min(y, y + h))}" width="${num(Math.abs(w))}" height="${num(Math.abs(h))}" ${this.paint('fill', this.fillStyle)}/>`);
+        }
+
+        strokeRect(x, y, w, h) {
+            const path = this.path;
+            this.path = '';
+            this.rect(x, y, w, h);
+            this.stroke();
+            this.path = path;
+        }
+
+        // Only whole-canvas clears matter here: they drop everything recorded so far
+        clearRect(x, y, w, h) {
+            if (x <= 0 && y <= 0 && x + w >= this.width && y + h >= this.height) this.elements = [];
+        }
+
+        fillText(text, x, y) {
+            const font = parseFont(this.font);
+            const anchor = TEXT_ANCHOR[this.textAlign] || 'start';
+            const baseline = BASELINE[this.textBaseline];
+            this.elements.push(
+                `<text x="${num(x)}" y="${num(y)}" ${font.attrs}` +
+                (anchor !== 'start' ? ` text-anchor="${anchor}"` : '') +
+                (baseline ? ` dominant-baseline="${baseline}"` : '') +
+                ` ${this.paint('fill', this.fillStyle)}>${escapeXML(text)}</text>`
+            );
+        }
+
+        // Measured with a scratch canvas when there is one, else estimated
+        measureText(text) {
+            const scratch = SvgContext.scratch || (SvgContext.scratch = global.document?.createElement('canvas').getContext('2d'));
+            if (scratch) {
+                scratch.font = this.font;
+                return scratch.measureText(text);
+            }
+            return { width: String(text).length * parseFont(this.font).size * 0.55 };
+        }
+
+        // ============ Paths ============
+        beginPath() {
+            this.path = '';
+        }
+
+        moveTo(x, y) {
+            this.path += `M${num(x)} ${num(y)} `;
+        }
+
+        lineTo(x, y) {
+            this.path += this.path ? `L${num(x)} ${num(y)} ` : `M${num(x)} ${num(y)} `;
+        }
+
+        closePath() {
+            if (this.path) this.path += 'Z ';
+        }
+
+        rect(x, y, w, h) {
+            this.path += `M${num(x)} ${num(y)} h${num(w)} v${num(h)} h${num(-w)} Z `;
+        }
+
+        arc(x, y, r, startAngle, endAngle, counterclockwise = false) {
+            const point = (angle) => `${num(x + r * Math.cos(angle))} ${num(y + r * Math.sin(angle))}`;
+            let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+            if (sweep < 0) sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+            const flag = counterclockwise ? 0 : 1;
+
+            this.lineTo(x + r * Math.cos(startAngle), y + r * Math.sin(startAngle));
+            // A single SVG arc can't close on its own start point, so full circles take two
+            if (sweep >= 2 * Math.PI - 1e-9) {
+                const half = startAngle + (counterclockwise ? -Math.PI : Math.PI);
+                this.path += `A${num(r)} ${num(r)} 0 0 ${flag} ${point(half)} A${num(r)} ${num(r)} 0 0 ${flag} ${point(startAngle)} `;
+            } else {
+                this.path += `A${num(r)} ${num(r)} 0 ${sweep > Math.PI ? 1 : 0} ${flag} ${point(endAngle)} `;
+            }
+        }
+
+        // Recorded elements without the <svg> wrapper
+        toMarkup() {
+            return this.elements.join('\n');
+        }
+
+        toString(background = BACKGROUND) {
+            const w = num(this.width);
+            const h = num(this.height);
+            return [
+                `<svg xmlns="${SVG_NS}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+                background ? `<rect width="${w}" height="${h}" fill="${background}"/>` : '',
+                this.toMarkup(),
+                '</svg>'
+            ].filter(Boolean).join('\n') + '\n';
+        }
+    }
+
+    // ============ Export ============
+    const FigureExport = {
+        SvgContext,
+        SCALES: [2, 3],
+
+        /**
+         * Replay `draw(ctx, scale)` onto an offscreen canvas `scale` times the CSS size.
+         * @param {number} width - CSS pixels
+         * @param {number} height - CSS pixels
+         * @param {function(CanvasRenderingContext2D, number)} draw - ctx and its pixel ratio
+         * @param {number} [scale=2]
+         * @returns {Promise<Blob>}
+         */
+        png(width, height, draw, scale = 2) {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            draw(ctx, scale);
+
+            // Renderers clear to transparent; slides want the page's white behind the trays
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = BACKGROUND;
+            ctx.fillRect(0, 0, width, height);
+
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+            });
+        },
+
+        /**
+         * Replay `draw(ctx, 1)` onto an SvgContext.
+         * @returns {string} SVG document
+         */
+        svg(width, height, draw) {
+            const ctx = new SvgContext(width, height);
+            draw(ctx, 1);
+            return ctx.toString();
+        },
+
+        // format: "png" (with scale) or "svg"; resolves once the download starts
+        save(width, height, draw, format, scale, basename) {
+            if (format === 'svg') {
+                const svg = this.svg(width, height, draw);
+                Download.save(`${basename}.svg`, svg, 'image/svg+xml');
+                return Promise.resolve();
+            }
+            return this.png(width, height, draw, scale).then(blob => Download.save(`${basename}@${scale}x.png`, blob));
+        }
+    };
+
+    // Export to global scope
+    global.FigureExport = FigureExport;
+
+})(window || this);
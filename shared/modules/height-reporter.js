@@ -0,0 +1,78 @@
+// Height Reporter Module - Tells an embedding page how tall the applet is
+// When the page is framed, posts { protocol: "xbar-applet", version: 1, type: "event",
+// event: "resize", data: { height } } to the parent whenever the content height
+// changes; shared/embed-host.js on the host page resizes the iframe to match.
+// Framed pages get the "xbar-embedded" class on <html> so viewport-sized layout
+// (min-height: 100vh) doesn't feed the iframe's own height back into itself.
+
+(function(global) {
+    'use strict';
+
+    const PROTOCOL = 'xbar-applet';
+    const VERSION = 1;
+    const EMBEDDED_CLASS = 'xbar-embedded';
+
+    const HeightReporter = {
+        observer: null,
+        lastHeight: 0,
+        pending: false,
+
+        isEmbedded() {
+            return !!global.parent && global.parent !== global;
+        },
+
+        // Content height, not the viewport: <html> has no set height, so its box
+        // shrinks and grows with the page
+        measure() {
+            return Math.ceil(document.documentElement.getBoundingClientRect().height);
+        },
+
+        report() {
+            this.pending = false;
+            const height = this.measure();
+            if (height === this.lastHeight) return;
+            this.lastHeight = height;
+            // Only a height is sent, so any host may receive it
+            global.parent.postMessage({ protocol: PROTOCOL, version: VERSION, type: 'event', event: 'resize', data: { height } }, '*');
+        },
+
+        // Coalesce bursts of layout changes into one message per frame
+        schedule() {
+            if (this.pending) return;
+            this.pending = true;
+            (global.requestAnimationFrame || setTimeout)(() => this.report());
+        },
+
+        start() {
+            if (!this.isEmbedded() || this.observer) return;
+            document.documentElement.classList.add(EMBEDDED_CLASS);
+
+            const schedule = () => this.schedule();
+            if (typeof global.ResizeObserver === 'function') {
+                this.observer = new ResizeObserver(schedule);
+                this.observer.observe(document.documentElement);
+            } else {
+                this.observer = { disconnect: () => global.removeEventListener('resize', schedule) };
+                global.addEventListener('resize', schedule);
+            }
+            // Images and fonts can change the height after the first layout
+            global.addEventListener('load', schedule);
+            this.schedule();
+        },
+
+        stop() {
+            this.observer?.disconnect();
+            this.observer = null;
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => HeightReporter.start());
+    } else {
+        HeightReporter.start();
+    }
+
+    // Export to global scope
+    global.HeightReporter = HeightReporter;
+
+})(window || this);
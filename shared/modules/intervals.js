@@ -0,0 +1,131 @@
+// Confidence Interval Methods Module - Interval constructions for CI applets
+// Each method belongs to one statistic and turns a sample into an estimate with
+// lower/upper bounds at a given confidence level.
+// Requires modules/stat-engine.js (MathUtils quantile functions) to be loaded first.
+
+(function(global) {
+    'use strict';
+
+    // ============ Helpers ============
+    const criticalZ = (level) => MathUtils.normalQuantile(1 - (1 - level) / 2);
+
+    const countAbove = (values, threshold) => {
+        let above = 0;
+        for (let i = 0; i < values.length; i++) if (values[i] > threshold) above++;
+        return above;
+    };
+
+    // Population parameter each statistic's intervals try to capture, read from
+    // StatEngine.getPopulationStats()
+    const POPULATION_PARAMETERS = {
+        mean: (popStats) => popStats.mean,
+        proportion: (popStats) => popStats.proportion
+    };
+
+    // ============ Registry ============
+    const methods = new Map();
+
+    const IntervalMethods = {
+        /**
+         * Register an interval method.
+         * @param {string} name
+         * @param {{
+         *   label: string, statistic: string,
+         *   compute: (values: number[], level: number, settings: object) =>
+         *       {estimate: number, lower: number, upper: number}
+         * }} definition
+         */
+        register(name, definition) {
+            if (typeof definition?.compute !== 'function' || !POPULATION_PARAMETERS[definition.statistic]) {
+                throw new Error(`Interval method "${name}" needs a compute function and a supported statistic`);
+            }
+            methods.set(name, { name, ...definition });
+            return this;
+        },
+
+        get(name) {
+            const definition = methods.get(name);
+            if (!definition) throw new Error(`Unknown interval method: ${name}`);
+            return definition;
+        },
+
+        has(name) {
+            return methods.has(name);
+        },
+
+        list(statistic) {
+            const all = Array.from(methods.values());
+            return statistic ? all.filter(m => m.statistic === statistic) : all;
+        },
+
+        // Statistics that have at least one interval method
+        statistics() {
+            return Array.from(new Set(this.list().map(m => m.statistic)));
+        },
+
+        populationParameter(statistic, popStats) {
+            return POPULATION_PARAMETERS[statistic](popStats);
+        }
+    };
+
+    // ============ Built-in Methods ============
+    IntervalMethods
+        .register('z', {
+            label: 'z-interval (σ known)', statistic: 'mean',
+            // σ is the population SD, as if it were known
+            compute: (values, level, settings) => {
+                const n = values.length;
+                const estimate = MathUtils.mean(values);
+                const margin = criticalZ(level) * settings.getPopulationStats().sd / Math.sqrt(n);
+                return { estimate, lower: estimate - margin, upper: estimate + margin };
+            }
+        })
+        .register('t', {
+            label: 't-interval', statistic: 'mean',
+            compute: (values, level) => {
+                const n = values.length;
+                const estimate = MathUtils.mean(values);
+                const t = MathUtils.tQuantile(1 - (1 - level) / 2, n - 1);
+                const margin = t * MathUtils.standardDeviation(values) / Math.sqrt(n);
+                return { estimate, lower: estimate - margin, upper: estimate + margin };
+            }
+        })
+        .register('wald', {
+            label: 'Wald', statistic: 'proportion',
+            compute: (values, level, settings) => {
+                const n = values.length;
+                const p = countAbove(values, settings.threshold) / n;
+                const margin = criticalZ(level) * Math.sqrt(p * (1 - p) / n);
+                return { estimate: p, lower: p - margin, upper: p + margin };
+            }
+        })
+        .register('wilson', {
+            label: 'Wilson score', statistic: 'proportion',
+            compute: (values, level, settings) => {
+                const n = values.length;
+                const p = countAbove(values, settings.threshold) / n;
+                const z = criticalZ(level);
+                const z2 = z * z;
+                const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+                const margin = z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / (1 + z2 / n);
+                return { estimate: p, lower: center - margin, upper: center + margin };
+            }
+        })
+        .register('agrestiCoull', {
+            label: 'Agresti–Coull', statistic: 'proportion',
+            // Wald interval around p̃ after adding z²/2 successes and failures
+            compute: (values, level, settings) => {
+                const n = values.length;
+                const successes = countAbove(values, settings.threshold);
+                const z = criticalZ(level);
+                const nTilde = n + z * z;
+                const pTilde = (successes + z * z / 2) / nTilde;
+                const margin = z * Math.sqrt(pTilde * (1 - pTilde) / nTilde);
+                return { estimate: successes / n, lower: pTilde - margin, upper: pTilde + margin };
+            }
+        });
+
+    // Export to global scope
+    global.IntervalMethods = IntervalMethods;
+
+})(window || this);
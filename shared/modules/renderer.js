@@ -24,20 +24,56 @@
             normal: "#111827",
             sampleMean: "#FF7D00",
             paramLine: "#15616D",
-            samplingLine: "#901328"
+            samplingLine: "#901328",
+            percentileBand: "rgba(21,97,109,0.16)",
+            basicBand: "rgba(255,125,0,0.16)",
+            rejection: "rgba(239,68,68,0.14)",
+            nullLine: "#EF4444",
+            reference: "#111827",
+            fit: "#FF7D00",
+            exact: "#15616D",
+            kde: "#001524",
+            cursor: "#1D4ED8"
         }
     };
 
+    // ============ Hypothesis Test Labels ============
+    const ALTERNATIVE_SIGNS = { twoSided: '≠', less: '<', greater: '>' };
+    const formatPValue = (p) => isNaN(p) ? 'p = –' : p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+
+    // ============ Device Pixel Ratio ============
+    // Calls back whenever devicePixelRatio changes (moving the window to another
+    // monitor, browser zoom); returns a function that stops watching
+    function watchPixelRatio(callback) {
+        if (typeof global.matchMedia !== 'function') return () => {};
+        let query = null;
+        const onChange = () => {
+            listen();
+            callback(global.devicePixelRatio || 1);
+        };
+        // A resolution query only matches one ratio, so re-arm for the new one each time
+        const listen = () => {
+            query = global.matchMedia(`(resolution: ${global.devicePixelRatio || 1}dppx)`);
+            query.addEventListener('change', onChange, { once: true });
+        };
+        listen();
+        return () => query.removeEventListener('change', onChange);
+    }
+
     // ============ Statistical Renderer Class ============
     class StatRenderer {
         constructor(canvas, config = {}) {
             this.canvas = canvas;
-            this.ctx = canvas.getContext('2d');
+            this.ctx = this.createContext(canvas);
             this.config = { ...DEFAULT_CONFIG, ...config };
+            // Device pixels per CSS pixel; drawing code works in CSS pixels
+            this.pixelRatio = 1;
             
             // Layout properties
             this.layout = {
                 plotW: 960,
+                // Width the trays span; less than plotW when the Q–Q panel is shown
+                trayW: 960,
                 gridW: 0,
                 colW: 0,
                 boxSize: 8,
@@ -60,8 +96,17 @@
             this.showLines = {
                 parameter: true,
                 sample: true,
-                sampling: true
+                sampling: true,
+                // Theoretical curves over the sampling distribution
+                normalFit: false
             };
+            // Kernel density curve over the sample and sampling-distribution stacks;
+            // adjust multiplies the rule's bandwidth
+            this.kde = { show: false, rule: 'silverman', adjust: 1 };
+            // Keyboard painting position, { column, group }; null hides the indicator
+            this.populationCursor = null;
+            // Normal Q–Q plot of the statistics in a panel beside the bottom tray
+            this.showQQPlot = false;
 
             this.setupLayout();
         }
@@ -78,8 +123,15 @@
         updateLayout(plotW, canvasH) {
             this.layout.plotW = plotW;
             
+            // The Q–Q panel takes a slice of the width at the right; the trays
+            // and their grid share what is left
+            const panelW = this.showQQPlot ? Math.round(this.clamp(plotW * 0.28, 160, 280)) : 0;
+            const trayW = plotW - panelW;
+            this.layout.trayW = trayW;
+            this.layout.qq = panelW ? { x: trayW + this.layout.marginY, width: panelW - this.layout.marginY } : null;
+            
             // Calculate responsive dimensions
-            const innerW = Math.max(200, plotW - 2 * this.config.padding);
+            const innerW = Math.max(200, trayW - 2 * this.config.padding);
             const cols = this.config.cols || 60;
             const fromWidth = Math.max(6, Math.floor(innerW / cols));
             const totalUnits = this.config.topUnits + this.config.midUnits + this.config.botUnits;
@@ -88,39 +140,76 @@
             this.layout.boxSize = Math.min(fromWidth, fromHeight);
             this.layout.colW = Math.floor(innerW / cols);
             this.layout.gridW = this.layout.boxSize * cols;
-            this.layout.gridX0 = Math.floor((plotW - this.layout.gridW) / 2);
+            this.layout.gridX0 = Math.floor((trayW - this.layout.gridW) / 2);
             
             // Section heights
             this.layout.heights.top = this.config.topUnits * this.layout.boxSize;
             this.layout.heights.mid = this.config.midUnits * this.layout.boxSize;
             this.layout.heights.bot = this.config.botUnits * this.layout.boxSize;
             
-            // Update canvas size
-            this.canvas.width = plotW;
-            this.canvas.height = this.layout.heights.top + this.layout.heights.mid + 
-                                this.layout.heights.bot + 2 * this.layout.marginY;
+            this.resizeSurface(plotW, this.getFigureSize().height);
             
             this.needsRedraw = true;
         }
 
+        // ============ Drawing Surface ============
+        // Overridden by renderers that draw somewhere other than a 2D canvas
+        createContext(canvas) {
+            return canvas.getContext('2d');
+        }
+
+        // Backing store in device pixels, displayed at CSS size
+        resizeSurface(width, height) {
+            this.pixelRatio = global.devicePixelRatio || 1;
+            this.canvas.width = Math.round(width * this.pixelRatio);
+            this.canvas.height = Math.round(height * this.pixelRatio);
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+            this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        }
+
         layoutFromViewport(plotW, canvasH) {
             this.updateLayout(plotW, canvasH);
         }
 
         // ============ Drawing Utilities ============
         clear() {
-            const totalH = this.layout.heights.top + this.layout.heights.mid + 
-                         this.layout.heights.bot + 2 * this.layout.marginY;
-            this.ctx.clearRect(0, 0, this.layout.plotW, totalH);
+            const { width, height } = this.getFigureSize();
+            this.ctx.clearRect(0, 0, width, height);
         }
 
-        drawTray(y, height, title) {
+        // Nearest device-pixel boundary to a CSS coordinate
+        snap(value) {
+            return Math.round(value * this.pixelRatio) / this.pixelRatio;
+        }
+
+        // Thinnest line that covers whole device pixels (1 CSS px at ratios 1 and 2)
+        hairline() {
+            return Math.max(1, Math.round(this.pixelRatio)) / this.pixelRatio;
+        }
+
+        // fillRect with its edges on device pixels, so blocks and ticks stay sharp
+        // at fractional ratios
+        fillCrispRect(x, y, width, height) {
+            const x0 = this.snap(x);
+            const y0 = this.snap(y);
+            this.ctx.fillRect(x0, y0, Math.max(this.hairline(), this.snap(x + width) - x0),
+                              Math.max(this.hairline(), this.snap(y + height) - y0));
+        }
+
+        // x for a vertical stroke of `lineWidth` whose edges land on device pixels
+        crispLineX(x, lineWidth) {
+            const width = lineWidth * this.pixelRatio;
+            return (Math.round(x * this.pixelRatio - width / 2) + width / 2) / this.pixelRatio;
+        }
+
+        drawTray(y, height, title, domain = { min: 0, max: 1 }) {
             const ctx = this.ctx;
             const colors = this.config.colors;
             
             // Background
             ctx.fillStyle = colors.band;
-            ctx.fillRect(0, y, this.layout.plotW, height);
+            ctx.fillRect(0, y, this.layout.trayW, height);
             
             // Title
             ctx.fillStyle = colors.text;
@@ -135,47 +224,55 @@
             
             for (let t = 0; t <= 10; t++) {
                 const xpx = x0 + effW * (t / 10);
-                ctx.fillRect(Math.round(xpx), y + height - 12, 1, 8);
+                this.fillCrispRect(xpx, y + height - 12, this.hairline(), 8);
             }
             
             // Scale labels
             ctx.fillStyle = "#475569";
             ctx.font = "13px Inter, system-ui, sans-serif";
             ctx.textAlign = "center";
-            ctx.fillText("0", x0, y + height - 2);
-            ctx.fillText("1", x0 + effW, y + height - 2);
+            ctx.fillText(this.formatAxisValue(domain.min), x0, y + height - 2);
+            ctx.fillText(this.formatAxisValue(domain.max), x0 + effW, y + height - 2);
+            if (domain.min < 0 && domain.max > 0) {
+                const zeroX = x0 + effW * (-domain.min / (domain.max - domain.min));
+                ctx.fillText("0", zeroX, y + height - 2);
+            }
             ctx.textAlign = "left";
         }
 
         drawStacks(data, yBottom, boxHeight, fillColor, topColor) {
-            const ctx = this.ctx;
             const cols = data.length;
             
             for (let c = 0; c < cols; c++) {
                 const stack = data[c] || 0;
                 if (!stack) continue;
+                this.drawStack(c, stack, yBottom, boxHeight, fillColor, topColor);
+            }
+        }
+
+        // One column of `stack` blocks
+        drawStack(c, stack, yBottom, boxHeight, fillColor, topColor) {
+            const ctx = this.ctx;
+            const xLeft = this.layout.gridX0 + c * this.layout.boxSize;
+            
+            for (let r = 0; r < stack; r++) {
+                const y = yBottom - r * boxHeight - boxHeight / 2;
                 
-                const xLeft = this.layout.gridX0 + c * this.layout.boxSize;
+                ctx.fillStyle = fillColor;
+                this.fillCrispRect(
+                    Math.floor(xLeft), 
+                    Math.floor(y - boxHeight / 2), 
+                    Math.ceil(this.layout.boxSize), 
+                    Math.ceil(boxHeight)
+                );
                 
-                for (let r = 0; r < stack; r++) {
-                    const y = yBottom - r * boxHeight - boxHeight / 2;
-                    
-                    ctx.fillStyle = fillColor;
-                    ctx.fillRect(
-                        Math.floor(xLeft), 
-                        Math.floor(y - boxHeight / 2), 
-                        Math.ceil(this.layout.boxSize), 
-                        Math.ceil(boxHeight)
-                    );
-                    
-                    ctx.fillStyle = topColor;
-                    ctx.fillRect(
-                        Math.floor(xLeft), 
-                        Math.floor(y - boxHeight / 2), 
-                        Math.ceil(this.layout.boxSize), 
-                        1
-                    );
-                }
+                ctx.fillStyle = topColor;
+                this.fillCrispRect(
+                    Math.floor(xLeft), 
+                    Math.floor(y - boxHeight / 2), 
+                    Math.ceil(this.layout.boxSize), 
+                    this.hairline()
+                );
             }
         }
 
@@ -183,7 +280,7 @@
             const ctx = this.ctx;
             
             ctx.fillStyle = fillColor;
-            ctx.fillRect(
+            this.fillCrispRect(
                 Math.floor(x - width / 2), 
                 Math.floor(y - height / 2), 
                 Math.ceil(width), 
@@ -191,11 +288,11 @@
             );
             
             ctx.fillStyle = topColor;
-            ctx.fillRect(
+            this.fillCrispRect(
                 Math.floor(x - width / 2), 
                 Math.floor(y - height / 2), 
                 Math.ceil(width), 
-                1
+                this.hairline()
             );
         }
 
@@ -209,11 +306,14 @@
             
             if (style === 'parameter') {
                 ctx.setLineDash([6, 3]);
+            } else if (style === 'null') {
+                ctx.setLineDash([2, 4]);
             }
             
+            const lineX = this.crispLineX(x, ctx.lineWidth);
             ctx.beginPath();
-            ctx.moveTo(x, y1);
-            ctx.lineTo(x, y2);
+            ctx.moveTo(lineX, y1);
+            ctx.lineTo(lineX, y2);
             ctx.stroke();
             
             // Draw label with smart positioning
@@ -246,58 +346,120 @@
         }
 
         // ============ Main Render Method ============
-        render(engine) {
-            if (!this.needsRedraw) return;
-            
-            this.clear();
-            
-            // Calculate section positions
+        // Population and sample trays (with population stats), shared by every
+        // applet's render; returns the section positions for the bottom tray
+        drawPopulationAndSample(engine) {
             const yTop = this.layout.marginY;
             const yMid = yTop + this.layout.heights.top;
             const yBot = yMid + this.layout.heights.mid;
             
-            // Calculate dynamic box heights based on data
-            const maxPop = Math.max(...engine.populationData, 1);
-            const maxSample = Math.max(...engine.sampleData, 1);
-            const maxSampling = Math.max(...engine.samplingDistData, 1);
+            // Two-sample mode stacks populations/samples A and B as half-height bands
+            const twoSample = engine.isTwoSample();
+            const groups = twoSample ? ['A', 'B'] : ['A'];
             
-            const scaleTop = Math.min(1, (this.layout.heights.top - 28) / (maxPop * this.layout.boxSize));
-            const scaleMid = Math.min(1, (this.layout.heights.mid - 28) / (maxSample * this.layout.boxSize));
-            const scaleBot = Math.min(1, (this.layout.heights.bot - 28) / (maxSampling * this.layout.boxSize));
+            this.layout.populationBands = this.drawBands(
+                groups, yTop, this.layout.heights.top, 8, 'top',
+                group => twoSample ? `Population ${group}` : "Population Distribution",
+                group => engine.getPopulationData(group),
+                this.config.colors.popFill, this.config.colors.popTop
+            );
+            
+            const sampleBands = this.drawBands(
+                groups, yMid, this.layout.heights.mid, 16, 'mid',
+                group => twoSample ? `Sample ${group}` : "Sample Distribution",
+                group => engine.getSampleData(group),
+                this.config.colors.midFill, this.config.colors.midTop
+            );
+            if (this.kde.show) {
+                for (const band of sampleBands) {
+                    this.drawKDE(engine.getSampleData(band.group), { min: 0, max: 1 }, band.y, band.base, band.boxHeight);
+                }
+            }
             
-            this.layout.boxHeights.top = this.layout.boxSize * scaleTop;
-            this.layout.boxHeights.mid = this.layout.boxSize * scaleMid;
+            // Draw population stats for each band
+            for (const band of this.layout.populationBands) {
+                const popStats = engine.getPopulationStats(band.group);
+                const suffix = twoSample ? (band.group === 'A' ? '₁' : '₂') : '';
+                this.drawStatsText(
+                    this.layout.gridX0 + this.layout.gridW, 
+                    band.y + 40,
+                    [`μ${suffix} = ${popStats.mean.toFixed(3)}`, `σ${suffix} = ${popStats.sd.toFixed(3)}`],
+                    'right'
+                );
+            }
+            
+            this.drawPopulationCursor();
+            
+            return { yTop, yMid, yBot, twoSample };
+        }
+
+        // Focus indicator around the cursor's column in its population band
+        drawPopulationCursor() {
+            const cursor = this.populationCursor;
+            const band = cursor && this.layout.populationBands.find(b => b.group === cursor.group);
+            if (!band) return;
+            
+            const ctx = this.ctx;
+            const x = this.layout.gridX0 + cursor.column * this.layout.boxSize;
+            const top = band.y + 28;
+            const bottom = band.y + band.height - 8;
+            
+            ctx.save();
+            ctx.strokeStyle = this.config.colors.cursor;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.snap(x) - 1, top, this.snap(this.layout.boxSize) + 2, bottom - top + 1);
+            
+            // Caret under the column, visible even when it is empty
+            ctx.fillStyle = this.config.colors.cursor;
+            ctx.beginPath();
+            ctx.moveTo(x + this.layout.boxSize / 2, bottom + 1);
+            ctx.lineTo(x + this.layout.boxSize / 2 - 4, bottom + 7);
+            ctx.lineTo(x + this.layout.boxSize / 2 + 4, bottom + 7);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        }
+
+
+        render(engine) {
+            if (!this.needsRedraw) return;
+            
+            this.clear();
+            const { yBot } = this.drawPopulationAndSample(engine);
+            
+            // Sampling distribution tray (resampled statistics in bootstrap mode)
+            const bootstrap = engine.isBootstrap();
+            const domain = engine.getStatisticDomain();
+            const samplingStats = engine.getSamplingDistributionStats();
+            const reference = bootstrap ? this.scaleReference(engine, samplingStats.total) : null;
+            const overlays = !bootstrap && this.showLines.normalFit ? this.theoreticalOverlays(engine, samplingStats) : [];
+            const maxSampling = Math.max(...engine.samplingDistData, reference ? reference.peak : 0,
+                                         ...overlays.map(overlay => overlay.peak), 1);
+            const scaleBot = Math.min(1, (this.layout.heights.bot - 28) / (maxSampling * this.layout.boxSize));
             this.layout.boxHeights.bot = this.layout.boxSize * scaleBot;
             
-            // Draw sections
-            this.drawTray(yTop, this.layout.heights.top, "Population Distribution");
-            this.drawTray(yMid, this.layout.heights.mid, "Sample Distribution");
-            this.drawTray(yBot, this.layout.heights.bot, `Sampling Distribution of the ${engine.getStatisticLabel()}`);
+            const botTitle = bootstrap ? 'Bootstrap Distribution' : 'Sampling Distribution';
+            // A sample-size sweep names the n on show
+            const sweep = engine.sweep?.index >= 0 ?
+                ` · n = ${engine.sampleSize} (${engine.sweep.index + 1} of ${engine.sweep.sizes.length})` : '';
+            this.drawTray(yBot, this.layout.heights.bot, `${botTitle} of the ${engine.getStatisticLabel()}${sweep}`, domain);
             
-            // Draw data stacks
-            const topBase = yTop + this.layout.heights.top - 8;
-            const midBase = yMid + this.layout.heights.mid - 16;
             const botBase = yBot + this.layout.heights.bot - 16;
-            
-            this.drawStacks(engine.populationData, topBase, this.layout.boxHeights.top, 
-                          this.config.colors.popFill, this.config.colors.popTop);
-            this.drawStacks(engine.sampleData, midBase, this.layout.boxHeights.mid,
-                          this.config.colors.midFill, this.config.colors.midTop);
+            const region = engine.getRejectionRegion();
+            if (bootstrap) this.drawBootstrapIntervals(engine, domain, yBot, botBase);
+            if (region) this.drawRejectionRegion(region, domain, yBot, botBase, engine.hypothesis.alpha);
             this.drawStacks(engine.samplingDistData, botBase, this.layout.boxHeights.bot,
                           this.config.colors.botFill, this.config.colors.botTop);
-            
-            // Draw population stats
-            const popStats = engine.getPopulationStats();
-            this.drawStatsText(
-                this.layout.gridX0 + this.layout.gridW, 
-                yTop + 40,
-                [`μ = ${popStats.mean.toFixed(3)}`, `σ = ${popStats.sd.toFixed(3)}`],
-                'right'
-            );
+            if (reference) this.drawOutline(reference.heights, botBase, this.layout.boxHeights.bot, this.config.colors.reference);
+            overlays.forEach(overlay => this.drawTheoreticalOverlay(overlay, domain, botBase, this.layout.boxHeights.bot));
+            if (overlays.length) this.drawOverlayLegend(overlays, this.layout.gridX0, yBot + 66);
+            if (this.kde.show) this.drawKDE(engine.samplingDistData, domain, yBot, botBase, this.layout.boxHeights.bot);
+            if (this.layout.qq) this.drawQQPlot(engine, samplingStats, yBot, this.layout.heights.bot);
             
             // Draw sampling distribution stats if available
-            const samplingStats = engine.getSamplingDistributionStats();
-            if (samplingStats.total > 0) {
+            if (bootstrap) {
+                this.drawBootstrapStats(engine, samplingStats, yBot);
+            } else if (samplingStats.total > 0) {
                 this.drawStatsText(
                     this.layout.gridX0,
                     yBot + 40,
@@ -305,36 +467,542 @@
                     'left'
                 );
                 
+                const samplingLines = [
+                    `E[${engine.getStatisticLabel(true)}] = ${samplingStats.mean.toFixed(3)}`,
+                    `SD[${engine.getStatisticLabel(true)}] = ${samplingStats.sd.toFixed(3)}`
+                ];
+                
+                // Without replacement, compare against the finite-population-corrected SE
+                if (!engine.replacement) {
+                    const se = engine.getTheoreticalSE();
+                    if (isFinite(se)) samplingLines.push(`SE (FPC) = ${se.toFixed(3)}`);
+                }
+                
+                // How normal the runs look so far
+                const normality = engine.getNormalityDiagnostics();
+                if (normality) {
+                    const versus = normality.reference === 'clt' ? `N(${engine.getParameterLabel(true)}, SE)` : 'fitted normal';
+                    samplingLines.push(
+                        `skewness = ${normality.skewness.toFixed(3)}`,
+                        `excess kurtosis = ${normality.kurtosis.toFixed(3)}`,
+                        `vs ${versus}: KS = ${normality.ks.toFixed(3)}, A² = ${normality.ad.toFixed(2)}`
+                    );
+                }
+                
+                if (engine.testMode) samplingLines.push(...this.testSummaryLines(engine, region));
+                
                 this.drawStatsText(
                     this.layout.gridX0 + this.layout.gridW,
                     yBot + 40,
-                    [
-                        `E[${engine.getStatisticLabel(true)}] = ${samplingStats.mean.toFixed(3)}`,
-                        `SD[${engine.getStatisticLabel(true)}] = ${samplingStats.sd.toFixed(3)}`
-                    ],
+                    samplingLines,
                     'right'
                 );
+            } else if (engine.testMode) {
+                this.drawStatsText(this.layout.gridX0 + this.layout.gridW, yBot + 40, this.testSummaryLines(engine, region), 'right');
             }
             
             // Draw enhanced lines (will be implemented in next step)
             this.drawEnhancedLines(engine);
+            if (bootstrap) this.drawObservedLine(engine);
+            if (region) this.drawTestLines(engine, domain, yBot, botBase);
             
             this.needsRedraw = false;
         }
 
+        // Draw one tray split into equal bands (one per group) with its stacks.
+        // Returns the band geometry so hit-testing can map y back to a group.
+        drawBands(groups, y, height, baseOffset, boxKey, titleFor, dataFor, fillColor, topColor) {
+            const bandH = height / groups.length;
+            
+            return groups.map((group, i) => {
+                const bandY = y + i * bandH;
+                const data = dataFor(group);
+                const maxCount = Math.max(...data, 1);
+                const scale = Math.min(1, (bandH - 28) / (maxCount * this.layout.boxSize));
+                const boxHeight = this.layout.boxSize * scale;
+                if (i === 0) this.layout.boxHeights[boxKey] = boxHeight;
+                
+                const base = bandY + bandH - baseOffset;
+                this.drawTray(bandY, bandH, titleFor(group));
+                this.drawStacks(data, base, boxHeight, fillColor, topColor);
+                
+                return { group, y: bandY, height: bandH, base, boxHeight };
+            });
+        }
+
+        // ============ Bootstrap ============
+        // The true sampling distribution rescaled to the bootstrap's number of
+        // resamples (or to fill the tray before any), so the shapes compare directly
+        scaleReference(engine, bootstrapTotal) {
+            const data = engine.referenceDistData;
+            let total = 0, max = 0;
+            for (let b = 0; b < data.length; b++) {
+                total += data[b];
+                max = Math.max(max, data[b]);
+            }
+            if (!total) return null;
+            
+            const fullTray = (this.layout.heights.bot - 28) / this.layout.boxSize;
+            const factor = bootstrapTotal ? bootstrapTotal / total : fullTray / max;
+            const heights = Array.from(data, count => count * factor);
+            return { heights, peak: max * factor };
+        }
+
+        // Step outline over stacked bins, for overlaying a histogram on the stacks
+        drawOutline(heights, yBottom, boxHeight, color) {
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            this.traceSteps(heights, yBottom, boxHeight);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        traceSteps(heights, yBottom, boxHeight) {
+            const ctx = this.ctx;
+            const x0 = this.layout.gridX0;
+            const w = this.layout.boxSize;
+            
+            ctx.beginPath();
+            ctx.moveTo(x0, yBottom);
+            heights.forEach((h, b) => {
+                const y = yBottom - h * boxHeight;
+                ctx.lineTo(x0 + b * w, y);
+                ctx.lineTo(x0 + (b + 1) * w, y);
+            });
+            ctx.lineTo(x0 + heights.length * w, yBottom);
+        }
+
+        // ============ Theoretical Overlays ============
+        // Curves over the sampling distribution in expected counts per bin for the
+        // runs so far (the tallest fills the tray before any):
+        //   - CLT normal N(θ, SE), from the population's parameter and theoretical SE
+        //   - normal fit to the simulated statistics' mean and SD
+        //   - exact distribution, where the statistic has one (engine.getExactSamplingDistribution)
+        theoreticalOverlays(engine, samplingStats) {
+            const colors = this.config.colors;
+            const domain = engine.getStatisticDomain();
+            const binWidth = (domain.max - domain.min) / engine.samplingDistData.length;
+            const normal = (mean, sd) => (x) => MathUtils.normalPDF(x, mean, sd) * binWidth;
+            const overlays = [];
+            
+            const se = engine.getTheoreticalSE();
+            if (isFinite(se) && se > 0) {
+                overlays.push({
+                    label: `CLT: N(${engine.getParameterLabel(true)}, SE = ${se.toFixed(3)})`,
+                    color: colors.normal, dash: [],
+                    probability: normal(engine.getParameterValue(), se),
+                    peak: binWidth / (se * Math.sqrt(2 * Math.PI))
+                });
+            }
+            
+            if (samplingStats.total > 1 && samplingStats.sd > 0) {
+                overlays.push({
+                    label: 'Normal fit to the runs',
+                    color: colors.fit, dash: [6, 4],
+                    probability: normal(samplingStats.mean, samplingStats.sd),
+                    peak: binWidth / (samplingStats.sd * Math.sqrt(2 * Math.PI))
+                });
+            }
+            
+            const exact = engine.getExactSamplingDistribution();
+            if (exact) {
+                overlays.push({
+                    label: `Exact, n = ${engine.sampleSize}`,
+                    color: colors.exact, dash: [],
+                    bins: exact,
+                    peak: Math.max(...exact)
+                });
+            }
+            
+            if (!overlays.length) return overlays;
+            const fullTray = (this.layout.heights.bot - 28) / this.layout.boxSize;
+            const scale = samplingStats.total || fullTray / Math.max(...overlays.map(overlay => overlay.peak));
+            overlays.forEach(overlay => {
+                overlay.scale = scale;
+                overlay.peak *= scale;
+            });
+            return overlays;
+        }
+
+        // A smooth curve for densities, a step outline for binned probabilities
+        drawTheoreticalOverlay(overlay, domain, yBottom, boxHeight) {
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.strokeStyle = overlay.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(overlay.dash);
+            if (overlay.bins) {
+                this.traceSteps(Array.from(overlay.bins, p => p * overlay.scale), yBottom, boxHeight);
+            } else {
+                const x0 = this.layout.gridX0;
+                const width = this.layout.gridW;
+                ctx.beginPath();
+                for (let px = 0; px <= width; px += 2) {
+                    const value = domain.min + (px / width) * (domain.max - domain.min);
+                    const y = yBottom - overlay.probability(value) * overlay.scale * boxHeight;
+                    if (px === 0) ctx.moveTo(x0 + px, y);
+                    else ctx.lineTo(x0 + px, y);
+                }
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // ============ Kernel Density ============
+        // Gaussian KDE of a tray's histogram (bin centers weighted by count), in
+        // blocks per bin so it follows the stacks; masked like the lines
+        // (RenderUtils) so it reads in front of blocks. Labelled with its bandwidth.
+        drawKDE(data, domain, trayY, yBottom, boxHeight) {
+            const bins = data.length;
+            const binWidth = (domain.max - domain.min) / bins;
+            const centers = Array.from({ length: bins }, (_, b) => domain.min + (b + 0.5) * binWidth);
+            const bandwidth = MathUtils.kdeBandwidth(centers, data, this.kde.rule) * this.kde.adjust;
+            if (!(bandwidth > 0)) return;
+            
+            let total = 0;
+            for (let b = 0; b < bins; b++) total += data[b];
+            const x0 = this.layout.gridX0;
+            const width = this.layout.gridW;
+            const at = [];
+            for (let px = 0; px <= width; px += 2) at.push(domain.min + (px / width) * (domain.max - domain.min));
+            const density = MathUtils.kernelDensity(centers, data, bandwidth, at);
+            const top = trayY + 28;
+            const points = at.map((value, i) => ({
+                x: x0 + i * 2,
+                y: Math.max(top, yBottom - density[i] * binWidth * total * boxHeight)
+            }));
+            
+            const covered = (x, y) => {
+                const b = Math.floor((x - x0) / this.layout.boxSize);
+                return b >= 0 && b < bins && y <= yBottom && y >= yBottom - data[b] * boxHeight;
+            };
+            const label = `KDE · ${this.kde.rule === 'scott' ? 'Scott' : 'Silverman'} h = ${bandwidth.toPrecision(2)}`;
+            this.drawDensityCurve(points, covered, label, trayY);
+        }
+
+        drawDensityCurve(points, covered, label, trayY) {
+            const ctx = this.ctx;
+            const color = this.config.colors.kde;
+            
+            if (global.RenderUtils) {
+                RenderUtils.drawCurveWithMasking(ctx, points, color, covered);
+            } else {
+                ctx.save();
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                points.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+                ctx.stroke();
+                ctx.restore();
+            }
+            
+            ctx.save();
+            ctx.fillStyle = color;
+            ctx.font = "12px Inter, system-ui, sans-serif";
+            ctx.textAlign = "right";
+            ctx.fillText(label, this.layout.gridX0 + this.layout.gridW, trayY + 20);
+            ctx.restore();
+        }
+
+        // ============ Normal Q–Q Plot ============
+        // Quantiles of the statistics so far against standard normal quantiles, in
+        // the panel updateLayout reserves. The reference line is mean + SD·z of the
+        // sampling distribution: the points straighten onto it as n grows.
+        drawQQPlot(engine, samplingStats, y, height) {
+            const ctx = this.ctx;
+            const colors = this.config.colors;
+            const { x, width } = this.layout.qq;
+            const left = x + 44;
+            const right = x + width - 12;
+            const top = y + 36;
+            const bottom = y + height - 34;
+            
+            ctx.save();
+            ctx.fillStyle = colors.band;
+            ctx.fillRect(x, y, width, height);
+            ctx.fillStyle = colors.text;
+            ctx.font = "600 18px Inter, system-ui, sans-serif";
+            ctx.textAlign = "left";
+            ctx.fillText("Normal Q–Q", x + 12, y + 22);
+            
+            const pairs = engine.getNormalQuantilePairs();
+            ctx.fillStyle = "#475569";
+            ctx.font = "13px Inter, system-ui, sans-serif";
+            ctx.textAlign = "center";
+            if (!pairs || !(samplingStats.sd > 0)) {
+                ctx.fillText("Needs three or more runs", (left + right) / 2, (top + bottom) / 2);
+                ctx.restore();
+                return;
+            }
+            
+            // Symmetric z range covering every point; values span the points and the line
+            const k = pairs.theoretical.length;
+            const zMax = Math.max(2, Math.ceil(-pairs.theoretical[0]));
+            const line = (z) => samplingStats.mean + samplingStats.sd * z;
+            let vMin = Math.min(pairs.sample[0], line(-zMax));
+            let vMax = Math.max(pairs.sample[k - 1], line(zMax));
+            const margin = (vMax - vMin) * 0.04 || 0.5;
+            vMin -= margin;
+            vMax += margin;
+            const px = (z) => left + (z + zMax) / (2 * zMax) * (right - left);
+            const py = (v) => bottom - (v - vMin) / (vMax - vMin) * (bottom - top);
+            
+            // z gridlines and labels
+            for (let z = -zMax; z <= zMax; z++) {
+                ctx.fillStyle = colors.tick;
+                this.fillCrispRect(px(z), top, this.hairline(), bottom - top);
+                ctx.fillStyle = "#475569";
+                ctx.fillText(z === 0 ? "0" : String(z), px(z), bottom + 16);
+            }
+            ctx.fillText("Normal quantile (z)", (left + right) / 2, y + height - 2);
+            ctx.textAlign = "right";
+            ctx.fillText(this.formatAxisValue(vMax - margin), left - 6, top + 8);
+            ctx.fillText(this.formatAxisValue(vMin + margin), left - 6, bottom);
+            
+            ctx.strokeStyle = colors.normal;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(px(-zMax), py(line(-zMax)));
+            ctx.lineTo(px(zMax), py(line(zMax)));
+            ctx.stroke();
+            
+            ctx.fillStyle = colors.botFill;
+            for (let i = 0; i < k; i++) {
+                ctx.beginPath();
+                ctx.arc(px(pairs.theoretical[i]), py(pairs.sample[i]), 2.5, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+            ctx.restore();
+        }
+
+        drawOverlayLegend(overlays, x, y) {
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.font = "12px Inter, system-ui, sans-serif";
+            ctx.textAlign = "left";
+            ctx.lineWidth = 2;
+            overlays.forEach((overlay, i) => {
+                const rowY = y + i * 18;
+                ctx.strokeStyle = overlay.color;
+                ctx.setLineDash(overlay.dash);
+                ctx.beginPath();
+                ctx.moveTo(x, rowY - 4);
+                ctx.lineTo(x + 20, rowY - 4);
+                ctx.stroke();
+                ctx.fillStyle = this.config.colors.text;
+                ctx.fillText(overlay.label, x + 26, rowY);
+            });
+            ctx.restore();
+        }
+
+        // Percentile and basic intervals as shaded regions behind the stacks
+        drawBootstrapIntervals(engine, domain, yBot, botBase) {
+            const intervals = engine.getBootstrapIntervals();
+            if (!intervals) return;
+            
+            const ctx = this.ctx;
+            const top = yBot + 32;
+            const bands = [
+                { interval: intervals.percentile, color: this.config.colors.percentileBand, label: 'Percentile', labelY: top + 12 },
+                { interval: intervals.basic, color: this.config.colors.basicBand, label: 'Basic', labelY: top + 26 }
+            ];
+            
+            ctx.save();
+            ctx.font = "600 12px Inter, system-ui, sans-serif";
+            ctx.textAlign = "left";
+            for (const { interval, color, label, labelY } of bands) {
+                const x1 = this.valueToX(interval.lower, domain);
+                const x2 = this.valueToX(interval.upper, domain);
+                ctx.fillStyle = color;
+                ctx.fillRect(x1, top, Math.max(1, x2 - x1), botBase - top);
+                ctx.fillStyle = this.config.colors.text;
+                ctx.fillText(label, x1 + 4, labelY);
+            }
+            ctx.restore();
+        }
+
+        // Bootstrap resamples centre on the observed statistic, not the parameter
+        drawObservedLine(engine) {
+            if (!this.showLines.sample || !engine.hasBootstrapSample()) return;
+            
+            const x = this.valueToX(engine.getObservedStatistic(), engine.getStatisticDomain());
+            const yMid = this.layout.marginY + this.layout.heights.top;
+            const yBot = yMid + this.layout.heights.mid;
+            const midBase = yMid + this.layout.heights.mid - 16;
+            const botBase = yBot + this.layout.heights.bot - 16;
+            
+            this.drawEnhancedLine(
+                x, yMid + 32, midBase - 8,
+                this.config.colors.sampleMean,
+                engine.getStatisticLabel(true),
+                yMid + 60
+            );
+            this.drawEnhancedLine(x, yBot + 32, botBase - 8, this.config.colors.sampleMean, null, null);
+        }
+
+        drawBootstrapStats(engine, samplingStats, yBot) {
+            const shortLabel = engine.getStatisticLabel(true);
+            const reference = engine.getSamplingDistributionStats(engine.referenceDistData);
+            const lines = [];
+            
+            if (samplingStats.total > 0) {
+                this.drawStatsText(this.layout.gridX0, yBot + 40, [`resamples = ${samplingStats.total}`], 'left');
+                lines.push(`SE*[${shortLabel}] = ${samplingStats.sd.toFixed(3)}`);
+            }
+            if (reference.total > 0) {
+                lines.push(`True SD[${shortLabel}] = ${reference.sd.toFixed(3)}`);
+            }
+            
+            const intervals = engine.getBootstrapIntervals();
+            if (intervals) {
+                const pct = Math.round(intervals.level * 100);
+                const fmt = ({ lower, upper }) => `[${lower.toFixed(3)}, ${upper.toFixed(3)}]`;
+                lines.push(`${pct}% percentile ${fmt(intervals.percentile)}`);
+                lines.push(`${pct}% basic ${fmt(intervals.basic)}`);
+            }
+            
+            this.drawStatsText(this.layout.gridX0 + this.layout.gridW, yBot + 40, lines, 'right');
+        }
+
+        // ============ Hypothesis Test ============
+        // Statistic values where H₀ is rejected, shaded behind the stacks
+        drawRejectionRegion(region, domain, yBot, botBase, alpha) {
+            const ctx = this.ctx;
+            const top = yBot + 32;
+            const x0 = this.layout.gridX0;
+            const x1 = x0 + this.layout.gridW;
+            
+            ctx.save();
+            ctx.fillStyle = this.config.colors.rejection;
+            if (region.lower !== null) {
+                const x = this.valueToX(region.lower, domain);
+                ctx.fillRect(x0, top, x - x0, botBase - top);
+            }
+            if (region.upper !== null) {
+                const x = this.valueToX(region.upper, domain);
+                ctx.fillRect(x, top, x1 - x, botBase - top);
+            }
+            ctx.restore();
+        }
+
+        // θ₀, and the latest sample's statistic labelled with its p-value
+        drawTestLines(engine, domain, yBot, botBase) {
+            const nullX = this.valueToX(engine.hypothesis.nullValue, domain);
+            this.drawEnhancedLine(nullX, yBot + 52, botBase - 8, this.config.colors.nullLine, 'H₀', yBot + 64, 'null');
+            
+            const statistic = engine.getSampleStatistic();
+            if (!this.showLines.sample || isNaN(statistic)) return;
+            const p = engine.getPValue(statistic);
+            this.drawEnhancedLine(
+                this.valueToX(statistic, domain), yBot + 70, botBase - 8,
+                this.config.colors.sampleMean,
+                `${engine.getStatisticLabel(true)} (${formatPValue(p)})`,
+                yBot + 82,
+                'sample'
+            );
+        }
+
+        // "H₀: μ = 0.5, H₁: μ ≠ 0.5, α = 0.05" and the rejection rate so far at the population's θ
+        testSummaryLines(engine, region) {
+            if (!region) return [`No z test for the ${engine.getStatisticLabel().toLowerCase()}`];
+            
+            const { nullValue, alternative, alpha } = engine.hypothesis;
+            const theta = engine.getParameterLabel(true);
+            const lines = [`H₀: ${theta} = ${nullValue}, H₁: ${theta} ${ALTERNATIVE_SIGNS[alternative]} ${nullValue}, α = ${alpha}`];
+            const { runs, rejections, rate, parameter } = engine.getTestSummary();
+            if (runs) lines.push(`Rejection rate = ${(rate * 100).toFixed(1)}% (${rejections} / ${runs}) at ${theta} = ${parameter.toFixed(3)}`);
+            return lines;
+        }
+
+        // ============ Interval Ladder ============
+        // Confidence interval applets: the bottom tray becomes a ladder of the most
+        // recent intervals (newest on top), colored by whether each captures θ.
+        // ladder: { intervals: [{estimate, lower, upper, covered}], total, covered,
+        //           level, parameter, parameterLabel, methodLabel }
+        renderIntervalLadder(engine, ladder) {
+            if (!this.needsRedraw) return;
+            
+            this.clear();
+            const { yMid, yBot } = this.drawPopulationAndSample(engine);
+            const height = this.layout.heights.bot;
+            const domain = { min: 0, max: 1 };
+            
+            this.drawTray(yBot, height, `${Math.round(ladder.level * 100)}% Confidence Intervals (${ladder.methodLabel})`, domain);
+            
+            const top = yBot + 32;
+            const bottom = yBot + height - 16;
+            const rowH = Math.max(2, Math.min(8, (bottom - top) / Math.max(ladder.intervals.length, 1)));
+            const rows = Math.floor((bottom - top) / rowH);
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ladder.intervals.slice(-rows).reverse().forEach((interval, i) => {
+                const y = top + (i + 0.5) * rowH;
+                const color = interval.covered ? this.config.colors.paramLine : this.config.colors.samplingLine;
+                const x1 = this.valueToX(interval.lower, domain);
+                const x2 = this.valueToX(interval.upper, domain);
+                
+                ctx.fillStyle = color;
+                ctx.fillRect(x1, y - Math.max(1, rowH * 0.2), Math.max(1, x2 - x1), Math.max(2, rowH * 0.4));
+                ctx.fillRect(this.valueToX(interval.estimate, domain) - 1, y - rowH * 0.4, 2, rowH * 0.8);
+            });
+            ctx.restore();
+            
+            // Parameter line through the sample tray and the ladder
+            if (this.showLines.parameter) {
+                const x = this.valueToX(ladder.parameter, domain);
+                this.drawEnhancedLine(
+                    x, yMid + 32, yMid + this.layout.heights.mid - 24,
+                    this.config.colors.paramLine, ladder.parameterLabel, yMid + 46, 'parameter'
+                );
+                this.drawEnhancedLine(x, top, bottom, this.config.colors.paramLine, null, null, 'parameter');
+            }
+            
+            if (ladder.total > 0) {
+                const coverage = ladder.covered / ladder.total;
+                this.drawStatsText(this.layout.gridX0, yBot + 40, [`intervals = ${ladder.total}`], 'left');
+                this.drawStatsText(
+                    this.layout.gridX0 + this.layout.gridW,
+                    yBot + 40,
+                    [
+                        `coverage = ${(coverage * 100).toFixed(1)}%`,
+                        `nominal = ${(ladder.level * 100).toFixed(0)}%`,
+                        `missed = ${ladder.total - ladder.covered}`
+                    ],
+                    'right'
+                );
+            }
+            
+            this.needsRedraw = false;
+        }
+
+        // Column (0-based) holding a population proportion
+        valueToColumn(proportion) {
+            const cols = this.config.cols || 60;
+            return this.clamp(Math.floor(proportion * cols), 0, cols - 1);
+        }
+
+        // Which population (if any) a canvas y coordinate falls on
+        populationGroupAt(y) {
+            const bands = this.layout.populationBands || [
+                { group: 'A', y: this.layout.marginY, height: this.layout.heights.top }
+            ];
+            const band = bands.find(b => y >= b.y && y < b.y + b.height);
+            return band ? band.group : null;
+        }
+
         // ============ Enhanced Lines (placeholder for now) ============
         drawEnhancedLines(engine) {
             // This will be expanded with the enhanced line features
             // For now, just basic parameter line
             if (!this.showLines.parameter) return;
             
-            const popStats = engine.getPopulationStats();
-            let paramValue = popStats.mean;
-            
-            if (engine.statistic === "median") paramValue = popStats.median;
-            else if (engine.statistic === "sd") paramValue = popStats.sd;
-            else if (engine.statistic === "proportion") paramValue = popStats.proportion;
-            
+            const paramValue = engine.getParameterValue();
             const domain = engine.getStatisticDomain();
             const proportion = this.clamp((paramValue - domain.min) / (domain.max - domain.min), 0, 1);
             const x = this.layout.gridX0 + proportion * this.layout.gridW;
@@ -345,6 +1013,19 @@
             const midBase = yMid + this.layout.heights.mid - 16;
             const botBase = yBot + this.layout.heights.bot - 16;
             
+            // Two-sample differences aren't on the sample tray's scale, so the
+            // parameter line (and its label) moves to the bottom tray only
+            if (engine.isTwoSample()) {
+                this.drawEnhancedLine(
+                    x, yBot + 32, botBase - 8,
+                    this.config.colors.paramLine,
+                    engine.getParameterLabel(true),
+                    yBot + 46,
+                    'parameter'
+                );
+                return;
+            }
+            
             this.drawEnhancedLine(
                 x, yMid + 32, midBase - 8,
                 this.config.colors.paramLine,
@@ -362,6 +1043,34 @@
             );
         }
 
+        // ============ Figure Export ============
+        // The drawing's size in CSS pixels, whatever the canvas element's size
+        getFigureSize() {
+            return {
+                width: this.layout.plotW,
+                height: this.layout.heights.top + this.layout.heights.mid + 
+                        this.layout.heights.bot + 2 * this.layout.marginY
+            };
+        }
+
+        // Run a render call against another 2D context (an offscreen canvas or a
+        // FigureExport.SvgContext) with the current layout; the screen redraws next frame.
+        // pixelRatio is the target's scale, for snapping lines to its pixels.
+        drawTo(ctx, draw, pixelRatio = 1) {
+            const screen = { ctx: this.ctx, pixelRatio: this.pixelRatio, populationCursor: this.populationCursor };
+            this.ctx = ctx;
+            this.pixelRatio = pixelRatio;
+            // The keyboard focus indicator is not part of the figure
+            this.populationCursor = null;
+            this.needsRedraw = true;
+            try {
+                draw();
+            } finally {
+                Object.assign(this, screen);
+                this.needsRedraw = true;
+            }
+        }
+
         // ============ Utility Methods ============
         valueToX(value, domain) {
             const proportion = this.clamp((value - domain.min) / (domain.max - domain.min), 0, 1);
@@ -373,6 +1082,10 @@
             return this.clamp(proportion, 0, 1);
         }
 
+        formatAxisValue(value) {
+            return Number.isInteger(value) ? String(value) : String(+value.toFixed(2));
+        }
+
         clamp(x, a, b) {
             return Math.max(a, Math.min(b, x));
         }
@@ -382,6 +1095,8 @@
         }
     }
 
+    StatRenderer.watchPixelRatio = watchPixelRatio;
+
     // Export to global scope
     global.StatRenderer = StatRenderer;
 
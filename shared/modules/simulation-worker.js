@@ -0,0 +1,92 @@
+// Simulation Worker - Runs bulk sampling off the main thread
+// Started by modules/bulk-simulation.js; streams partial sampling-distribution
+// histograms back so the page can draw progress and stay responsive.
+//
+// Messages in:  { type: "run", id, weights, bins, domain, statistic, settings, n, iterations, seed,
+//                 chunkSize, retainValues, rejection? }
+//               { type: "cancel", id }
+// Messages out: { type: "progress", id, done, total, counts, values?, rejections? }  (since the
+//                 last message; values only with retainValues, rejections only with a
+//                 rejection region {lower, upper} to count the runs in)
+//               { type: "done", id, done, total, cancelled }
+//               { type: "error", id, message }
+
+// The shared modules export to `window`
+self.window = self;
+importScripts('statistics.js', 'stat-engine.js');
+
+(function() {
+    'use strict';
+
+    const DEFAULT_CHUNK = 5000;
+    const cancelled = new Set();
+
+    function runJob(job) {
+        const { id, weights, bins, domain, statistic, settings, n, iterations } = job;
+        const cols = weights.length;
+        const definition = StatisticRegistry.get(statistic);
+        const table = MathUtils.buildAliasTable(weights);
+        const rng = MathUtils.createRNG(job.seed);
+        const chunkSize = job.chunkSize || DEFAULT_CHUNK;
+        const span = domain.max - domain.min;
+        const values = new Array(n);
+        const region = job.rejection || null;
+        let done = 0;
+
+        const runChunk = () => {
+            if (cancelled.delete(id)) {
+                self.postMessage({ type: "done", id, done, total: iterations, cancelled: true });
+                return;
+            }
+
+            const counts = new Uint32Array(bins);
+            const end = Math.min(iterations, done + chunkSize);
+            const kept = job.retainValues ? new Float64Array(end - done) : null;
+            let keptCount = 0, rejections = 0;
+            for (; done < end; done++) {
+                for (let i = 0; i < n; i++) {
+                    const col = table ? MathUtils.sampleAlias(table, rng) : Math.floor(rng() * cols);
+                    values[i] = (col + 0.5) / cols;
+                }
+                const v = definition.compute(values, settings);
+                if (isNaN(v)) continue;
+                if (kept) kept[keptCount++] = v;
+                if (region && MathUtils.isRejected(v, region)) rejections++;
+                const x01 = MathUtils.clamp((v - domain.min) / span, 0, 1);
+                counts[MathUtils.clamp(Math.floor(x01 * bins), 0, bins - 1)]++;
+            }
+
+            const progress = { type: "progress", id, done, total: iterations, counts };
+            if (region) progress.rejections = rejections;
+            if (kept) {
+                progress.values = kept.slice(0, keptCount);
+                self.postMessage(progress, [counts.buffer, progress.values.buffer]);
+            } else {
+                self.postMessage(progress, [counts.buffer]);
+            }
+
+            if (done < iterations) {
+                // Yield so a cancel message can arrive between chunks
+                setTimeout(runChunk, 0);
+            } else {
+                cancelled.delete(id);
+                self.postMessage({ type: "done", id, done, total: iterations, cancelled: false });
+            }
+        };
+
+        runChunk();
+    }
+
+    self.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === "cancel") {
+            cancelled.add(message.id);
+        } else if (message.type === "run") {
+            try {
+                runJob(message);
+            } catch (error) {
+                self.postMessage({ type: "error", id: message.id, message: error.message });
+            }
+        }
+    };
+})();
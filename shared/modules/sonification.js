@@ -0,0 +1,179 @@
+// Sonification Module - The sampling distribution as sound (Web Audio API)
+// Positions are proportions across the tray (0 = left edge, 1 = right edge, as
+// from StatRenderer.valueToX), heard as pitches on a log scale between minFreq
+// and maxFreq, so equal distances along the axis sound like equal intervals.
+//   - tone: one short note per new statistic
+//   - sweep: the whole histogram, left to right as a glissando or all at once
+//     as a chord, with loudness following bin height
+// Scheduling works on any BaseAudioContext, so sweeps render offline for tests:
+//   Sonification.renderSweep(engine.samplingDistData).then(buffer => ...)
+
+(function(global) {
+    'use strict';
+
+    const DEFAULTS = {
+        minFreq: 220,       // A3 at the left edge
+        maxFreq: 880,       // A5 at the right edge
+        volume: 0.3,
+        toneDuration: 0.15, // seconds
+        sweepDuration: 2,   // seconds
+        sweepMode: 'glissando'
+    };
+
+    // Short attack and release so notes don't click
+    const RAMP = 0.01;
+
+    const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+    function frequency(position, options = DEFAULTS) {
+        return options.minFreq * Math.pow(options.maxFreq / options.minFreq, clamp01(position));
+    }
+
+    // ============ Scheduling ============
+    /**
+     * One sine note starting at `start` (context time).
+     * @param {BaseAudioContext} ctx
+     * @param {AudioNode} destination
+     */
+    function scheduleTone(ctx, destination, position, start, options = DEFAULTS) {
+        const duration = options.toneDuration;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        oscillator.frequency.value = frequency(position, options);
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(options.volume, start + RAMP);
+        gain.gain.setValueAtTime(options.volume, start + duration - RAMP);
+        gain.gain.linearRampToValueAtTime(0, start + duration);
+
+        oscillator.connect(gain).connect(destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    /**
+     * The histogram `counts` (bins spread evenly across the tray).
+     * glissando: one voice gliding left to right, loudness tracking each bin;
+     * chord: a voice per occupied bin held together, loudness by share of the total.
+     * @returns {number} seconds scheduled (0 when there is nothing to play)
+     */
+    function scheduleSweep(ctx, destination, counts, start, options = DEFAULTS) {
+        const bins = counts.length;
+        let max = 0, total = 0;
+        for (let b = 0; b < bins; b++) {
+            max = Math.max(max, counts[b]);
+            total += counts[b];
+        }
+        if (!total) return 0;
+
+        const duration = options.sweepDuration;
+        const end = start + duration;
+        const position = (b) => (b + 0.5) / bins;
+
+        if (options.sweepMode === 'chord') {
+            for (let b = 0; b < bins; b++) {
+                if (!counts[b]) continue;
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                const level = options.volume * counts[b] / total;
+                oscillator.frequency.value = frequency(position(b), options);
+                gain.gain.setValueAtTime(0, start);
+                gain.gain.linearRampToValueAtTime(level, start + RAMP * 5);
+                gain.gain.setValueAtTime(level, end - RAMP * 5);
+                gain.gain.linearRampToValueAtTime(0, end);
+                oscillator.connect(gain).connect(destination);
+                oscillator.start(start);
+                oscillator.stop(end);
+            }
+            return duration;
+        }
+
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const step = duration / bins;
+        oscillator.frequency.setValueAtTime(frequency(position(0), options), start);
+        gain.gain.setValueAtTime(0, start);
+        for (let b = 0; b < bins; b++) {
+            const t = start + (b + 0.5) * step;
+            oscillator.frequency.exponentialRampToValueAtTime(frequency(position(b), options), t);
+            gain.gain.linearRampToValueAtTime(options.volume * counts[b] / max, t);
+        }
+        gain.gain.linearRampToValueAtTime(0, end);
+        oscillator.connect(gain).connect(destination);
+        oscillator.start(start);
+        oscillator.stop(end);
+        return duration;
+    }
+
+    // ============ Live Player ============
+    class Sonification {
+        constructor(options = {}) {
+            this.options = { ...DEFAULTS, ...options };
+            this.enabled = false;
+            this.context = null;
+            // Context time before which the next tone may not start
+            this.nextToneTime = 0;
+        }
+
+        // Browsers only start audio after a user gesture, so the context is made on first use
+        getContext() {
+            if (!this.context) {
+                const AudioContext = global.AudioContext || global.webkitAudioContext;
+                if (!AudioContext) return null;
+                this.context = new AudioContext();
+            }
+            if (this.context.state === 'suspended') this.context.resume();
+            return this.context;
+        }
+
+        setEnabled(enabled) {
+            this.enabled = !!enabled;
+            if (this.enabled) this.getContext();
+        }
+
+        // Plays only while enabled; skips notes that would pile up behind each other
+        playTone(position) {
+            if (!this.enabled) return;
+            const ctx = this.getContext();
+            if (!ctx) return;
+            const start = Math.max(ctx.currentTime, this.nextToneTime);
+            if (start - ctx.currentTime > this.options.toneDuration * 4) return;
+            scheduleTone(ctx, ctx.destination, position, start, this.options);
+            this.nextToneTime = start + this.options.toneDuration / 2;
+        }
+
+        // On demand, whether or not tones are enabled
+        playSweep(counts, mode = this.options.sweepMode) {
+            const ctx = this.getContext();
+            if (!ctx) return 0;
+            return scheduleSweep(ctx, ctx.destination, counts, ctx.currentTime + 0.05, { ...this.options, sweepMode: mode });
+        }
+
+        destroy() {
+            this.context?.close();
+            this.context = null;
+        }
+
+        /**
+         * Render a sweep without playing it.
+         * @returns {Promise<AudioBuffer>}
+         */
+        static renderSweep(counts, options = {}) {
+            const settings = { ...DEFAULTS, ...options };
+            const sampleRate = options.sampleRate || 44100;
+            const OfflineAudioContext = global.OfflineAudioContext || global.webkitOfflineAudioContext;
+            const ctx = new OfflineAudioContext(1, Math.ceil(sampleRate * settings.sweepDuration), sampleRate);
+            scheduleSweep(ctx, ctx.destination, counts, 0, settings);
+            return ctx.startRendering();
+        }
+    }
+
+    Sonification.DEFAULTS = DEFAULTS;
+    Sonification.frequency = frequency;
+    Sonification.scheduleTone = scheduleTone;
+    Sonification.scheduleSweep = scheduleSweep;
+
+    // Export to global scope
+    global.Sonification = Sonification;
+
+})(window || this);
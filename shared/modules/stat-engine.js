@@ -1,20 +1,25 @@
 // Statistical Engine Module - Core reusable engine for stat applets
 // Provides foundation for CLT, confidence intervals, p-values, etc.
+// Requires modules/statistics.js (StatisticRegistry) to be loaded first.
 
 (function(global) {
     'use strict';
 
     // ============ Mathematical Utilities ============
     const MathUtils = {
-        // Deterministic RNG
+        // Deterministic RNG; getState/setState expose the internal counter so a
+        // saved experiment resumes the same stream
         createRNG(seed) {
             let t = seed >>> 0;
-            return function() {
+            const rng = function() {
                 t += 0x6D2B79F5;
                 let r = Math.imul(t ^ (t >>> 15), 1 | t);
                 r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
                 return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
             };
+            rng.getState = () => t;
+            rng.setState = (state) => { t = state; };
+            return rng;
         },
 
         clamp(x, a, b) { 
@@ -51,6 +56,287 @@
                 Math.exp(-0.5 * ((x - mu) / sigma) ** 2) / (sigma * Math.sqrt(2 * Math.PI)) : 0;
         },
 
+        // Standard normal CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7)
+        normalCDF(z) {
+            const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+            const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+            const tail = 0.5 * poly * Math.exp(-z * z / 2);
+            return z >= 0 ? 1 - tail : tail;
+        },
+
+        // Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+        normalQuantile(p) {
+            if (p <= 0) return -Infinity;
+            if (p >= 1) return Infinity;
+
+            const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+                       138.3577518672690, -30.66479806614716, 2.506628277459239];
+            const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+                       66.80131188771972, -13.28068155288572];
+            const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+                       -2.549732539343734, 4.374664141464968, 2.938163982698783];
+            const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+                       3.754408661907416];
+            const tail = (q) =>
+                (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+            if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+            if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+
+            const q = p - 0.5;
+            const r = q * q;
+            return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+                   (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+        },
+
+        // Inverse Student t CDF (Hill 1970, Algorithm 396)
+        tQuantile(p, df) {
+            if (p <= 0) return -Infinity;
+            if (p >= 1) return Infinity;
+            if (p < 0.5) return -this.tQuantile(1 - p, df);
+            if (!isFinite(df)) return this.normalQuantile(p);
+
+            const P = 2 * (1 - p); // two-tailed probability
+            if (df === 1) return Math.cos(P * Math.PI / 2) / Math.sin(P * Math.PI / 2);
+            if (df === 2) return Math.sqrt(2 / (P * (2 - P)) - 2);
+
+            const a = 1 / (df - 0.5);
+            const b = 48 / (a * a);
+            let c = ((20700 * a / b - 98) * a - 16) * a + 96.36;
+            const d = ((94.5 / (b + c) - 3) / b + 1) * Math.sqrt(a * Math.PI / 2) * df;
+            let x = d * P;
+            let y = Math.pow(x, 2 / df);
+
+            if (y > 0.05 + a) {
+                x = this.normalQuantile(P / 2);
+                y = x * x;
+                if (df < 5) c += 0.3 * (df - 4.5) * (x + 0.6);
+                c = (((0.05 * d * x - 5) * x - 7) * x - 2) * x + b + c;
+                y = (((((0.4 * y + 6.3) * y + 36) * y + 94.5) / c - y - 3) / b + 1) * x;
+                y = a * y * y;
+                y = y > 0.002 ? Math.exp(y) - 1 : 0.5 * y * y + y;
+            } else {
+                y = ((1 / (((df + 6) / (df * y) - 0.089 * d - 0.822) * (df + 2) * 3) +
+                     0.5 / (df + 4)) * y - 1) * (df + 1) / (df + 2) + 1 / y;
+            }
+            return Math.sqrt(df * y);
+        },
+
+        // ============ z Tests ============
+        // A statistic against H₀: θ = nullValue, its null distribution taken as
+        // N(nullValue, se). alternative: "twoSided" | "less" | "greater"
+        zTestPValue(value, nullValue, se, alternative) {
+            if (!(se > 0) || isNaN(value)) return NaN;
+            const z = (value - nullValue) / se;
+            if (alternative === "less") return this.normalCDF(z);
+            if (alternative === "greater") return 1 - this.normalCDF(z);
+            return 2 * (1 - this.normalCDF(Math.abs(z)));
+        },
+
+        // Statistic values where the test rejects at α, as {lower, upper} cutoffs
+        // (null on the side a one-sided alternative doesn't test); null without an SE
+        zRejectionRegion(nullValue, se, alternative, alpha) {
+            if (!(se > 0)) return null;
+            const cut = this.normalQuantile(1 - alpha / (alternative === "twoSided" ? 2 : 1)) * se;
+            return {
+                lower: alternative === "greater" ? null : nullValue - cut,
+                upper: alternative === "less" ? null : nullValue + cut
+            };
+        },
+
+        isRejected(value, region) {
+            return (region.lower !== null && value <= region.lower) ||
+                   (region.upper !== null && value >= region.upper);
+        },
+
+        // ============ Kernel Density ============
+        // Both take weighted points in ascending order, such as histogram bin
+        // centers and their counts.
+
+        // Gaussian-kernel bandwidth: Silverman's 0.9·min(σ, IQR/1.34)·N^(−1/5)
+        // or Scott's 1.06·σ·N^(−1/5); NaN for fewer than two points
+        kdeBandwidth(points, weights, rule = 'silverman') {
+            let total = 0, sum = 0;
+            for (let i = 0; i < points.length; i++) {
+                total += weights[i];
+                sum += weights[i] * points[i];
+            }
+            if (total < 2) return NaN;
+
+            const m = sum / total;
+            let s2 = 0;
+            for (let i = 0; i < points.length; i++) s2 += weights[i] * (points[i] - m) ** 2;
+            const sd = Math.sqrt(s2 / (total - 1));
+            const factor = Math.pow(total, -0.2);
+            if (rule === 'scott') return 1.06 * sd * factor;
+
+            const quantile = (p) => {
+                let acc = 0;
+                for (let i = 0; i < points.length; i++) {
+                    acc += weights[i];
+                    if (acc >= p * total) return points[i];
+                }
+                return points[points.length - 1];
+            };
+            const iqr = quantile(0.75) - quantile(0.25);
+            return 0.9 * (iqr > 0 ? Math.min(sd, iqr / 1.34) : sd) * factor;
+        },
+
+        // Density estimate at each x in `at` (integrates to 1)
+        kernelDensity(points, weights, bandwidth, at) {
+            let total = 0;
+            for (let i = 0; i < weights.length; i++) total += weights[i];
+            const norm = 1 / (total * bandwidth * Math.sqrt(2 * Math.PI));
+
+            return Float64Array.from(at, (x) => {
+                let density = 0;
+                for (let i = 0; i < points.length; i++) {
+                    if (!weights[i]) continue;
+                    const z = (x - points[i]) / bandwidth;
+                    density += weights[i] * Math.exp(-0.5 * z * z);
+                }
+                return density * norm;
+            });
+        },
+
+        // ============ Normality Diagnostics ============
+        // How close a set of values is to a normal distribution:
+        //   skewness m₃/m₂^1.5 and excess kurtosis m₄/m₂² − 3 (both 0 for a normal)
+        //   ks: Kolmogorov–Smirnov distance sup |Fₙ(x) − Φ((x − mean)/sd)|
+        //   ad: Anderson–Darling A² against the same normal
+        // `normal` ({mean, sd}) defaults to the values' own mean and SD.
+        // Null for fewer than two values or no spread.
+
+        // Raw values, in ascending order
+        normalityDiagnostics(values, normal = null) {
+            const n = values.length;
+            if (n < 2) return null;
+
+            const mean = this.mean(values);
+            let m2 = 0, m3 = 0, m4 = 0;
+            for (let i = 0; i < n; i++) {
+                const d = values[i] - mean, d2 = d * d;
+                m2 += d2;
+                m3 += d2 * d;
+                m4 += d2 * d2;
+            }
+            m2 /= n; m3 /= n; m4 /= n;
+            if (!(m2 > 0)) return null;
+
+            const sd = Math.sqrt(m2 * n / (n - 1));
+            const reference = normal || { mean, sd };
+            let ks = 0, ad = 0;
+            for (let i = 0; i < n; i++) {
+                const z = (values[i] - reference.mean) / reference.sd;
+                const F = this.normalCDF(z);
+                ks = Math.max(ks, Math.abs((i + 1) / n - F), Math.abs(i / n - F));
+                // Rank i + 1: (2i + 1)·ln Φ(z) + (2n − 2i − 1)·ln(1 − Φ(z))
+                ad += (2 * i + 1) * Math.log(Math.max(F, 1e-300)) +
+                      (2 * n - 2 * i - 1) * Math.log(Math.max(this.normalCDF(-z), 1e-300));
+            }
+
+            return { n, mean, sd, skewness: m3 / Math.pow(m2, 1.5), kurtosis: m4 / (m2 * m2) - 3, ks, ad: -n - ad / n, normal: reference };
+        },
+
+        // A histogram over `domain`, each bin's count spread evenly across the bin
+        // (the histogram no longer knows where in a bin its values fell). Moments
+        // include the spread within bins; KS is taken on a grid through the bins and
+        // A² = n∫(Fₙ − Φ)²/(Φ(1 − Φ)) dΦ by Simpson's rule, in closed form beyond
+        // the first and last occupied bins.
+        binnedNormalityDiagnostics(counts, domain = { min: 0, max: 1 }, normal = null) {
+            const bins = counts.length;
+            const width = (domain.max - domain.min) / bins;
+            const center = (b) => domain.min + (b + 0.5) * width;
+            let n = 0, sum = 0, first = -1, last = -1;
+            for (let b = 0; b < bins; b++) {
+                if (!counts[b]) continue;
+                n += counts[b];
+                sum += counts[b] * center(b);
+                if (first < 0) first = b;
+                last = b;
+            }
+            if (n < 2) return null;
+
+            // Central moments of a uniform bin: width²/12 and width⁴/80
+            const mean = sum / n;
+            const u2 = width * width / 12, u4 = width ** 4 / 80;
+            let m2 = 0, m3 = 0, m4 = 0;
+            for (let b = first; b <= last; b++) {
+                const w = counts[b], d = center(b) - mean, d2 = d * d;
+                m2 += w * (d2 + u2);
+                m3 += w * (d2 * d + 3 * d * u2);
+                m4 += w * (d2 * d2 + 6 * d2 * u2 + u4);
+            }
+            m2 /= n; m3 /= n; m4 /= n;
+            if (!(m2 > 0)) return null;
+
+            const sd = Math.sqrt(m2 * n / (n - 1));
+            const reference = normal || { mean, sd };
+            const z = (x) => (x - reference.mean) / reference.sd;
+            const lower = this.normalCDF(z(domain.min + first * width));
+            const upper = this.normalCDF(-z(domain.min + (last + 1) * width));
+            const log = (p) => Math.log(Math.max(p, 1e-300));
+
+            // Below the data Fₙ = 0: ∫₀^Φ(a) Φ/(1 − Φ) dΦ; above it Fₙ = 1: ∫_Φ(b)^1 (1 − Φ)/Φ dΦ
+            let integral = -log(1 - lower) - lower - log(1 - upper) - upper;
+            let ks = Math.max(lower, upper);
+            const steps = 16;
+            const h = width / steps;
+            let below = 0;
+            for (let b = first; b <= last; b++) {
+                const lo = domain.min + b * width;
+                for (let j = 0; j <= steps; j++) {
+                    const zj = z(lo + j * h);
+                    const F = this.normalCDF(zj);
+                    const gap = (below + counts[b] * j / steps) / n - F;
+                    ks = Math.max(ks, Math.abs(gap));
+                    const density = Math.exp(-0.5 * zj * zj) / (reference.sd * Math.sqrt(2 * Math.PI));
+                    const simpson = j === 0 || j === steps ? 1 : (j % 2 ? 4 : 2);
+                    integral += simpson * h / 3 * gap * gap / Math.max(F * this.normalCDF(-zj), 1e-300) * density;
+                }
+                below += counts[b];
+            }
+
+            return { n, mean, sd, skewness: m3 / Math.pow(m2, 1.5), kurtosis: m4 / (m2 * m2) - 3, ks, ad: n * integral, normal: reference };
+        },
+
+        // Walker/Vose alias table: O(cols) to build, O(1) per weighted draw
+        buildAliasTable(weights) {
+            const n = weights.length;
+            let total = 0;
+            for (let i = 0; i < n; i++) total += weights[i];
+            if (!(total > 0)) return null;
+
+            const prob = new Float64Array(n);
+            const alias = new Uint32Array(n);
+            const scaled = new Float64Array(n);
+            const small = [], large = [];
+
+            for (let i = 0; i < n; i++) {
+                scaled[i] = weights[i] * n / total;
+                (scaled[i] < 1 ? small : large).push(i);
+            }
+            while (small.length && large.length) {
+                const s = small.pop(), l = large.pop();
+                prob[s] = scaled[s];
+                alias[s] = l;
+                scaled[l] += scaled[s] - 1;
+                (scaled[l] < 1 ? small : large).push(l);
+            }
+            // Leftovers are 1 up to floating-point error
+            while (large.length) prob[large.pop()] = 1;
+            while (small.length) prob[small.pop()] = 1;
+
+            return { prob, alias, total };
+        },
+
+        sampleAlias(table, rng) {
+            const u = rng() * table.prob.length;
+            const i = Math.floor(u);
+            return u - i < table.prob[i] ? i : table.alias[i];
+        },
+
         validateSampleSize(n, min = 2, max = 1000) {
             if (n < min) return { valid: false, message: `Sample size must be at least ${min}` };
             if (n > max) return { valid: false, message: `Sample size too large (max ${max})` };
@@ -58,6 +344,207 @@
         }
     };
 
+    // ============ Population Generators ============
+    // Each generator is an unnormalized density on the [0, 1] display domain plus
+    // a slider spec for its parameters. `params` may be a function of the current
+    // values when the parameter list itself is adjustable (e.g. mixture size).
+    const MAX_MIXTURE_COMPONENTS = 4;
+
+    const gaussian = (x, mu, sigma) => {
+        const z = (x - mu) / Math.max(sigma, 1e-6);
+        return Math.exp(-0.5 * z * z);
+    };
+
+    const PopulationGenerators = {
+        normal: {
+            label: "Normal",
+            params: [
+                { key: "mu", label: "Mean (μ)", min: 0, max: 1, step: 0.01, value: 0.5 },
+                { key: "sigma", label: "SD (σ)", min: 0.02, max: 0.5, step: 0.01, value: 0.16 }
+            ],
+            density: (x, p) => gaussian(x, p.mu, p.sigma)
+        },
+        lognormal: {
+            label: "Skewed (lognormal)",
+            params: [
+                { key: "median", label: "Median (e^μ)", min: 0.05, max: 0.9, step: 0.01, value: 0.3 },
+                { key: "sigma", label: "Log SD (σ)", min: 0.1, max: 1.5, step: 0.05, value: 0.6 }
+            ],
+            density: (x, p) => {
+                const lx = Math.log(Math.max(1e-4, x));
+                const z = (lx - Math.log(p.median)) / p.sigma;
+                return Math.exp(-0.5 * z * z) / Math.max(x, 1e-4);
+            }
+        },
+        uniform: {
+            label: "Uniform",
+            params: [],
+            density: () => 1
+        },
+        bimodal: {
+            label: "Bimodal",
+            params: [
+                { key: "mu1", label: "Left mode", min: 0, max: 1, step: 0.01, value: 0.32 },
+                { key: "mu2", label: "Right mode", min: 0, max: 1, step: 0.01, value: 0.72 },
+                { key: "sigma", label: "Spread (σ)", min: 0.02, max: 0.3, step: 0.01, value: 0.07 },
+                { key: "weight", label: "Left weight", min: 0, max: 1, step: 0.01, value: 0.55 }
+            ],
+            density: (x, p) => p.weight * gaussian(x, p.mu1, p.sigma) + (1 - p.weight) * gaussian(x, p.mu2, p.sigma)
+        },
+        beta: {
+            label: "Beta",
+            params: [
+                { key: "alpha", label: "Shape (α)", min: 0.2, max: 10, step: 0.1, value: 2 },
+                { key: "beta", label: "Shape (β)", min: 0.2, max: 10, step: 0.1, value: 5 }
+            ],
+            density: (x, p) => Math.pow(x, p.alpha - 1) * Math.pow(1 - x, p.beta - 1)
+        },
+        gamma: {
+            label: "Gamma",
+            params: [
+                { key: "k", label: "Shape (k)", min: 0.5, max: 20, step: 0.1, value: 2 },
+                { key: "theta", label: "Scale (θ)", min: 0.01, max: 0.5, step: 0.01, value: 0.1 }
+            ],
+            density: (x, p) => Math.pow(x, p.k - 1) * Math.exp(-x / p.theta)
+        },
+        exponential: {
+            label: "Exponential",
+            params: [
+                { key: "lambda", label: "Rate (λ)", min: 0.5, max: 30, step: 0.5, value: 5 }
+            ],
+            density: (x, p) => Math.exp(-p.lambda * x)
+        },
+        triangular: {
+            label: "Triangular",
+            params: [
+                { key: "a", label: "Lower (a)", min: 0, max: 1, step: 0.01, value: 0.1 },
+                { key: "c", label: "Mode (c)", min: 0, max: 1, step: 0.01, value: 0.3 },
+                { key: "b", label: "Upper (b)", min: 0, max: 1, step: 0.01, value: 0.9 }
+            ],
+            density: (x, p) => {
+                const a = Math.min(p.a, p.b), b = Math.max(p.a, p.b);
+                const c = MathUtils.clamp(p.c, a, b);
+                if (x < a || x > b) return 0;
+                if (x < c) return c > a ? (x - a) / (c - a) : 1;
+                return b > c ? (b - x) / (b - c) : 1;
+            }
+        },
+        studentT: {
+            label: "Student t (truncated)",
+            params: [
+                { key: "mu", label: "Center (μ)", min: 0, max: 1, step: 0.01, value: 0.5 },
+                { key: "sigma", label: "Scale (σ)", min: 0.01, max: 0.3, step: 0.01, value: 0.08 },
+                { key: "nu", label: "Degrees of freedom (ν)", min: 1, max: 30, step: 1, value: 3 }
+            ],
+            density: (x, p) => {
+                const z = (x - p.mu) / p.sigma;
+                return Math.pow(1 + z * z / p.nu, -(p.nu + 1) / 2);
+            }
+        },
+        mixture: {
+            label: "Normal mixture",
+            params: (p) => {
+                const spec = [
+                    { key: "k", label: "Components", min: 1, max: MAX_MIXTURE_COMPONENTS, step: 1, value: 2 }
+                ];
+                const k = MathUtils.clamp(Math.round(Number(p.k) || 2), 1, MAX_MIXTURE_COMPONENTS);
+                for (let i = 1; i <= k; i++) {
+                    spec.push(
+                        { key: `mu${i}`, label: `μ${i}`, min: 0, max: 1, step: 0.01, value: i / (k + 1) },
+                        { key: `sigma${i}`, label: `σ${i}`, min: 0.02, max: 0.3, step: 0.01, value: 0.06 },
+                        { key: `w${i}`, label: `Weight ${i}`, min: 0, max: 1, step: 0.01, value: 1 / k }
+                    );
+                }
+                return spec;
+            },
+            density: (x, p) => {
+                let sum = 0;
+                for (let i = 1; i <= p.k; i++) {
+                    const sigma = p[`sigma${i}`];
+                    sum += p[`w${i}`] * gaussian(x, p[`mu${i}`], sigma) / sigma;
+                }
+                return sum;
+            }
+        }
+    };
+
+    // Slider spec for a generator given (possibly partial) current values
+    function getGeneratorParamSpec(name, params = {}) {
+        const generator = PopulationGenerators[name];
+        if (!generator) return [];
+        return typeof generator.params === "function" ? generator.params(params) : generator.params;
+    }
+
+    // Fill in defaults and clamp user-supplied values to each slider's range
+    function resolveGeneratorParams(name, params = {}) {
+        const resolved = {};
+        for (const spec of getGeneratorParamSpec(name, params)) {
+            const raw = Number(params[spec.key]);
+            if (!isFinite(raw) || params[spec.key] === null || params[spec.key] === "") {
+                resolved[spec.key] = spec.value;
+                continue;
+            }
+            const value = MathUtils.clamp(raw, spec.min, spec.max);
+            resolved[spec.key] = Number.isInteger(spec.step) ? Math.round(value) : value;
+        }
+        return resolved;
+    }
+
+    // Block counts for `cols` columns drawn from a generator's density, scaled so the
+    // tallest column holds `height` blocks whatever the density's units
+    function generatePopulationCounts(name, params, cols, height) {
+        const generator = PopulationGenerators[name];
+        if (!generator) throw new Error(`Unknown generator: ${name}`);
+
+        const resolved = resolveGeneratorParams(name, params);
+        const weights = new Float64Array(cols);
+        let peak = 0;
+
+        for (let c = 0; c < cols; c++) {
+            const weight = generator.density((c + 0.5) / cols, resolved);
+            weights[c] = isFinite(weight) && weight > 0 ? weight : 0;
+            peak = Math.max(peak, weights[c]);
+        }
+
+        const counts = new Array(cols);
+        for (let c = 0; c < cols; c++) {
+            counts[c] = peak > 0 ? Math.round(weights[c] / peak * height) : 0;
+        }
+        return { counts, params: resolved };
+    }
+
+    // Experiment files (StatEngine.toJSON/fromJSON), with the values fromJSON
+    // accepts for each saved setting
+    const STATE_VERSION = 1;
+    const isProbability = (value) => typeof value === "number" && value > 0 && value < 1;
+    const isSampleSize = (value) => Number.isInteger(value) && value >= 1;
+    const SETTING_CHECKS = {
+        mode: (value) => ["oneSample", "twoSample", "bootstrap"].includes(value),
+        statistic: (value) => typeof value === "string" && StatisticRegistry.has(value),
+        threshold: isProbability,
+        quantileLevel: isProbability,
+        speed: (value) => ["normal", "fast"].includes(value),
+        sampleSize: isSampleSize,
+        sampleSizeB: isSampleSize,
+        replacement: (value) => typeof value === "boolean",
+        confidenceLevel: isProbability,
+        testMode: (value) => typeof value === "boolean",
+        hypothesis: (value) => typeof value?.nullValue === "number" && isFinite(value.nullValue) &&
+            ["twoSided", "less", "greater"].includes(value.alternative) && isProbability(value.alpha)
+    };
+    const SETTING_KEYS = Object.keys(SETTING_CHECKS);
+
+    // Run counts, and the RNG's counter, which only counts up from a 32-bit seed
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isTestCounts = (counts) => isCount(counts?.runs) && isCount(counts.rejections) && counts.rejections <= counts.runs;
+
+    // Raw statistic values kept for export stop here (about 8 MB)
+    const MAX_RETAINED_STATISTICS = 1000000;
+
+    // Q–Q plots and normality diagnostics sort retained values up to here;
+    // beyond, the histogram's bins are close enough and keep redraws cheap
+    const SORT_LIMIT = 20000;
+
     // ============ Core Statistical Engine ============
     class StatEngine {
         constructor(options = {}) {
@@ -66,6 +553,8 @@
                 cols: options.cols || 60,
                 statBins: options.statBins || 60,
                 seed: options.seed || 1234,
+                // Keep every simulated statistic alongside the histogram (for export)
+                retainStatistics: true,
                 colors: {
                     text: "#001524",
                     background: "#FFFFFF",
@@ -87,12 +576,45 @@
             this.populationData = new Uint16Array(this.config.cols);
             this.sampleData = new Uint16Array(this.config.cols);
             this.samplingDistData = new Uint32Array(this.config.statBins);
+            this.statisticValues = [];
+            // Runs in the histogram before the first kept value (nonzero after
+            // restoring a save that left the values out)
+            this.statisticValuesOffset = 0;
+            this.generator = null;
+            this.samplers = {};
+            this.unitPools = {};
+
+            // Second population for two-sample mode (group "B")
+            this.populationDataB = new Uint16Array(this.config.cols);
+            this.sampleDataB = new Uint16Array(this.config.cols);
+            this.generatorB = null;
+
+            // Bootstrap mode: raw resampled statistics (for interval quantiles) and
+            // the true sampling distribution at the same n, for comparison
+            this.bootstrapValues = [];
+            this.referenceDistData = new Uint32Array(this.config.statBins);
+
+            // Sample-size sweep in progress or on show (startSweep)
+            this.sweep = null;
+
+            // Hypothesis test mode: H₀ value, alternative ("twoSided" | "less" |
+            // "greater") and α, with rejections counted over the runs since it was set
+            this.testMode = false;
+            this.hypothesis = { nullValue: 0.5, alternative: "twoSided", alpha: 0.05 };
+            this.testCounts = { runs: 0, rejections: 0 };
             
             // Simulation state
+            this.mode = "oneSample";
             this.currentSample = [];
+            this.currentSampleB = [];
             this.statistic = "mean";
             this.threshold = 0.5;
+            this.quantileLevel = 0.5;
             this.speed = "normal";
+            this.sampleSize = 30;
+            this.sampleSizeB = 30;
+            this.replacement = true;
+            this.confidenceLevel = 0.95;
             
             // Animation state
             this.particles = {
@@ -110,44 +632,42 @@
         }
 
         // ============ Population Management ============
-        setPopulationGenerator(generatorName, params = {}) {
-            const generators = {
-                normal: (x) => {
-                    const z = (x - 0.5) / 0.16;
-                    return Math.exp(-0.5 * z * z);
-                },
-                uniform: (x) => 1,
-                bimodal: (x) => {
-                    const z1 = (x - 0.32) / 0.07;
-                    const z2 = (x - 0.72) / 0.07;
-                    return 0.55 * Math.exp(-0.5 * z1 * z1) + 0.45 * Math.exp(-0.5 * z2 * z2);
-                },
-                lognormal: (x) => {
-                    const mu = Math.log(0.3);
-                    const sigma = 0.6;
-                    const lx = Math.log(Math.max(1e-4, x));
-                    const z = (lx - mu) / sigma;
-                    return Math.exp(-0.5 * z * z) / Math.max(x, 1e-4);
-                }
-            };
+        // Group "A" is the (only) population in one-sample mode; "B" is the second
+        // population compared against it in two-sample mode.
+        getPopulationData(group = "A") {
+            return group === "B" ? this.populationDataB : this.populationData;
+        }
+
+        getSampleData(group = "A") {
+            return group === "B" ? this.sampleDataB : this.sampleData;
+        }
 
-            const generator = generators[generatorName];
-            if (!generator) throw new Error(`Unknown generator: ${generatorName}`);
+        isTwoSample() {
+            return this.mode === "twoSample";
+        }
 
-            for (let c = 0; c < this.config.cols; c++) {
-                const x = (c + 0.5) / this.config.cols;
-                const weight = generator(x);
-                this.populationData[c] = Math.max(0, Math.round(weight * 20));
-            }
+        isBootstrap() {
+            return this.mode === "bootstrap";
         }
 
-        getPopulationStats() {
+        setPopulationGenerator(generatorName, params = {}, group = "A") {
+            const height = this.config.populationHeight || 20;
+            const { counts, params: resolved } = generatePopulationCounts(generatorName, params, this.config.cols, height);
+            this.getPopulationData(group).set(counts);
+
+            if (group === "B") this.generatorB = { name: generatorName, params: resolved };
+            else this.generator = { name: generatorName, params: resolved };
+            this.invalidateSampler(group);
+        }
+
+        getPopulationStats(group = "A") {
+            const data = this.getPopulationData(group);
             let total = 0, mean = 0;
             
             // Calculate mean
             for (let c = 0; c < this.config.cols; c++) {
                 const x = (c + 0.5) / this.config.cols;
-                const weight = this.populationData[c];
+                const weight = data[c];
                 total += weight;
                 mean += weight * x;
             }
@@ -157,7 +677,7 @@
             let variance = 0;
             for (let c = 0; c < this.config.cols; c++) {
                 const x = (c + 0.5) / this.config.cols;
-                const weight = this.populationData[c];
+                const weight = data[c];
                 variance += weight * (x - mean) * (x - mean);
             }
             const sd = total ? Math.sqrt(variance / total) : 0;
@@ -168,7 +688,7 @@
                 let acc = 0;
                 const half = total / 2;
                 for (let c = 0; c < this.config.cols; c++) {
-                    acc += this.populationData[c];
+                    acc += data[c];
                     if (acc >= half) {
                         median = (c + 0.5) / this.config.cols;
                         break;
@@ -181,7 +701,7 @@
             for (let c = 0; c < this.config.cols; c++) {
                 const x = (c + 0.5) / this.config.cols;
                 if (x > this.threshold) {
-                    aboveThreshold += this.populationData[c];
+                    aboveThreshold += data[c];
                 }
             }
             const proportion = total ? aboveThreshold / total : 0;
@@ -189,31 +709,89 @@
             return { mean, sd, median, proportion, total };
         }
 
-        modifyPopulation(position, delta) {
+        modifyPopulation(position, delta, group = "A") {
+            const data = this.getPopulationData(group);
             const col = MathUtils.clamp(
                 Math.floor(position * this.config.cols), 
                 0, 
                 this.config.cols - 1
             );
-            this.populationData[col] = MathUtils.clamp(
-                (this.populationData[col] || 0) + delta, 
+            data[col] = MathUtils.clamp(
+                (data[col] || 0) + delta, 
                 0, 
                 10000
             );
+            this.invalidateSampler(group);
         }
 
         // ============ Sampling ============
-        drawSample(sampleSize) {
-            const weights = this.populationData;
-            let totalWeight = 0;
-            for (let i = 0; i < this.config.cols; i++) {
-                totalWeight += weights[i];
+        // Alias tables and unit pools are rebuilt lazily after any population
+        // change; with no group given, both populations are invalidated
+        invalidateSampler(group) {
+            if (group) {
+                delete this.samplers[group];
+                delete this.unitPools[group];
+            } else {
+                this.samplers = {};
+                this.unitPools = {};
             }
+        }
+
+        getSampler(group = "A") {
+            if (!(group in this.samplers)) {
+                this.samplers[group] = MathUtils.buildAliasTable(this.getPopulationData(group));
+            }
+            return this.samplers[group];
+        }
+
+        // One entry per painted block (its column), for sampling real units
+        getUnitPool(group = "A") {
+            if (!this.unitPools[group]) {
+                const data = this.getPopulationData(group);
+                let total = 0;
+                for (let c = 0; c < this.config.cols; c++) total += data[c];
+                const pool = new Uint32Array(total);
+                let k = 0;
+                for (let c = 0; c < this.config.cols; c++) {
+                    for (let r = 0; r < data[c]; r++) pool[k++] = c;
+                }
+                this.unitPools[group] = pool;
+            }
+            return this.unitPools[group];
+        }
+
+        validateSampleSize(sampleSize, group = "A") {
+            const check = MathUtils.validateSampleSize(sampleSize);
+            if (!check.valid || this.replacement) return check;
 
+            const total = this.getUnitPool(group).length;
+            if (sampleSize > total) {
+                const label = this.isTwoSample() ? ` of population ${group}` : "";
+                return {
+                    valid: false,
+                    message: `Sample size ${sampleSize} exceeds the population size N = ${total}${label} (sampling without replacement)`
+                };
+            }
+            return check;
+        }
+
+        // Checks every sample a trial would draw in the current mode
+        validateTrial(sampleSize = this.sampleSize, sampleSizeB = this.sampleSizeB) {
+            const check = this.validateSampleSize(sampleSize, "A");
+            if (!check.valid || !this.isTwoSample()) return check;
+            return this.validateSampleSize(sampleSizeB, "B");
+        }
+
+        drawSample(sampleSize, group = "A") {
+            if (group === "B") this.sampleSizeB = sampleSize;
+            else this.sampleSize = sampleSize;
+            if (!this.replacement) return this.drawSampleWithoutReplacement(sampleSize, group);
+
+            const table = this.getSampler(group);
             const sample = [];
             const sampleCols = [];
 
-            if (totalWeight === 0) {
+            if (!table) {
                 // Uniform sampling if no population data
                 for (let i = 0; i < sampleSize; i++) {
                     const col = Math.floor(this.rng() * this.config.cols);
@@ -223,91 +801,271 @@
             } else {
                 // Weighted sampling
                 for (let i = 0; i < sampleSize; i++) {
-                    let target = this.rng() * totalWeight;
-                    let acc = 0;
-                    let chosen = this.config.cols >> 1;
-                    
-                    for (let c = 0; c < this.config.cols; c++) {
-                        acc += weights[c];
-                        if (target <= acc) {
-                            chosen = c;
-                            break;
-                        }
-                    }
-                    
+                    const chosen = MathUtils.sampleAlias(table, this.rng);
                     sampleCols.push(chosen);
                     sample.push((chosen + 0.5) / this.config.cols);
                 }
             }
 
-            this.currentSample = sample;
+            this.setCurrentSample(sample, group);
+            return { values: sample, columns: sampleCols };
+        }
+
+        setCurrentSample(values, group = "A") {
+            if (group === "B") this.currentSampleB = values;
+            else this.currentSample = values;
+        }
+
+        // Partial Fisher–Yates over the unit pool: each drawn unit is swapped out of
+        // the remaining range, so no unit appears twice within a sample. The pool's
+        // order carries over between samples, which does not bias later draws.
+        drawSampleWithoutReplacement(sampleSize, group = "A") {
+            const pool = this.getUnitPool(group);
+            const total = pool.length;
+            if (sampleSize > total) {
+                throw new Error(`Sample size ${sampleSize} exceeds population size ${total}`);
+            }
+
+            const sample = new Array(sampleSize);
+            const sampleCols = new Array(sampleSize);
+
+            for (let i = 0; i < sampleSize; i++) {
+                const j = i + Math.floor(this.rng() * (total - i));
+                const col = pool[j];
+                pool[j] = pool[i];
+                pool[i] = col;
+
+                sampleCols[i] = col;
+                sample[i] = (col + 0.5) / this.config.cols;
+            }
+
+            this.setCurrentSample(sample, group);
             return { values: sample, columns: sampleCols };
         }
 
+        // One repetition of the experiment in the current mode: draw the sample(s)
+        // and compute the statistic that goes into the sampling distribution
+        runTrial(sampleSize = this.sampleSize, sampleSizeB = this.sampleSizeB) {
+            const sampleA = this.drawSample(sampleSize, "A");
+            if (!this.isTwoSample()) {
+                return { samples: { A: sampleA }, statistic: this.computeStatistic(sampleA.values) };
+            }
+
+            const sampleB = this.drawSample(sampleSizeB, "B");
+            return {
+                samples: { A: sampleA, B: sampleB },
+                statistic: this.computeDifference(sampleA.values, sampleB.values)
+            };
+        }
+
+        // ============ Bootstrap ============
+        // The drawn sample (currentSample) stands in for the population: each resample
+        // draws n of its values with replacement, whatever the population sampling scheme.
+        // sampleData only fills as the sample animates in, so it can't be used here.
+        hasBootstrapSample() {
+            return this.currentSample.length > 0;
+        }
+
+        drawBootstrapResample() {
+            if (!this.hasBootstrapSample()) {
+                throw new Error("Draw a sample before resampling");
+            }
+            const sample = this.currentSample;
+            const n = sample.length;
+            const values = new Array(n);
+            for (let i = 0; i < n; i++) {
+                values[i] = sample[Math.floor(this.rng() * n)];
+            }
+
+            const statistic = this.computeStatistic(values);
+            if (!isNaN(statistic)) {
+                this.bootstrapValues.push(statistic);
+                this.addToSamplingDistribution(statistic);
+            }
+            return { values, statistic };
+        }
+
+        runBootstrap(iterations) {
+            for (let i = 0; i < iterations; i++) this.drawBootstrapResample();
+        }
+
+        // Statistic of the original sample (θ̂), which the resamples vary around
+        getObservedStatistic() {
+            return this.computeStatistic(this.currentSample);
+        }
+
+        // Percentile interval [q(α/2), q(1 − α/2)] and basic interval
+        // [2θ̂ − q(1 − α/2), 2θ̂ − q(α/2)] from the resampled statistics
+        getBootstrapIntervals(level = this.confidenceLevel) {
+            const B = this.bootstrapValues.length;
+            if (B < 2) return null;
+
+            const sorted = Float64Array.from(this.bootstrapValues).sort();
+            const quantile = (p) => {
+                const h = (B - 1) * p;
+                const lo = Math.floor(h), hi = Math.ceil(h);
+                return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+            };
+            const alpha = 1 - level;
+            const lower = quantile(alpha / 2);
+            const upper = quantile(1 - alpha / 2);
+            const observed = this.getObservedStatistic();
+
+            return {
+                level,
+                observed,
+                percentile: { lower, upper },
+                basic: { lower: 2 * observed - upper, upper: 2 * observed - lower }
+            };
+        }
+
+        // Simulate the true sampling distribution at the current n from the
+        // population itself, leaving the drawn sample untouched
+        buildReferenceDistribution(iterations, sampleSize = this.currentSample.length || this.sampleSize) {
+            const kept = this.currentSample;
+            const keptSize = this.sampleSize;
+            this.referenceDistData.fill(0);
+            try {
+                for (let i = 0; i < iterations; i++) {
+                    const statistic = this.computeStatistic(this.drawSample(sampleSize).values);
+                    if (!isNaN(statistic)) this.referenceDistData[this.statisticToBin(statistic)]++;
+                }
+            } finally {
+                this.setCurrentSample(kept);
+                this.sampleSize = keptSize;
+            }
+        }
+
         // ============ Statistics Calculation ============
+        // Statistics are looked up in StatisticRegistry (modules/statistics.js)
+        getStatisticDefinition() {
+            return StatisticRegistry.get(this.statistic);
+        }
+
+        // Two-sample differences live on a domain symmetric around zero
         getStatisticDomain() {
-            return this.statistic === "sd" ? { min: 0, max: 0.5 } : { min: 0, max: 1 };
+            const domain = StatisticRegistry.resolve(this.statistic, "domain", this);
+            if (!this.isTwoSample()) return domain;
+            const width = domain.max - domain.min;
+            return { min: -width, max: width };
         }
 
         computeStatistic(values) {
             if (!values.length) return NaN;
-            
-            switch (this.statistic) {
-                case "mean":
-                    return MathUtils.mean(values);
-                case "median":
-                    return MathUtils.median(values);
-                case "sd":
-                    return MathUtils.standardDeviation(values, true);
-                case "proportion":
-                    return values.filter(v => v > this.threshold).length / values.length;
-                default:
-                    return NaN;
-            }
+            return this.getStatisticDefinition().compute(values, this);
+        }
+
+        // Statistic of sample A minus statistic of sample B
+        computeDifference(valuesA, valuesB) {
+            return this.computeStatistic(valuesA) - this.computeStatistic(valuesB);
         }
 
         getStatisticLabel(short = false) {
-            const labels = {
-                mean: short ? "x̄" : "Sample Mean",
-                median: short ? "med" : "Sample Median", 
-                sd: short ? "s" : "Sample SD",
-                proportion: short ? "p̂" : "Sample Proportion"
-            };
-            return labels[this.statistic] || this.statistic;
+            const label = StatisticRegistry.resolve(this.statistic, short ? "shortLabel" : "label", this);
+            if (!this.isTwoSample()) return label;
+            return short ? `${label}₁ − ${label}₂` : `Difference in ${label}s`;
         }
 
         getParameterLabel(short = false) {
-            const labels = {
-                mean: short ? "μ" : "Population Mean",
-                median: short ? "μ̃" : "Population Median",
-                sd: short ? "σ" : "Population SD", 
-                proportion: short ? "π" : "Population Proportion"
-            };
-            return labels[this.statistic] || this.statistic;
+            const label = StatisticRegistry.resolve(this.statistic, short ? "parameterShortLabel" : "parameterLabel", this);
+            if (!this.isTwoSample()) return label;
+            return short ? `${label}₁ − ${label}₂` : `Difference in ${label}s`;
+        }
+
+        getPopulationSummary(group = "A") {
+            return StatisticRegistry.describePopulation(this.getPopulationData(group));
+        }
+
+        // Population value of the parameter the current statistic estimates
+        getParameterValue() {
+            const definition = this.getStatisticDefinition();
+            const valueA = definition.parameter(this.getPopulationSummary("A"), this);
+            if (!this.isTwoSample()) return valueA;
+            return valueA - definition.parameter(this.getPopulationSummary("B"), this);
+        }
+
+        // Finite population correction √((N − n)/(N − 1)); 1 when sampling with replacement
+        getFinitePopulationCorrection(sampleSize = this.sampleSize, group = "A") {
+            if (this.replacement) return 1;
+            const total = this.getPopulationStats(group).total;
+            if (total <= 1) return 0;
+            return Math.sqrt(Math.max(0, total - sampleSize) / (total - 1));
+        }
+
+        // Theoretical SE of the current statistic, where a closed form exists
+        // In two-sample mode the independent samples' variances add
+        getTheoreticalSE(sampleSize = this.sampleSize, sampleSizeB = this.sampleSizeB) {
+            const definition = this.getStatisticDefinition();
+            if (!definition.standardError) return NaN;
+            if (!this.replacement && !definition.finitePopulationCorrection) return NaN;
+
+            const groupSE = (group, n) =>
+                definition.standardError(this.getPopulationSummary(group), n, this) *
+                this.getFinitePopulationCorrection(n, group);
+
+            const seA = groupSE("A", sampleSize);
+            if (!this.isTwoSample()) return seA;
+            const seB = groupSE("B", sampleSizeB);
+            return Math.sqrt(seA * seA + seB * seB);
+        }
+
+        // Binned probabilities of the statistic for i.i.d. draws from population A,
+        // where its definition has an exact form (statistics.js); null otherwise.
+        // Cached until the statistic, n, settings or population change.
+        getExactSamplingDistribution(sampleSize = this.sampleSize) {
+            const definition = this.getStatisticDefinition();
+            if (!definition.exactDistribution || !this.replacement || this.isTwoSample()) return null;
+
+            const data = this.getPopulationData();
+            const key = [this.statistic, sampleSize, this.threshold, this.quantileLevel, data.join(',')].join('|');
+            if (this.exactCache?.key !== key) {
+                const exact = definition.exactDistribution(data, sampleSize, this);
+                let bins = null;
+                if (exact) {
+                    bins = new Float64Array(this.config.statBins);
+                    for (let i = 0; i < exact.values.length; i++) {
+                        bins[this.statisticToBin(exact.values[i])] += exact.probabilities[i];
+                    }
+                }
+                this.exactCache = { key, bins };
+            }
+            return this.exactCache.bins;
         }
 
         // ============ Sampling Distribution ============
         addToSamplingDistribution(statisticValue) {
+            const bin = this.statisticToBin(statisticValue);
+            this.samplingDistData[bin] = (this.samplingDistData[bin] || 0) + 1;
+            this.retainStatistic(statisticValue);
+        }
+
+        retainStatistic(statisticValue) {
+            if (this.config.retainStatistics && this.statisticValues.length < MAX_RETAINED_STATISTICS) {
+                this.statisticValues.push(statisticValue);
+            }
+        }
+
+        statisticToBin(statisticValue) {
             const domain = this.getStatisticDomain();
             const proportion = MathUtils.clamp(
                 (statisticValue - domain.min) / (domain.max - domain.min), 
                 0, 1
             );
-            const bin = MathUtils.clamp(
+            return MathUtils.clamp(
                 Math.floor(proportion * this.config.statBins), 
                 0, 
                 this.config.statBins - 1
             );
-            this.samplingDistData[bin] = (this.samplingDistData[bin] || 0) + 1;
         }
 
-        getSamplingDistributionStats() {
+        // Mean/SD of a binned statistic histogram (the sampling distribution by default)
+        getSamplingDistributionStats(data = this.samplingDistData) {
             const domain = this.getStatisticDomain();
             let total = 0, mean = 0;
 
             // Calculate mean
             for (let b = 0; b < this.config.statBins; b++) {
-                const weight = this.samplingDistData[b];
+                const weight = data[b];
                 total += weight;
                 const x01 = (b + 0.5) / this.config.statBins;
                 const value = domain.min + x01 * (domain.max - domain.min);
@@ -319,7 +1077,7 @@
             let variance = 0;
             if (total) {
                 for (let b = 0; b < this.config.statBins; b++) {
-                    const weight = this.samplingDistData[b];
+                    const weight = data[b];
                     const x01 = (b + 0.5) / this.config.statBins;
                     const value = domain.min + x01 * (domain.max - domain.min);
                     variance += weight * (value - mean) * (value - mean);
@@ -331,35 +1089,466 @@
             return { mean, sd, total };
         }
 
+        // The retained statistics in ascending order, sorted once per run count; null
+        // when some runs weren't kept or there are more than SORT_LIMIT
+        getSortedStatistics(total = this.getSamplingDistributionStats().total) {
+            const raw = this.statisticValues;
+            if (raw.length !== total || total > SORT_LIMIT) return null;
+            if (!(this.sortedCache?.source === raw && this.sortedCache.length === total)) {
+                this.sortedCache = { source: raw, length: total, sorted: Float64Array.from(raw).sort() };
+            }
+            return this.sortedCache.sorted;
+        }
+
+        // Normal Q–Q points: at most `points` evenly spaced probabilities (i − ½)/k,
+        // each paired with its standard normal quantile and the statistics' quantile.
+        // Statistics come from getSortedStatistics() when it has them, otherwise by
+        // interpolating within the histogram's bins. Null before three runs.
+        getNormalQuantilePairs(points = 100) {
+            const { total } = this.getSamplingDistributionStats();
+            if (total < 3) return null;
+
+            const k = Math.min(points, total);
+            const theoretical = new Float64Array(k);
+            const sample = new Float64Array(k);
+            const sorted = this.getSortedStatistics(total);
+            const domain = this.getStatisticDomain();
+            const binWidth = (domain.max - domain.min) / this.config.statBins;
+            let bin = 0, below = 0;
+
+            for (let i = 0; i < k; i++) {
+                const p = (i + 0.5) / k;
+                theoretical[i] = MathUtils.normalQuantile(p);
+                if (sorted) {
+                    const h = MathUtils.clamp(p * total - 0.5, 0, total - 1);
+                    const lo = Math.floor(h);
+                    sample[i] = sorted[lo] + (h - lo) * (sorted[Math.min(lo + 1, total - 1)] - sorted[lo]);
+                } else {
+                    // Ranks rise with i, so the bin walk picks up where it left off
+                    const rank = p * total;
+                    while (bin < this.config.statBins - 1 && below + this.samplingDistData[bin] < rank) {
+                        below += this.samplingDistData[bin++];
+                    }
+                    const within = this.samplingDistData[bin] ? (rank - below) / this.samplingDistData[bin] : 0.5;
+                    sample[i] = domain.min + (bin + within) * binWidth;
+                }
+            }
+            return { theoretical, sample };
+        }
+
+        // MathUtils.normalityDiagnostics of the statistics so far when
+        // getSortedStatistics() has them, else of the histogram's bins. KS and
+        // A² compare with the CLT normal N(θ, SE) where there is one, or else
+        // (bootstrap, statistics without a standard error) with a fitted normal;
+        // `reference` says which.
+        getNormalityDiagnostics() {
+            const se = this.isBootstrap() ? NaN : this.getTheoreticalSE();
+            const clt = isFinite(se) && se > 0;
+            const normal = clt ? { mean: this.getParameterValue(), sd: se } : null;
+            const sorted = this.getSortedStatistics();
+            const result = sorted ?
+                MathUtils.normalityDiagnostics(sorted, normal) :
+                MathUtils.binnedNormalityDiagnostics(this.samplingDistData, this.getStatisticDomain(), normal);
+            if (result) result.reference = clt ? 'clt' : 'fit';
+            return result;
+        }
+
+        // Statistic of the sample(s) on show in the sample tray, read back from its
+        // blocks (bulk runs draw samples without showing them); NaN when it is empty
+        getSampleStatistic() {
+            const valuesOf = (data) => {
+                const values = [];
+                data.forEach((count, col) => {
+                    for (let k = 0; k < count; k++) values.push((col + 0.5) / this.config.cols);
+                });
+                return values;
+            };
+            const valuesA = valuesOf(this.sampleData);
+            if (!valuesA.length) return NaN;
+            if (!this.isTwoSample()) return this.computeStatistic(valuesA);
+            return this.computeDifference(valuesA, valuesOf(this.sampleDataB));
+        }
+
+        // ============ Hypothesis Testing ============
+        // Each run's statistic is z-tested against H₀: θ = θ₀. The null SE is the
+        // statistic's nullStandardError (a proportion's is fixed by θ₀) or else its
+        // standardError at the population, i.e. σ treated as known. Statistics
+        // with neither, and bootstrap resamples, aren't tested.
+        setTestMode(enabled) {
+            this.testMode = enabled;
+            this.resetTestCounts();
+        }
+
+        setHypothesis(changes) {
+            this.hypothesis = { ...this.hypothesis, ...changes };
+            this.resetTestCounts();
+        }
+
+        resetTestCounts() {
+            this.testCounts = { runs: 0, rejections: 0 };
+        }
+
+        // A difference is tested against no difference; single statistics against 0.5
+        getDefaultNullValue(mode = this.mode) {
+            return mode === "twoSample" ? 0 : 0.5;
+        }
+
+        getNullStandardError(sampleSize = this.sampleSize) {
+            const definition = this.getStatisticDefinition();
+            if (!definition.nullStandardError || this.isTwoSample()) return this.getTheoreticalSE(sampleSize);
+            const se = definition.nullStandardError(this.hypothesis.nullValue, this.getPopulationSummary(), sampleSize, this);
+            return se * this.getFinitePopulationCorrection(sampleSize);
+        }
+
+        // {lower, upper} cutoffs of the test at α; null when not testing
+        getRejectionRegion(sampleSize = this.sampleSize) {
+            if (!this.testMode || this.isBootstrap()) return null;
+            const { nullValue, alternative, alpha } = this.hypothesis;
+            return MathUtils.zRejectionRegion(nullValue, this.getNullStandardError(sampleSize), alternative, alpha);
+        }
+
+        getPValue(value, sampleSize = this.sampleSize) {
+            if (!this.testMode || this.isBootstrap()) return NaN;
+            const { nullValue, alternative } = this.hypothesis;
+            return MathUtils.zTestPValue(value, nullValue, this.getNullStandardError(sampleSize), alternative);
+        }
+
+        // Bulk loops pass the region in rather than rebuilding it for every run
+        recordTest(statisticValue, region = this.getRejectionRegion()) {
+            if (!region || isNaN(statisticValue)) return;
+            this.testCounts.runs++;
+            if (MathUtils.isRejected(statisticValue, region)) this.testCounts.rejections++;
+        }
+
+        // Rejection rate so far, with the population's θ and θ₀ so readers can tell
+        // the Type I error rate (θ = θ₀) from power themselves
+        getTestSummary() {
+            const { runs, rejections } = this.testCounts;
+            return {
+                runs,
+                rejections,
+                rate: runs ? rejections / runs : NaN,
+                parameter: this.getParameterValue(),
+                nullValue: this.hypothesis.nullValue
+            };
+        }
+
         // ============ Bulk Operations ============
-        runBulkSimulation(sampleSize, iterations) {
+        runBulkSimulation(sampleSize, iterations, sampleSizeB = this.sampleSizeB) {
+            const region = this.getRejectionRegion(sampleSize);
             for (let i = 0; i < iterations; i++) {
-                const { values } = this.drawSample(sampleSize);
-                const statValue = this.computeStatistic(values);
-                if (!isNaN(statValue)) {
-                    this.addToSamplingDistribution(statValue);
+                const { statistic } = this.runTrial(sampleSize, sampleSizeB);
+                if (!isNaN(statistic)) {
+                    this.addToSamplingDistribution(statistic);
+                    this.recordTest(statistic, region);
                 }
             }
         }
 
+        // ============ Sample-Size Sweep ============
+        // A separate sampling distribution at each n in `sizes`, `repetitions` runs
+        // each. While a sweep is open, showSweepStep() puts one step's histogram,
+        // statistics and n in place of the engine's own (kept aside until
+        // endSweep()), so SE, overlays and diagnostics all describe that n.
+        startSweep(sizes, repetitions) {
+            this.endSweep();
+            this.sweep = {
+                sizes: sizes.slice(),
+                repetitions,
+                steps: [],
+                index: -1,
+                saved: {
+                    samplingDistData: this.samplingDistData,
+                    statisticValues: this.statisticValues,
+                    statisticValuesOffset: this.statisticValuesOffset,
+                    sampleSize: this.sampleSize
+                }
+            };
+        }
+
+        // The next n's runs collect here, from runSweepTrials() on this thread or
+        // mergeSweepCounts() from a worker job (createSweepJob)
+        getPendingSweepStep() {
+            const sweep = this.sweep;
+            if (!sweep.pending) {
+                sweep.pending = {
+                    n: sweep.sizes[sweep.steps.length],
+                    counts: new Uint32Array(this.config.statBins),
+                    values: [],
+                    samples: null,
+                    done: 0
+                };
+            }
+            return sweep.pending;
+        }
+
+        // Up to `count` more runs of the next n; returns the step's index once all
+        // its repetitions are in, -1 until then
+        runSweepTrials(count = this.sweep.repetitions) {
+            const sweep = this.sweep;
+            const step = this.getPendingSweepStep();
+            const end = Math.min(sweep.repetitions, step.done + count);
+            for (; step.done < end; step.done++) {
+                const trial = this.runTrial(step.n);
+                // The last sample drawn, to show in the sample tray
+                step.samples = trial.samples;
+                if (isNaN(trial.statistic)) continue;
+                step.counts[this.statisticToBin(trial.statistic)]++;
+                step.values.push(trial.statistic);
+            }
+            if (step.done < sweep.repetitions) return -1;
+
+            sweep.pending = null;
+            sweep.steps.push({ n: step.n, counts: step.counts, values: step.values, samples: step.samples });
+            return sweep.steps.length - 1;
+        }
+
+        // A worker job for the next n, or null when no runs are left for one. It
+        // stops one run short: that run happens here so the tray has a sample.
+        createSweepJob() {
+            const step = this.getPendingSweepStep();
+            const iterations = this.sweep.repetitions - step.done - 1;
+            if (iterations < 1) return null;
+            return { ...this.createBulkJob(step.n, iterations), retainValues: true };
+        }
+
+        // runs: how many runs the update covers (NaN statistics have no bin)
+        mergeSweepCounts(counts, values = [], runs) {
+            const step = this.getPendingSweepStep();
+            for (let b = 0; b < this.config.statBins; b++) step.counts[b] += counts[b] || 0;
+            for (let i = 0; i < values.length; i++) step.values.push(values[i]);
+            step.done += runs;
+        }
+
+        isSweepComplete() {
+            return !!this.sweep && this.sweep.steps.length === this.sweep.sizes.length;
+        }
+
+        showSweepStep(index) {
+            const step = this.sweep.steps[index];
+            this.sweep.index = index;
+            this.samplingDistData = step.counts;
+            this.statisticValues = step.values;
+            this.statisticValuesOffset = 0;
+            this.sampleSize = step.n;
+            return step;
+        }
+
+        // Back to the engine's own runs
+        endSweep() {
+            if (!this.sweep) return;
+            Object.assign(this, this.sweep.saved);
+            this.sweep = null;
+        }
+
+        // Worker jobs cover plain one-sample draws with replacement; other modes
+        // keep state (sample pools, resampled values) that lives on this thread
+        canRunInWorker() {
+            return this.mode === "oneSample" && this.replacement;
+        }
+
+        // Plain-data description of a bulk run for simulation-worker.js
+        createBulkJob(sampleSize, iterations) {
+            return {
+                // A copy, so painting during the run doesn't change what the job describes
+                weights: this.populationData.slice(),
+                bins: this.config.statBins,
+                domain: this.getStatisticDomain(),
+                statistic: this.statistic,
+                settings: { threshold: this.threshold, quantileLevel: this.quantileLevel },
+                n: sampleSize,
+                iterations,
+                retainValues: this.config.retainStatistics,
+                // The worker counts the runs falling in it (test mode only)
+                rejection: this.getRejectionRegion(sampleSize),
+                // Drawn from this engine's stream so seeded runs stay reproducible
+                seed: Math.floor(this.rng() * 4294967296)
+            };
+        }
+
+        // Whether a running job's bins still belong in this sampling distribution:
+        // same mode, statistic, settings, population and test as when it started
+        isBulkJobCurrent(job) {
+            return this.canRunInWorker() &&
+                job.statistic === this.statistic &&
+                job.settings.threshold === this.threshold &&
+                job.settings.quantileLevel === this.quantileLevel &&
+                job.weights.every((weight, i) => weight === this.populationData[i]) &&
+                JSON.stringify(job.rejection) === JSON.stringify(this.getRejectionRegion(job.n));
+        }
+
+        // rejections: how many of the counted runs the worker found in the rejection region
+        mergeSamplingCounts(counts, values = [], rejections) {
+            let runs = 0;
+            for (let b = 0; b < this.config.statBins; b++) {
+                this.samplingDistData[b] += counts[b] || 0;
+                runs += counts[b] || 0;
+            }
+            for (let i = 0; i < values.length; i++) this.retainStatistic(values[i]);
+            if (rejections === undefined) return;
+            this.testCounts.runs += runs;
+            this.testCounts.rejections += rejections;
+        }
+
         // ============ Clear Operations ============
         clearSample() {
             this.sampleData.fill(0);
+            this.sampleDataB.fill(0);
             this.currentSample = [];
+            this.currentSampleB = [];
         }
 
         clearSamplingDistribution() {
+            // An open sweep closes first; the runs it kept aside are what gets cleared
+            this.endSweep();
             this.samplingDistData.fill(0);
+            this.statisticValues = [];
+            this.statisticValuesOffset = 0;
+            this.bootstrapValues = [];
+            this.resetTestCounts();
         }
 
         clearAll() {
             this.clearSample();
             this.clearSamplingDistribution();
+            this.referenceDistData.fill(0);
+        }
+
+        // ============ Data Export ============
+        // Raw values for analysis elsewhere (see modules/data-export.js); meta
+        // records what produced them
+        exportData() {
+            const describe = (generator) => generator ?
+                `${generator.name}(${Object.entries(generator.params).map(([k, v]) => `${k}=${v}`).join(', ')})` : 'painted';
+            const population = (group) => Array.from(this.getPopulationData(group), (weight, c) => ({
+                x: (c + 0.5) / this.config.cols, weight
+            }));
+            const twoSample = this.isTwoSample();
+
+            const meta = {
+                seed: this.config.seed,
+                mode: this.mode,
+                statistic: this.statistic,
+                n: this.sampleSize,
+                generator: describe(this.generator),
+                replacement: this.replacement,
+                runs: this.getSamplingDistributionStats().total
+            };
+            if (this.statistic === "proportion") meta.threshold = this.threshold;
+            if (this.statistic === "quantile") meta.quantileLevel = this.quantileLevel;
+            if (twoSample) {
+                meta.nB = this.sampleSizeB;
+                meta.generatorB = describe(this.generatorB);
+            }
+            // Values are kept for a run of consecutive runs: from the first unless a
+            // save that left them out was restored, and up to MAX_RETAINED_STATISTICS
+            const kept = this.statisticValues.length, offset = this.statisticValuesOffset;
+            if (kept === 0 && meta.runs > 0) {
+                meta.note = "no statistic values were kept";
+            } else if (kept < meta.runs) {
+                meta.note = offset === 0 ? `only the first ${kept} statistic values were kept` :
+                    `only the statistic values of runs ${offset + 1}–${offset + kept} were kept`;
+            }
+
+            return {
+                meta,
+                statistics: this.statisticValues.slice(),
+                sample: this.currentSample.slice(),
+                sampleB: twoSample ? this.currentSampleB.slice() : undefined,
+                population: population("A"),
+                populationB: twoSample ? population("B") : undefined
+            };
+        }
+
+        // ============ Serialization ============
+        // Plain JSON snapshot of an experiment: populations, current samples,
+        // sampling-distribution histogram, RNG position and settings. The raw
+        // statistic values (up to MAX_RETAINED_STATISTICS) are optional: files
+        // keep them, the localStorage copy leaves them out to stay within quota.
+        toJSON() {
+            return this.snapshot();
+        }
+
+        snapshot({ statisticValues = true } = {}) {
+            const settings = {};
+            SETTING_KEYS.forEach(key => { settings[key] = this[key]; });
+
+            return {
+                version: STATE_VERSION,
+                config: { cols: this.config.cols, statBins: this.config.statBins, seed: this.config.seed },
+                rngState: this.rng.getState(),
+                settings,
+                generator: this.generator,
+                generatorB: this.generatorB,
+                population: Array.from(this.populationData),
+                populationB: Array.from(this.populationDataB),
+                sample: this.currentSample.slice(),
+                sampleB: this.currentSampleB.slice(),
+                samplingDistribution: Array.from(this.samplingDistData),
+                testCounts: { ...this.testCounts },
+                statisticValues: statisticValues ? this.statisticValues.slice() : [],
+                // Without the values, the next one kept comes after every run so far
+                statisticValuesOffset: statisticValues ? this.statisticValuesOffset : this.getSamplingDistributionStats().total,
+                bootstrapValues: this.bootstrapValues.slice(),
+                referenceDistribution: Array.from(this.referenceDistData)
+            };
+        }
+
+        static fromJSON(data, options = {}) {
+            const settings = data?.settings ?? {};
+            if (!data || data.version !== STATE_VERSION ||
+                !Array.isArray(data.population) || !Array.isArray(data.samplingDistribution) ||
+                !isCount(data.rngState) || typeof settings !== "object" ||
+                (data.testCounts !== undefined && !isTestCounts(data.testCounts)) ||
+                (data.statisticValuesOffset !== undefined && !isCount(data.statisticValuesOffset)) ||
+                SETTING_KEYS.some(key => settings[key] !== undefined && !SETTING_CHECKS[key](settings[key]))) {
+                throw new Error("Not a saved experiment (or saved by an incompatible version)");
+            }
+
+            const engine = new StatEngine({ ...options, ...data.config });
+            const cols = engine.config.cols;
+            if (data.population.length !== cols || data.samplingDistribution.length !== engine.config.statBins) {
+                throw new Error("Saved experiment does not match the engine's column layout");
+            }
+
+            SETTING_KEYS.forEach(key => {
+                if (settings[key] !== undefined) engine[key] = settings[key];
+            });
+            if (data.testCounts) engine.testCounts = { runs: data.testCounts.runs, rejections: data.testCounts.rejections };
+            engine.generator = data.generator || null;
+            engine.generatorB = data.generatorB || null;
+            engine.populationData.set(data.population);
+            if (data.populationB) engine.populationDataB.set(data.populationB);
+            engine.samplingDistData.set(data.samplingDistribution);
+            engine.statisticValues = (data.statisticValues || []).slice();
+            // Older saves: values, when present, start at the first run
+            engine.statisticValuesOffset = data.statisticValuesOffset ??
+                (engine.statisticValues.length ? 0 : engine.getSamplingDistributionStats().total);
+            engine.bootstrapValues = (data.bootstrapValues || []).slice();
+            if (data.referenceDistribution) engine.referenceDistData.set(data.referenceDistribution);
+
+            // Samples are stored as values; their columns rebuild the sample trays
+            [["A", data.sample], ["B", data.sampleB]].forEach(([group, values]) => {
+                if (!values?.length) return;
+                const sampleData = engine.getSampleData(group);
+                values.forEach(v => {
+                    sampleData[MathUtils.clamp(Math.floor(v * cols), 0, cols - 1)]++;
+                });
+                engine.setCurrentSample(values.slice(), group);
+            });
+
+            engine.rng.setState(data.rngState);
+            return engine;
         }
     }
 
+    StatEngine.getGeneratorParamSpec = getGeneratorParamSpec;
+    StatEngine.resolveGeneratorParams = resolveGeneratorParams;
+    StatEngine.generatePopulationCounts = generatePopulationCounts;
+
     // Export to global scope
     global.StatEngine = StatEngine;
     global.MathUtils = MathUtils;
+    global.PopulationGenerators = PopulationGenerators;
 
 })(window || this);
\ No newline at end of file
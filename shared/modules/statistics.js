@@ -0,0 +1,426 @@
+// Statistics Registry Module - Single source of truth for sample statistics
+// Each statistic is registered once with its compute function, population
+// parameter, domain, labels and (where one exists) theoretical SE formula.
+// Load before stat-engine.js / engine-core.js, which both look statistics up here.
+
+(function(global) {
+    'use strict';
+
+    // ============ Sample Helpers ============
+    const sortedCopy = (values) => Float64Array.from(values).sort();
+
+    const mean = (values) => {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return values.length ? sum / values.length : NaN;
+    };
+
+    const variance = (values) => {
+        const n = values.length;
+        if (n < 2) return NaN;
+        const m = mean(values);
+        let s2 = 0;
+        for (let i = 0; i < n; i++) s2 += (values[i] - m) ** 2;
+        return s2 / (n - 1);
+    };
+
+    // Linear interpolation between order statistics (R type 7)
+    const quantileSorted = (sorted, p) => {
+        const n = sorted.length;
+        if (!n) return NaN;
+        const h = (n - 1) * p;
+        const lo = Math.floor(h), hi = Math.ceil(h);
+        return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+    };
+
+    const trimmedMeanSorted = (sorted, trim) => {
+        const k = Math.floor(sorted.length * trim);
+        const kept = sorted.subarray(k, sorted.length - k);
+        return kept.length ? mean(kept) : quantileSorted(sorted, 0.5);
+    };
+
+    const madSorted = (sorted) => {
+        const med = quantileSorted(sorted, 0.5);
+        const deviations = sorted.map(v => Math.abs(v - med)).sort();
+        return quantileSorted(deviations, 0.5);
+    };
+
+    // ============ Population Summary ============
+    // Weighted view of a painted population: column c holds counts[c] units at
+    // x = (c + 0.5) / cols. Quantiles use the same "first column whose cumulative
+    // count reaches p·N" rule as the population median in getPopulationStats.
+    function describePopulation(counts) {
+        const cols = counts.length;
+        const xAt = (c) => (c + 0.5) / cols;
+
+        let total = 0, sum = 0;
+        for (let c = 0; c < cols; c++) {
+            total += counts[c];
+            sum += counts[c] * xAt(c);
+        }
+        const mu = total ? sum / total : 0.5;
+
+        let m2 = 0, m4 = 0;
+        for (let c = 0; c < cols; c++) {
+            const d = xAt(c) - mu;
+            m2 += counts[c] * d * d;
+            m4 += counts[c] * d * d * d * d;
+        }
+        m2 = total ? m2 / total : 0;
+        m4 = total ? m4 / total : 0;
+
+        const quantile = (p) => {
+            if (!total) return 0.5;
+            const target = p * total;
+            let acc = 0;
+            for (let c = 0; c < cols; c++) {
+                acc += counts[c];
+                if (acc >= target && counts[c] > 0) return xAt(c);
+            }
+            return xAt(cols - 1);
+        };
+
+        const trimmedMean = (trim) => {
+            if (!total) return 0.5;
+            const lo = trim * total, hi = (1 - trim) * total;
+            let acc = 0, mass = 0, weighted = 0;
+            for (let c = 0; c < cols; c++) {
+                const overlap = Math.max(0, Math.min(acc + counts[c], hi) - Math.max(acc, lo));
+                mass += overlap;
+                weighted += overlap * xAt(c);
+                acc += counts[c];
+            }
+            return mass ? weighted / mass : quantile(0.5);
+        };
+
+        const mad = () => {
+            if (!total) return 0;
+            const med = quantile(0.5);
+            const deviations = [];
+            for (let c = 0; c < cols; c++) {
+                if (counts[c]) deviations.push({ d: Math.abs(xAt(c) - med), w: counts[c] });
+            }
+            deviations.sort((a, b) => a.d - b.d);
+            let acc = 0;
+            for (const { d, w } of deviations) {
+                acc += w;
+                if (acc >= total / 2) return d;
+            }
+            return 0;
+        };
+
+        const proportionAbove = (threshold) => {
+            if (!total) return 0;
+            let above = 0;
+            for (let c = 0; c < cols; c++) {
+                if (xAt(c) > threshold) above += counts[c];
+            }
+            return above / total;
+        };
+
+        let first = -1, last = -1;
+        for (let c = 0; c < cols; c++) {
+            if (counts[c] > 0) {
+                if (first < 0) first = c;
+                last = c;
+            }
+        }
+
+        return {
+            total,
+            mean: mu,
+            variance: m2,
+            sd: Math.sqrt(m2),
+            fourthMoment: m4,
+            min: first >= 0 ? xAt(first) : 0,
+            max: last >= 0 ? xAt(last) : 1,
+            quantile,
+            trimmedMean,
+            mad,
+            proportionAbove
+        };
+    }
+
+    // ============ Exact Sampling Distributions ============
+    // For n i.i.d. draws (sampling with replacement) from painted columns, as
+    // { values, probabilities } atoms of the statistic; null when unavailable.
+
+    // Repeated convolution gets slow as n grows; past this the CLT curve has to do
+    const EXACT_MEAN_MAX_N = 100;
+    // Probability mass below this is dropped from the tails as the convolution grows
+    const EXACT_TAIL = 1e-12;
+
+    const columnProbabilities = (counts) => {
+        let total = 0;
+        for (let c = 0; c < counts.length; c++) total += counts[c];
+        return total ? Array.from(counts, count => count / total) : null;
+    };
+
+    // x̄ = (S/n + 0.5)/cols, where S, the sum of n column indices, has the n-fold
+    // convolution of the column distribution
+    function exactMean(counts, n) {
+        const cols = counts.length;
+        const p = columnProbabilities(counts);
+        if (!p || n > EXACT_MEAN_MAX_N) return null;
+
+        let first = 0, last = cols - 1;
+        while (!p[first]) first++;
+        while (!p[last]) last--;
+        const step = p.slice(first, last + 1);
+
+        // pmf[i] = P(S = offset + i)
+        let pmf = new Float64Array([1]);
+        let offset = 0;
+        for (let k = 0; k < n; k++) {
+            const next = new Float64Array(pmf.length + step.length - 1);
+            for (let i = 0; i < pmf.length; i++) {
+                if (!pmf[i]) continue;
+                for (let j = 0; j < step.length; j++) next[i + j] += pmf[i] * step[j];
+            }
+            offset += first;
+
+            let lo = 0, hi = next.length - 1;
+            while (lo < hi && next[lo] < EXACT_TAIL) lo++;
+            while (hi > lo && next[hi] < EXACT_TAIL) hi--;
+            pmf = next.subarray(lo, hi + 1);
+            offset += lo;
+        }
+
+        return {
+            values: Float64Array.from(pmf, (_, i) => ((offset + i) / n + 0.5) / cols),
+            probabilities: pmf
+        };
+    }
+
+    // Count above the threshold is Binomial(n, π); weights are built outward
+    // from the mode so large n neither underflows nor overflows
+    function exactProportion(counts, n, settings) {
+        const cols = counts.length;
+        const p = columnProbabilities(counts);
+        if (!p) return null;
+        let pi = 0;
+        for (let c = 0; c < cols; c++) if ((c + 0.5) / cols > settings.threshold) pi += p[c];
+
+        const weights = new Float64Array(n + 1);
+        if (pi <= 0 || pi >= 1) {
+            weights[pi >= 1 ? n : 0] = 1;
+        } else {
+            const odds = pi / (1 - pi);
+            const mode = Math.min(n, Math.floor((n + 1) * pi));
+            weights[mode] = 1;
+            for (let k = mode; k < n; k++) weights[k + 1] = weights[k] * (n - k) / (k + 1) * odds;
+            for (let k = mode; k > 0; k--) weights[k - 1] = weights[k] * k / (n - k + 1) / odds;
+            const sum = weights.reduce((a, b) => a + b, 0);
+            for (let k = 0; k <= n; k++) weights[k] /= sum;
+        }
+
+        return { values: Float64Array.from(weights, (_, k) => k / n), probabilities: weights };
+    }
+
+    // Order statistics: P(max ≤ x) = F(x)ⁿ and P(min > x) = (1 − F(x))ⁿ
+    function exactExtreme(counts, n, largest) {
+        const cols = counts.length;
+        const p = columnProbabilities(counts);
+        if (!p) return null;
+
+        const values = new Float64Array(cols);
+        const probabilities = new Float64Array(cols);
+        let below = 0;
+        for (let c = 0; c < cols; c++) {
+            const upTo = Math.min(1, below + p[c]);
+            values[c] = (c + 0.5) / cols;
+            probabilities[c] = largest ?
+                Math.pow(upTo, n) - Math.pow(below, n) :
+                Math.pow(1 - below, n) - Math.pow(1 - upTo, n);
+            below = upTo;
+        }
+        return { values, probabilities };
+    }
+
+    // ============ Registry ============
+    const statistics = new Map();
+
+    const StatisticRegistry = {
+        /**
+         * Register a statistic. Labels may be strings or functions of the settings
+         * object (the engine), for statistics that depend on a setting.
+         * @param {string} name
+         * @param {{
+         *   label: string|Function, shortLabel: string|Function,
+         *   parameterLabel: string|Function, parameterShortLabel: string|Function,
+         *   menuLabel?: string,
+         *   domain: {min: number, max: number}|Function,
+         *   compute: (values: number[], settings: object) => number,
+         *   parameter: (population: object, settings: object) => number,
+         *   standardError?: (population: object, n: number, settings: object) => number,
+         *   nullStandardError?: (nullValue: number, population: object, n: number, settings: object) => number,
+         *   finitePopulationCorrection?: boolean,
+         *   exactDistribution?: (counts: ArrayLike<number>, n: number, settings: object) =>
+         *       {values: ArrayLike<number>, probabilities: ArrayLike<number>}|null
+         * }} definition
+         */
+        register(name, definition) {
+            if (typeof definition?.compute !== 'function' || typeof definition?.parameter !== 'function') {
+                throw new Error(`Statistic "${name}" needs compute and parameter functions`);
+            }
+            statistics.set(name, { name, ...definition });
+            return this;
+        },
+
+        get(name) {
+            const definition = statistics.get(name);
+            if (!definition) throw new Error(`Unknown statistic: ${name}`);
+            return definition;
+        },
+
+        has(name) {
+            return statistics.has(name);
+        },
+
+        list() {
+            return Array.from(statistics.values());
+        },
+
+        // Resolve a possibly setting-dependent field of a definition
+        resolve(name, field, settings) {
+            const value = this.get(name)[field];
+            return typeof value === 'function' ? value(settings) : value;
+        },
+
+        describePopulation
+    };
+
+    // ============ Built-in Statistics ============
+    const UNIT = { min: 0, max: 1 };
+    const formatLevel = (settings) => (settings?.quantileLevel ?? 0.5).toFixed(2);
+
+    StatisticRegistry
+        .register('mean', {
+            label: 'Sample Mean', shortLabel: 'x̄',
+            parameterLabel: 'Population Mean', parameterShortLabel: 'μ',
+            menuLabel: 'Mean (x̄)',
+            domain: UNIT,
+            compute: (values) => mean(values),
+            parameter: (pop) => pop.mean,
+            standardError: (pop, n) => pop.sd / Math.sqrt(n),
+            finitePopulationCorrection: true,
+            exactDistribution: (counts, n) => exactMean(counts, n)
+        })
+        .register('median', {
+            label: 'Sample Median', shortLabel: 'med',
+            parameterLabel: 'Population Median', parameterShortLabel: 'μ̃',
+            menuLabel: 'Median',
+            domain: UNIT,
+            compute: (values) => quantileSorted(sortedCopy(values), 0.5),
+            parameter: (pop) => pop.quantile(0.5)
+        })
+        .register('sd', {
+            label: 'Sample SD', shortLabel: 's',
+            parameterLabel: 'Population SD', parameterShortLabel: 'σ',
+            menuLabel: 'Standard Deviation (s)',
+            domain: { min: 0, max: 0.5 },
+            compute: (values) => {
+                const v = variance(values);
+                return isFinite(v) && v >= 0 ? Math.sqrt(v) : 0;
+            },
+            parameter: (pop) => pop.sd
+        })
+        .register('proportion', {
+            label: 'Sample Proportion', shortLabel: 'p̂',
+            parameterLabel: 'Population Proportion', parameterShortLabel: 'π',
+            menuLabel: 'Proportion (> threshold)',
+            domain: UNIT,
+            compute: (values, settings) => {
+                let above = 0;
+                for (let i = 0; i < values.length; i++) if (values[i] > settings.threshold) above++;
+                return values.length ? above / values.length : NaN;
+            },
+            parameter: (pop, settings) => pop.proportionAbove(settings.threshold),
+            standardError: (pop, n, settings) => {
+                const p = pop.proportionAbove(settings.threshold);
+                return Math.sqrt(p * (1 - p) / n);
+            },
+            // Under H₀: π = π₀ the SE is fixed by π₀ alone
+            nullStandardError: (nullValue, pop, n) => Math.sqrt(nullValue * (1 - nullValue) / n),
+            finitePopulationCorrection: true,
+            exactDistribution: (counts, n, settings) => exactProportion(counts, n, settings)
+        })
+        .register('trimmedMean', {
+            label: 'Sample 10% Trimmed Mean', shortLabel: 'x̄ₜ',
+            parameterLabel: 'Population 10% Trimmed Mean', parameterShortLabel: 'μₜ',
+            menuLabel: 'Trimmed mean (10%)',
+            domain: UNIT,
+            compute: (values) => trimmedMeanSorted(sortedCopy(values), 0.1),
+            parameter: (pop) => pop.trimmedMean(0.1)
+        })
+        .register('variance', {
+            label: 'Sample Variance', shortLabel: 's²',
+            parameterLabel: 'Population Variance', parameterShortLabel: 'σ²',
+            menuLabel: 'Variance (s²)',
+            domain: { min: 0, max: 0.15 },
+            compute: (values) => variance(values),
+            parameter: (pop) => pop.variance,
+            // Var(s²) = (μ₄ − σ⁴(n − 3)/(n − 1)) / n for i.i.d. draws
+            standardError: (pop, n) => n > 1 ?
+                Math.sqrt(Math.max(0, (pop.fourthMoment - pop.variance ** 2 * (n - 3) / (n - 1)) / n)) : NaN
+        })
+        .register('iqr', {
+            label: 'Sample IQR', shortLabel: 'IQR',
+            parameterLabel: 'Population IQR', parameterShortLabel: 'IQRₚ',
+            menuLabel: 'Interquartile range',
+            domain: UNIT,
+            compute: (values) => {
+                const sorted = sortedCopy(values);
+                return quantileSorted(sorted, 0.75) - quantileSorted(sorted, 0.25);
+            },
+            parameter: (pop) => pop.quantile(0.75) - pop.quantile(0.25)
+        })
+        .register('range', {
+            label: 'Sample Range', shortLabel: 'R',
+            parameterLabel: 'Population Range', parameterShortLabel: 'Rₚ',
+            menuLabel: 'Range (max − min)',
+            domain: UNIT,
+            compute: (values) => values.length ? Math.max(...values) - Math.min(...values) : NaN,
+            parameter: (pop) => pop.max - pop.min
+        })
+        .register('max', {
+            label: 'Sample Maximum', shortLabel: 'max',
+            parameterLabel: 'Population Maximum', parameterShortLabel: 'θmax',
+            menuLabel: 'Maximum',
+            domain: UNIT,
+            compute: (values) => values.length ? Math.max(...values) : NaN,
+            parameter: (pop) => pop.max,
+            exactDistribution: (counts, n) => exactExtreme(counts, n, true)
+        })
+        .register('min', {
+            label: 'Sample Minimum', shortLabel: 'min',
+            parameterLabel: 'Population Minimum', parameterShortLabel: 'θmin',
+            menuLabel: 'Minimum',
+            domain: UNIT,
+            compute: (values) => values.length ? Math.min(...values) : NaN,
+            parameter: (pop) => pop.min,
+            exactDistribution: (counts, n) => exactExtreme(counts, n, false)
+        })
+        .register('mad', {
+            label: 'Sample MAD', shortLabel: 'MAD',
+            parameterLabel: 'Population MAD', parameterShortLabel: 'MADₚ',
+            menuLabel: 'Median absolute deviation',
+            domain: { min: 0, max: 0.5 },
+            compute: (values) => values.length ? madSorted(sortedCopy(values)) : NaN,
+            parameter: (pop) => pop.mad()
+        })
+        .register('quantile', {
+            label: (s) => `Sample ${formatLevel(s)} Quantile`,
+            shortLabel: (s) => `q̂(${formatLevel(s)})`,
+            parameterLabel: (s) => `Population ${formatLevel(s)} Quantile`,
+            parameterShortLabel: (s) => `Q(${formatLevel(s)})`,
+            menuLabel: 'Quantile (choose level)',
+            domain: UNIT,
+            compute: (values, settings) => quantileSorted(sortedCopy(values), settings.quantileLevel ?? 0.5),
+            parameter: (pop, settings) => pop.quantile(settings.quantileLevel ?? 0.5)
+        });
+
+    // Export to global scope
+    global.StatisticRegistry = StatisticRegistry;
+
+})(window || this);
@@ -0,0 +1,148 @@
+// SVG Renderer Module - StatRenderer that draws an SVG DOM instead of canvas pixels
+// Same interface as StatRenderer (render, renderIntervalLadder, layout and
+// hit-testing), so an app picks it at construction:
+//   new CLTApp('clt-canvas', 'clt-controls', 'clt-actions', { renderer: 'svg' })
+// The output is shapes and text that screen readers, site CSS and print
+// stylesheets can reach:
+//   g.tray       tray background, ticks, title and axis labels
+//   g.stack      one column of blocks, titled with its count and value
+//   g.line       parameter and statistic lines, titled with their label
+//   g.stats      summary statistics as <text>
+//   g.overlay    theoretical curves over the sampling distribution, titled with their label
+//   g.rejection  shaded rejection region of the hypothesis test
+//   g.kde        kernel density curves, titled with their bandwidth
+//   g.qq         normal Q–Q panel beside the sampling distribution
+//   g.cursor     keyboard painting cursor, while the figure has focus
+// Load after renderer.js and figure-export.js (for SvgContext).
+
+(function(global) {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    class SvgRenderer extends StatRenderer {
+        /**
+         * @param {Element} element - an <svg>, or a <canvas> to replace with one
+         * @param {object} [config] - as for StatRenderer
+         */
+        constructor(element, config = {}) {
+            super(SvgRenderer.createSurface(element), config);
+            // The element apps attach pointer handlers to
+            this.element = this.canvas;
+        }
+
+        static createSurface(element) {
+            if (element.namespaceURI === SVG_NS) return element;
+
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            if (element.id) svg.id = element.id;
+            svg.setAttribute('class', ['xbar-svg', element.getAttribute('class')].filter(Boolean).join(' '));
+            svg.setAttribute('role', 'group');
+            svg.setAttribute('aria-label', element.getAttribute('aria-label') || 'Population, sample and sampling distribution');
+            element.replaceWith(svg);
+            return svg;
+        }
+
+        // ============ Drawing Surface ============
+        createContext() {
+            this.svgContext = new FigureExport.SvgContext(0, 0);
+            return this.svgContext;
+        }
+
+        // Vector output has no device pixels to match
+        resizeSurface(width, height) {
+            this.pixelRatio = 1;
+            this.svgContext.width = width;
+            this.svgContext.height = height;
+            this.canvas.setAttribute('width', width);
+            this.canvas.setAttribute('height', height);
+            this.canvas.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+
+        // Replace the SVG's content with what the last render recorded
+        flush() {
+            // drawTo() (figure export) renders into another context; leave the screen alone
+            if (this.ctx !== this.svgContext) return;
+            this.canvas.innerHTML = this.svgContext.toMarkup();
+        }
+
+        render(engine) {
+            if (!this.needsRedraw) return;
+            super.render(engine);
+            this.flush();
+        }
+
+        renderIntervalLadder(engine, ladder) {
+            if (!this.needsRedraw) return;
+            super.renderIntervalLadder(engine, ladder);
+            this.flush();
+        }
+
+        // ============ Semantic Groups ============
+        // Wraps whatever draw() records in a <g>; plain canvas contexts (PNG export) just draw
+        group(attrs, title, draw) {
+            const grouped = typeof this.ctx.beginGroup === 'function';
+            if (grouped) this.ctx.beginGroup(attrs, title);
+            draw();
+            if (grouped) this.ctx.endGroup();
+        }
+
+        drawTray(y, height, title, domain = { min: 0, max: 1 }) {
+            // Stacks drawn next belong to this tray's scale
+            this.trayDomain = domain;
+            this.group({ class: 'tray' }, null, () => super.drawTray(y, height, title, domain));
+        }
+
+        drawStack(c, stack, yBottom, boxHeight, fillColor, topColor) {
+            const domain = this.trayDomain || { min: 0, max: 1 };
+            const value = domain.min + (c + 0.5) * this.layout.boxSize / this.layout.gridW * (domain.max - domain.min);
+            this.group(
+                { class: 'stack', 'data-count': stack },
+                `${stack} at ${value.toFixed(3)}`,
+                () => super.drawStack(c, stack, yBottom, boxHeight, fillColor, topColor)
+            );
+        }
+
+        drawEnhancedLine(x, y1, y2, color, label, labelY, style = 'solid') {
+            this.group({ class: `line line-${style}` }, label,
+                () => super.drawEnhancedLine(x, y1, y2, color, label, labelY, style));
+        }
+
+        drawStatsText(x, y, stats, align = 'left') {
+            this.group({ class: 'stats' }, null, () => super.drawStatsText(x, y, stats, align));
+        }
+
+        drawTheoreticalOverlay(overlay, domain, yBottom, boxHeight) {
+            this.group({ class: 'overlay' }, overlay.label,
+                () => super.drawTheoreticalOverlay(overlay, domain, yBottom, boxHeight));
+        }
+
+        drawDensityCurve(points, covered, label, trayY) {
+            this.group({ class: 'kde' }, label, () => super.drawDensityCurve(points, covered, label, trayY));
+        }
+
+        drawQQPlot(engine, samplingStats, y, height) {
+            this.group({ class: 'qq' }, `Normal Q–Q plot of the ${engine.getStatisticLabel()}`,
+                () => super.drawQQPlot(engine, samplingStats, y, height));
+        }
+
+        drawPopulationCursor() {
+            if (!this.populationCursor) return;
+            this.group({ class: 'cursor' }, null, () => super.drawPopulationCursor());
+        }
+
+        drawRejectionRegion(region, domain, yBot, botBase, alpha) {
+            this.group({ class: 'rejection' }, `Rejection region at α = ${alpha}`,
+                () => super.drawRejectionRegion(region, domain, yBot, botBase, alpha));
+        }
+
+        drawOutline(heights, yBottom, boxHeight, color) {
+            this.group({ class: 'reference' }, 'Reference sampling distribution',
+                () => super.drawOutline(heights, yBottom, boxHeight, color));
+        }
+    }
+
+    // Export to global scope
+    global.SvgRenderer = SvgRenderer;
+
+})(window || this);
@@ -4,6 +4,8 @@
 (function(global) {
     'use strict';
 
+    const SWEEP_HELP = 'A separate sampling distribution at each n, to step through as the spread shrinks like 1/√n.';
+
     // ============ UI Component Base Class ============
     class UIComponent {
         constructor(element, options = {}) {
@@ -36,14 +38,33 @@
             super(container, options);
             
             this.controls = {
+                mode: 'oneSample',
                 distribution: 'normal',
+                generatorParams: {},
+                distributionB: 'normal',
+                generatorParamsB: { mu: 0.6 },
                 statistic: 'mean',
                 sampleSize: 30,
+                sampleSizeB: 30,
                 threshold: 0.5,
+                quantileLevel: 0.5,
                 speed: 'normal',
                 seed: 1234,
                 showParameterLine: true,
-                showNormalFit: false
+                showNormalFit: false,
+                showQQPlot: false,
+                kde: false,
+                kdeRule: 'silverman',
+                kdeAdjust: 1,
+                sonify: false,
+                sweepSizes: [2, 5, 10, 30, 100],
+                sweepRepetitions: 1000,
+                withoutReplacement: false,
+                confidenceLevel: 0.95,
+                testMode: false,
+                nullValue: 0.5,
+                alternative: 'twoSided',
+                alpha: 0.05
             };
 
             this.render();
@@ -59,34 +80,63 @@
                     
                     <div class="keyboard-shortcuts">
                         <strong>Keyboard shortcuts:</strong><br/>
-                        Space: Draw Sample • R: Reset • E: Toggle Erase • 1: ×10 • 2: ×1000
+                        Space: Draw Sample • R: Reset • E: Toggle Erase • 1: ×10 • 2: ×1000<br/>
+                        On the focused canvas: ←/→ Column • Home/End: First/Last • ↑/↓ Add/Remove • Shift: ×5 • PgUp/PgDn: Population A/B
                     </div>
                     
                     <div class="control-group">
-                        <label>Population shape</label>
+                        <label>Mode</label>
+                        <select id="mode-select">
+                            <option value="oneSample">One sample</option>
+                            <option value="twoSample">Two samples (A − B)</option>
+                            <option value="bootstrap">Bootstrap</option>
+                        </select>
+                        <div class="bootstrap-only" style="display: none;">
+                            <label>Confidence level</label>
+                            <select id="confidence-level-select">
+                                <option value="0.8">80%</option>
+                                <option value="0.9">90%</option>
+                                <option value="0.95" selected>95%</option>
+                                <option value="0.99">99%</option>
+                            </select>
+                            <div class="help-text">Draw Sample takes one sample; Repeat resamples it with replacement. The outline is the true sampling distribution.</div>
+                        </div>
+                    </div>
+                    
+                    <div class="control-group">
+                        <label><span class="two-sample-only" style="display: none;">A: </span>Population shape</label>
                         <select id="distribution-select">
-                            <option value="normal">Normal</option>
-                            <option value="lognormal">Skewed (lognormal)</option>
-                            <option value="uniform">Uniform</option>
-                            <option value="bimodal">Bimodal</option>
+                            ${this.renderDistributionOptions(this.controls.distribution)}
                         </select>
+                        <div id="generator-params" class="generator-params"></div>
                         <div class="pop-stats" id="pop-stats">μ≈0.500 · σ≈0.161</div>
                         <div class="help-text">Click/drag on the population to paint your own distribution!</div>
                     </div>
                     
+                    <div class="control-group two-sample-only" style="display: none;">
+                        <label>B: Population shape</label>
+                        <select id="distribution-b-select">
+                            ${this.renderDistributionOptions(this.controls.distributionB)}
+                        </select>
+                        <div id="generator-params-b" class="generator-params"></div>
+                        <div class="pop-stats" id="pop-stats-b"></div>
+                    </div>
+                    
                     <div class="control-group">
                         <label>Statistic</label>
                         <select id="statistic-select">
-                            <option value="mean">Mean (x̄)</option>
-                            <option value="median">Median</option>
-                            <option value="sd">Standard Deviation (s)</option>
-                            <option value="proportion">Proportion (&gt; threshold)</option>
+                            ${this.renderStatisticOptions()}
                         </select>
                         <div id="threshold-controls" class="threshold-controls" style="display: none;">
                             <label>Threshold</label>
                             <input type="range" id="threshold-slider" min="0.05" max="0.95" step="0.01" value="0.5" />
                             <div id="threshold-display">θ = P(X &gt; 0.50)</div>
                         </div>
+                        <div id="quantile-controls" class="threshold-controls" style="display: none;">
+                            <label>Quantile level</label>
+                            <input type="range" id="quantile-slider" min="0.01" max="0.99" step="0.01" value="0.5" />
+                            <div id="quantile-display">p = 0.50</div>
+                        </div>
                     </div>
                     
                     <div class="control-group">
@@ -95,6 +145,18 @@
                         <div class="sample-size-display">
                             <span id="sample-size-value">30</span>
                         </div>
+                        <div class="two-sample-only" style="display: none;">
+                            <label>Sample size from B (n₂)</label>
+                            <input type="range" id="sample-size-b-slider" min="2" max="500" step="1" value="30" />
+                            <div class="sample-size-display-b">
+                                <span id="sample-size-b-value">30</span>
+                            </div>
+                        </div>
+                        <label class="checkbox-label inline-checkbox">
+                            <span>Sample without replacement</span>
+                            <input type="checkbox" id="without-replacement-checkbox" />
+                        </label>
+                        <div class="help-text">Each painted block is one unit; n cannot exceed N.</div>
                     </div>
                     
                     <div class="control-group checkboxes">
@@ -104,9 +166,46 @@
                         </label>
                         
                         <label class="checkbox-label">
-                            <span>Show normal fit</span>
+                            <span>Show theoretical curves</span>
                             <input type="checkbox" id="normal-fit-checkbox" />
                         </label>
+                        
+                        <label class="checkbox-label">
+                            <span>Show normal Q–Q plot</span>
+                            <input type="checkbox" id="qq-plot-checkbox" />
+                        </label>
+                    </div>
+                    
+                    ${this.renderKdeControls()}
+                    
+                    ${this.renderTestControls()}
+                    
+                    ${global.Sonification ? `
+                    <div class="control-group">
+                        <label class="checkbox-label inline-checkbox">
+                            <span>Play each statistic as a tone</span>
+                            <input type="checkbox" id="sonify-checkbox" />
+                        </label>
+                        <div class="experiment-buttons">
+                            <button type="button" data-play="glissando">Play distribution</button>
+                            <button type="button" data-play="chord">Play as chord</button>
+                        </div>
+                        <div class="help-text">Low pitch is the left of the scale, high the right; louder means more runs there.</div>
+                    </div>
+                    ` : ''}
+                    
+                    <div class="control-group">
+                        <label>Sweep n</label>
+                        <input type="text" id="sweep-sizes-input" value="2, 5, 10, 30, 100" aria-label="Sample sizes to sweep, separated by commas" />
+                        <label>Runs at each n</label>
+                        <input type="number" id="sweep-repetitions-input" min="10" max="10000" step="10" value="1000" />
+                        <div class="experiment-buttons">
+                            <button type="button" id="sweep-run-btn">Run sweep</button>
+                            <button type="button" id="sweep-play-btn" disabled>Play</button>
+                            <button type="button" id="sweep-end-btn" class="wide" disabled>Back to my runs</button>
+                        </div>
+                        <input type="range" id="sweep-step-slider" min="0" max="0" step="1" value="0" disabled aria-label="Sample size on show" />
+                        <div class="help-text" id="sweep-status">${SWEEP_HELP}</div>
                     </div>
                     
                     <div class="control-group two-column">
@@ -123,6 +222,43 @@
                         </div>
                     </div>
                     
+                    <div class="control-group">
+                        <label>Experiment</label>
+                        <div class="experiment-buttons">
+                            <button type="button" id="save-experiment-btn">Save</button>
+                            <button type="button" id="load-experiment-btn">Load</button>
+                            <button type="button" id="download-experiment-btn">Download .json</button>
+                            <button type="button" id="open-experiment-btn">Open .json</button>
+                            ${global.UrlState ? '<button type="button" id="copy-link-btn" class="wide">Copy link</button>' : ''}
+                        </div>
+                        <input type="file" id="experiment-file-input" accept=".json,application/json" hidden />
+                        <div class="help-text" id="experiment-status">Save keeps one experiment in this browser.</div>
+                    </div>
+                    
+                    ${global.DataExport ? `
+                    <div class="control-group">
+                        <label>Export data</label>
+                        <div class="experiment-buttons">
+                            <button type="button" data-export="csv" data-dataset="statistics">Statistics CSV</button>
+                            <button type="button" data-export="csv" data-dataset="sample">Sample CSV</button>
+                            <button type="button" data-export="csv" data-dataset="population">Population CSV</button>
+                            <button type="button" data-export="json">All (JSON)</button>
+                        </div>
+                        <div class="help-text">Every simulated statistic, the latest sample and the population weights.</div>
+                    </div>
+                    ` : ''}
+                    
+                    ${global.FigureExport ? `
+                    <div class="control-group">
+                        <label>Export figure</label>
+                        <div class="experiment-buttons">
+                            ${global.FigureExport.SCALES.map(scale => `<button type="button" data-figure="png" data-scale="${scale}">PNG ${scale}×</button>`).join('')}
+                            <button type="button" data-figure="svg" class="wide">SVG (vector)</button>
+                        </div>
+                        <div class="help-text">Sharp copies of the three trays for slides and handouts.</div>
+                    </div>
+                    ` : ''}
+                    
                     <div class="info-box">
                         <strong>Central Limit Theorem:</strong> SE = σ/√n decreases as n increases. 
                         The sampling distribution approaches normal regardless of population shape!
@@ -131,6 +267,135 @@
             `;
 
             this.addStyles();
+            this.renderGeneratorParams('A');
+            this.renderGeneratorParams('B');
+        }
+
+        // Density curve over the sample and sampling-distribution stacks; the
+        // slider scales the rule's bandwidth
+        renderKdeControls() {
+            return `
+                    <div class="control-group">
+                        <label class="checkbox-label inline-checkbox">
+                            <span>Smooth with a density curve (KDE)</span>
+                            <input type="checkbox" id="kde-checkbox" />
+                        </label>
+                        <div class="kde-controls" style="display: none;">
+                            <label>Bandwidth rule</label>
+                            <select id="kde-rule-select">
+                                <option value="silverman">Silverman</option>
+                                <option value="scott">Scott</option>
+                            </select>
+                            <label>Bandwidth</label>
+                            <input type="range" id="kde-adjust-slider" min="0.25" max="3" step="0.05" value="1" />
+                            <div id="kde-adjust-display">× 1.00 the rule's bandwidth</div>
+                        </div>
+                    </div>
+            `;
+        }
+
+        // z test of each run against H₀: θ = θ₀; the bottom tray shades where it rejects
+        renderTestControls() {
+            return `
+                    <div class="control-group">
+                        <label class="checkbox-label inline-checkbox">
+                            <span>Test a hypothesis</span>
+                            <input type="checkbox" id="test-checkbox" />
+                        </label>
+                        <div class="test-controls" style="display: none;">
+                            <label>Null value θ₀ (H₀: θ = θ₀)</label>
+                            <input type="number" id="null-value-input" min="-1" max="1" step="0.01" value="0.5" />
+                            <label>Alternative</label>
+                            <select id="alternative-select">
+                                <option value="twoSided">θ ≠ θ₀ (two-sided)</option>
+                                <option value="less">θ &lt; θ₀</option>
+                                <option value="greater">θ &gt; θ₀</option>
+                            </select>
+                            <label>Significance level (α)</label>
+                            <select id="alpha-select">
+                                <option value="0.1">0.10</option>
+                                <option value="0.05" selected>0.05</option>
+                                <option value="0.01">0.01</option>
+                            </select>
+                            <div class="help-text">Run ×1000 for the rejection rate: power, or the Type I error rate when θ = θ₀.</div>
+                        </div>
+                    </div>
+            `;
+        }
+
+        renderDistributionOptions(selected) {
+            const generators = global.PopulationGenerators || {
+                normal: { label: 'Normal' },
+                lognormal: { label: 'Skewed (lognormal)' },
+                uniform: { label: 'Uniform' },
+                bimodal: { label: 'Bimodal' }
+            };
+            return Object.entries(generators)
+                .map(([name, g]) => `<option value="${name}"${name === selected ? ' selected' : ''}>${g.label}</option>`)
+                .join('');
+        }
+
+        renderStatisticOptions() {
+            const statistics = global.StatisticRegistry?.list() || [
+                { name: 'mean', menuLabel: 'Mean (x̄)' },
+                { name: 'median', menuLabel: 'Median' },
+                { name: 'sd', menuLabel: 'Standard Deviation (s)' },
+                { name: 'proportion', menuLabel: 'Proportion (&gt; threshold)' }
+            ];
+            return statistics
+                .map(stat => `<option value="${stat.name}"${stat.name === this.controls.statistic ? ' selected' : ''}>${(stat.menuLabel || stat.name).replace('>', '&gt;')}</option>`)
+                .join('');
+        }
+
+        // Build one slider per parameter of the selected generator for group A or B
+        renderGeneratorParams(group = 'A') {
+            const isB = group === 'B';
+            const container = this.element.querySelector(isB ? '#generator-params-b' : '#generator-params');
+            if (!container || !global.StatEngine?.getGeneratorParamSpec) return;
+
+            const distributionKey = isB ? 'distributionB' : 'distribution';
+            const paramsKey = isB ? 'generatorParamsB' : 'generatorParams';
+            const distribution = this.controls[distributionKey];
+
+            const spec = StatEngine.getGeneratorParamSpec(distribution, this.controls[paramsKey]);
+            this.controls[paramsKey] = StatEngine.resolveGeneratorParams(distribution, this.controls[paramsKey]);
+            const params = this.controls[paramsKey];
+
+            container.dataset.keys = spec.map(param => param.key).join(',');
+            container.innerHTML = spec.map(param => `
+                <div class="generator-param">
+                    <div class="generator-param-label">
+                        <span>${param.label}</span>
+                        <span data-param-value="${param.key}">${this.formatParamValue(params[param.key], param.step)}</span>
+                    </div>
+                    <input type="range" data-param="${param.key}" min="${param.min}" max="${param.max}"
+                           step="${param.step}" value="${params[param.key]}" />
+                </div>
+            `).join('');
+
+            container.querySelectorAll('input[data-param]').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    const key = e.target.dataset.param;
+                    const value = parseFloat(e.target.value);
+                    this.controls[paramsKey][key] = value;
+
+                    // Parameter lists that depend on a value (mixture size) need a rebuild
+                    const keys = StatEngine.getGeneratorParamSpec(distribution, this.controls[paramsKey])
+                        .map(param => param.key).join(',');
+                    if (keys !== container.dataset.keys) {
+                        this.renderGeneratorParams(group);
+                    } else {
+                        const display = container.querySelector(`[data-param-value="${key}"]`);
+                        if (display) display.textContent = this.formatParamValue(value, parseFloat(e.target.step));
+                    }
+
+                    this.emit(isB ? 'generatorParamsBChange' : 'generatorParamsChange', { ...this.controls[paramsKey] });
+                });
+            });
+        }
+
+        formatParamValue(value, step) {
+            return Number.isInteger(step) ? String(value) : Number(value).toFixed(2);
         }
 
         addStyles() {
@@ -178,7 +443,8 @@
                 }
                 
                 .control-group select,
-                .control-group input[type="number"] {
+                .control-group input[type="number"],
+                .control-group input[type="text"] {
                     width: 100%;
                     padding: 0.5rem 0.625rem;
                     border-radius: 8px;
@@ -192,6 +458,17 @@
                     margin: 0.25rem 0;
                 }
                 
+                .generator-params {
+                    margin-top: 0.375rem;
+                }
+                
+                .generator-param-label {
+                    display: flex;
+                    justify-content: space-between;
+                    font-size: 0.75rem;
+                    color: #475569;
+                }
+                
                 .pop-stats {
                     font-size: 0.75rem;
                     color: #475569;
@@ -218,7 +495,8 @@
                     margin-top: 0.25rem;
                 }
                 
-                .sample-size-display {
+                .sample-size-display,
+                .sample-size-display-b {
                     font-size: 0.875rem;
                     font-weight: 600;
                     color: #001524;
@@ -237,12 +515,43 @@
                     font-size: 0.875rem;
                 }
                 
+                .control-group .inline-checkbox {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-top: 0.375rem;
+                    cursor: pointer;
+                }
+                
                 .two-column {
                     display: grid;
                     grid-template-columns: 1fr 1fr;
                     gap: 0.5rem;
                 }
                 
+                .experiment-buttons {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 0.375rem;
+                }
+                
+                .experiment-buttons button {
+                    padding: 0.375rem 0.5rem;
+                    border-radius: 8px;
+                    border: 1px solid #cbd5e1;
+                    background: #fff;
+                    font-size: 0.8125rem;
+                    cursor: pointer;
+                }
+                
+                .experiment-buttons .wide {
+                    grid-column: 1 / -1;
+                }
+                
+                .experiment-buttons button:hover {
+                    background: #F3F4F6;
+                }
+                
                 .info-box {
                     font-size: 0.75rem;
                     color: #475569;
@@ -260,26 +569,56 @@
         }
 
         attachEventListeners() {
+            // Mode change
+            const modeSelect = this.element.querySelector('#mode-select');
+            modeSelect?.addEventListener('change', (e) => {
+                this.controls.mode = e.target.value;
+                this.updateModeVisibility();
+                this.emit('modeChange', e.target.value);
+            });
+
+            // Bootstrap confidence level change
+            const confidenceLevelSelect = this.element.querySelector('#confidence-level-select');
+            confidenceLevelSelect?.addEventListener('change', (e) => {
+                this.controls.confidenceLevel = parseFloat(e.target.value);
+                this.emit('confidenceLevelChange', parseFloat(e.target.value));
+            });
+
             // Distribution change
             const distributionSelect = this.element.querySelector('#distribution-select');
             distributionSelect?.addEventListener('change', (e) => {
                 this.controls.distribution = e.target.value;
+                this.controls.generatorParams = {};
+                this.renderGeneratorParams('A');
                 this.emit('distributionChange', e.target.value);
             });
 
+            // Population B distribution change
+            const distributionBSelect = this.element.querySelector('#distribution-b-select');
+            distributionBSelect?.addEventListener('change', (e) => {
+                this.controls.distributionB = e.target.value;
+                this.controls.generatorParamsB = {};
+                this.renderGeneratorParams('B');
+                this.emit('distributionBChange', e.target.value);
+            });
+
             // Statistic change
             const statisticSelect = this.element.querySelector('#statistic-select');
-            const thresholdControls = this.element.querySelector('#threshold-controls');
             statisticSelect?.addEventListener('change', (e) => {
                 this.controls.statistic = e.target.value;
-                if (e.target.value === 'proportion') {
-                    thresholdControls.style.display = 'block';
-                } else {
-                    thresholdControls.style.display = 'none';
-                }
+                this.updateStatisticVisibility();
                 this.emit('statisticChange', e.target.value);
             });
 
+            // Quantile level change
+            const quantileSlider = this.element.querySelector('#quantile-slider');
+            const quantileDisplay = this.element.querySelector('#quantile-display');
+            quantileSlider?.addEventListener('input', (e) => {
+                this.controls.quantileLevel = parseFloat(e.target.value);
+                quantileDisplay.textContent = `p = ${parseFloat(e.target.value).toFixed(2)}`;
+                this.emit('quantileLevelChange', parseFloat(e.target.value));
+            });
+
             // Threshold change
             const thresholdSlider = this.element.querySelector('#threshold-slider');
             const thresholdDisplay = this.element.querySelector('#threshold-display');
@@ -298,6 +637,22 @@
                 this.emit('sampleSizeChange', parseInt(e.target.value));
             });
 
+            // Sample size from population B
+            const sampleSizeBSlider = this.element.querySelector('#sample-size-b-slider');
+            const sampleSizeBValue = this.element.querySelector('#sample-size-b-value');
+            sampleSizeBSlider?.addEventListener('input', (e) => {
+                this.controls.sampleSizeB = parseInt(e.target.value);
+                sampleSizeBValue.textContent = e.target.value;
+                this.emit('sampleSizeBChange', parseInt(e.target.value));
+            });
+
+            // Sampling without replacement toggle
+            const withoutReplacementCheckbox = this.element.querySelector('#without-replacement-checkbox');
+            withoutReplacementCheckbox?.addEventListener('change', (e) => {
+                this.controls.withoutReplacement = e.target.checked;
+                this.emit('withoutReplacementToggle', e.target.checked);
+            });
+
             // Parameter line toggle
             const paramLineCheckbox = this.element.querySelector('#param-line-checkbox');
             paramLineCheckbox?.addEventListener('change', (e) => {
@@ -312,6 +667,100 @@
                 this.emit('normalFitToggle', e.target.checked);
             });
 
+            // Normal Q–Q panel
+            this.element.querySelector('#qq-plot-checkbox')?.addEventListener('change', (e) => {
+                this.controls.showQQPlot = e.target.checked;
+                this.emit('qqToggle', e.target.checked);
+            });
+
+            // Kernel density curve
+            const emitKde = () => this.emit('kdeChange', {
+                show: this.controls.kde, rule: this.controls.kdeRule, adjust: this.controls.kdeAdjust
+            });
+            this.element.querySelector('#kde-checkbox')?.addEventListener('change', (e) => {
+                this.controls.kde = e.target.checked;
+                this.element.querySelector('.kde-controls').style.display = e.target.checked ? 'block' : 'none';
+                emitKde();
+            });
+            this.element.querySelector('#kde-rule-select')?.addEventListener('change', (e) => {
+                this.controls.kdeRule = e.target.value;
+                emitKde();
+            });
+            this.element.querySelector('#kde-adjust-slider')?.addEventListener('input', (e) => {
+                this.controls.kdeAdjust = parseFloat(e.target.value);
+                this.element.querySelector('#kde-adjust-display').textContent = `× ${this.controls.kdeAdjust.toFixed(2)} the rule's bandwidth`;
+                emitKde();
+            });
+
+            // Hypothesis test
+            const emitTest = () => this.emit('testChange', {
+                testMode: this.controls.testMode, nullValue: this.controls.nullValue,
+                alternative: this.controls.alternative, alpha: this.controls.alpha
+            });
+            this.element.querySelector('#test-checkbox')?.addEventListener('change', (e) => {
+                this.controls.testMode = e.target.checked;
+                this.element.querySelector('.test-controls').style.display = e.target.checked ? 'block' : 'none';
+                emitTest();
+            });
+            this.element.querySelector('#null-value-input')?.addEventListener('change', (e) => {
+                const nullValue = parseFloat(e.target.value);
+                if (!isFinite(nullValue)) {
+                    e.target.value = this.controls.nullValue;
+                    return;
+                }
+                this.controls.nullValue = nullValue;
+                emitTest();
+            });
+            this.element.querySelector('#alternative-select')?.addEventListener('change', (e) => {
+                this.controls.alternative = e.target.value;
+                emitTest();
+            });
+            this.element.querySelector('#alpha-select')?.addEventListener('change', (e) => {
+                this.controls.alpha = parseFloat(e.target.value);
+                emitTest();
+            });
+
+            // Sonification
+            const sonifyCheckbox = this.element.querySelector('#sonify-checkbox');
+            sonifyCheckbox?.addEventListener('change', (e) => {
+                this.controls.sonify = e.target.checked;
+                this.emit('sonifyToggle', e.target.checked);
+            });
+            this.element.querySelectorAll('[data-play]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.emit('playDistribution', button.dataset.play);
+                });
+            });
+
+            // Sample-size sweep
+            this.element.querySelector('#sweep-sizes-input')?.addEventListener('change', (e) => {
+                this.controls.sweepSizes = e.target.value.split(/[\s,;]+/).filter(Boolean).map(Number);
+            });
+            this.element.querySelector('#sweep-repetitions-input')?.addEventListener('change', (e) => {
+                this.controls.sweepRepetitions = parseInt(e.target.value) || 0;
+            });
+            this.element.querySelector('#sweep-run-btn')?.addEventListener('click', () => {
+                const { sweepSizes: sizes, sweepRepetitions: repetitions } = this.controls;
+                if (!sizes.length || !sizes.every(n => Number.isInteger(n) && n >= 2 && n <= 500)) {
+                    alert('Enter sample sizes from 2 to 500, separated by commas');
+                    return;
+                }
+                if (!(repetitions >= 10 && repetitions <= 10000)) {
+                    alert('Runs at each n must be between 10 and 10000');
+                    return;
+                }
+                this.emit('runSweep', { sizes, repetitions });
+            });
+            this.element.querySelector('#sweep-play-btn')?.addEventListener('click', () => {
+                this.emit('playSweep');
+            });
+            this.element.querySelector('#sweep-end-btn')?.addEventListener('click', () => {
+                this.emit('endSweep');
+            });
+            this.element.querySelector('#sweep-step-slider')?.addEventListener('input', (e) => {
+                this.emit('sweepStep', parseInt(e.target.value));
+            });
+
             // Speed change
             const speedSelect = this.element.querySelector('#speed-select');
             speedSelect?.addEventListener('change', (e) => {
@@ -325,10 +774,135 @@
                 this.controls.seed = parseInt(e.target.value) || 0;
                 this.emit('seedChange', parseInt(e.target.value) || 0);
             });
+
+            // Experiment save/load (browser storage or .json file)
+            const fileInput = this.element.querySelector('#experiment-file-input');
+            this.element.querySelector('#save-experiment-btn')?.addEventListener('click', () => {
+                this.emit('saveExperiment', { target: 'browser' });
+            });
+            this.element.querySelector('#load-experiment-btn')?.addEventListener('click', () => {
+                this.emit('loadExperiment', { source: 'browser' });
+            });
+            this.element.querySelector('#download-experiment-btn')?.addEventListener('click', () => {
+                this.emit('saveExperiment', { target: 'file' });
+            });
+            this.element.querySelector('#open-experiment-btn')?.addEventListener('click', () => {
+                fileInput?.click();
+            });
+            fileInput?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                // Clear so choosing the same file again still fires change
+                e.target.value = '';
+                if (file) this.emit('loadExperiment', { source: 'file', file });
+            });
+            this.element.querySelector('#copy-link-btn')?.addEventListener('click', () => {
+                this.emit('copyLink');
+            });
+
+            // Data export
+            this.element.querySelectorAll('[data-export]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.emit('exportData', { format: button.dataset.export, dataset: button.dataset.dataset });
+                });
+            });
+
+            // Figure export
+            this.element.querySelectorAll('[data-figure]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.emit('exportFigure', { format: button.dataset.figure, scale: Number(button.dataset.scale) || 1 });
+                });
+            });
+        }
+
+        updateModeVisibility() {
+            const mode = this.controls.mode;
+            this.element.querySelectorAll('.two-sample-only').forEach(el => {
+                el.style.display = mode === 'twoSample' ? '' : 'none';
+            });
+            this.element.querySelectorAll('.bootstrap-only').forEach(el => {
+                el.style.display = mode === 'bootstrap' ? '' : 'none';
+            });
+        }
+
+        updateStatisticVisibility() {
+            const thresholdControls = this.element.querySelector('#threshold-controls');
+            const quantileControls = this.element.querySelector('#quantile-controls');
+            if (thresholdControls) thresholdControls.style.display = this.controls.statistic === 'proportion' ? 'block' : 'none';
+            if (quantileControls) quantileControls.style.display = this.controls.statistic === 'quantile' ? 'block' : 'none';
+        }
+
+        // Update controls and their inputs without emitting change events, e.g.
+        // after an experiment is restored into the engine
+        setControls(changes) {
+            Object.assign(this.controls, changes);
+            const c = this.controls;
+            const setValue = (selector, value) => {
+                const input = this.element.querySelector(selector);
+                if (input) input.value = String(value);
+            };
+            const setText = (selector, text) => {
+                const element = this.element.querySelector(selector);
+                if (element) element.textContent = text;
+            };
+
+            setValue('#mode-select', c.mode);
+            setValue('#confidence-level-select', c.confidenceLevel);
+            setValue('#distribution-select', c.distribution);
+            setValue('#distribution-b-select', c.distributionB);
+            setValue('#statistic-select', c.statistic);
+            setValue('#threshold-slider', c.threshold);
+            setText('#threshold-display', `θ = P(X > ${c.threshold})`);
+            setValue('#quantile-slider', c.quantileLevel);
+            setText('#quantile-display', `p = ${Number(c.quantileLevel).toFixed(2)}`);
+            setValue('#sample-size-slider', c.sampleSize);
+            setText('#sample-size-value', c.sampleSize);
+            setValue('#sample-size-b-slider', c.sampleSizeB);
+            setText('#sample-size-b-value', c.sampleSizeB);
+            setValue('#speed-select', c.speed);
+            setValue('#seed-input', c.seed);
+
+            const withoutReplacement = this.element.querySelector('#without-replacement-checkbox');
+            if (withoutReplacement) withoutReplacement.checked = c.withoutReplacement;
+
+            const testCheckbox = this.element.querySelector('#test-checkbox');
+            if (testCheckbox) testCheckbox.checked = c.testMode;
+            const testControls = this.element.querySelector('.test-controls');
+            if (testControls) testControls.style.display = c.testMode ? 'block' : 'none';
+            setValue('#null-value-input', c.nullValue);
+            setValue('#alternative-select', c.alternative);
+            setValue('#alpha-select', c.alpha);
+
+            this.renderGeneratorParams('A');
+            this.renderGeneratorParams('B');
+            this.updateModeVisibility();
+            this.updateStatisticVisibility();
+        }
+
+        // state: null when no sweep is open, else { steps, index, complete, playing, status }
+        setSweepState(state) {
+            const slider = this.element.querySelector('#sweep-step-slider');
+            const play = this.element.querySelector('#sweep-play-btn');
+            const end = this.element.querySelector('#sweep-end-btn');
+            const status = this.element.querySelector('#sweep-status');
+            if (!slider) return;
+
+            // The scrubber waits until every n has run
+            slider.disabled = !state?.complete;
+            slider.max = String(state ? state.steps - 1 : 0);
+            slider.value = String(state ? Math.max(0, state.index) : 0);
+            play.disabled = !state?.complete;
+            play.textContent = state?.playing ? 'Pause' : 'Play';
+            end.disabled = !state;
+            status.textContent = state ? state.status : SWEEP_HELP;
+        }
+
+        setExperimentStatus(message) {
+            const status = this.element.querySelector('#experiment-status');
+            if (status) status.textContent = message;
         }
 
-        updatePopulationStats(stats) {
-            const popStatsElement = this.element.querySelector('#pop-stats');
+        updatePopulationStats(stats, group = 'A') {
+            const popStatsElement = this.element.querySelector(group === 'B' ? '#pop-stats-b' : '#pop-stats');
             if (popStatsElement) {
                 popStatsElement.textContent = `μ≈${stats.mean.toFixed(3)} · σ≈${stats.sd.toFixed(3)}`;
             }
@@ -346,6 +920,154 @@
         }
     }
 
+    // ============ Interval Control Panel Component ============
+    // Controls for the confidence interval applets: the population controls of
+    // ControlPanel plus an interval method (per statistic) and confidence level
+    class IntervalControlPanel extends ControlPanel {
+        render() {
+            if (!global.IntervalMethods?.has(this.controls.intervalMethod)) {
+                this.controls.intervalMethod = global.IntervalMethods?.list(this.controls.statistic)[0]?.name;
+            }
+
+            this.element.innerHTML = `
+                <div class="control-panel">
+                    <div class="panel-header">
+                        <h3>Controls</h3>
+                    </div>
+                    
+                    <div class="keyboard-shortcuts">
+                        <strong>Keyboard shortcuts:</strong><br/>
+                        Space: Draw Sample • R: Reset • 1: ×10 • 2: ×1000<br/>
+                        On the focused canvas: ←/→ Column • Home/End: First/Last • ↑/↓ Add/Remove • Shift: ×5 • PgUp/PgDn: Population A/B
+                    </div>
+                    
+                    <div class="control-group">
+                        <label>Population shape</label>
+                        <select id="distribution-select">
+                            ${this.renderDistributionOptions(this.controls.distribution)}
+                        </select>
+                        <div id="generator-params" class="generator-params"></div>
+                        <div class="pop-stats" id="pop-stats">μ≈0.500 · σ≈0.161</div>
+                        <div class="help-text">Click/drag on the population to paint your own distribution!</div>
+                    </div>
+                    
+                    <div class="control-group">
+                        <label>Parameter</label>
+                        <select id="statistic-select">
+                            ${this.renderStatisticOptions()}
+                        </select>
+                        <div id="threshold-controls" class="threshold-controls" style="display: none;">
+                            <label>Threshold</label>
+                            <input type="range" id="threshold-slider" min="0.05" max="0.95" step="0.01" value="0.5" />
+                            <div id="threshold-display">θ = P(X &gt; 0.50)</div>
+                        </div>
+                    </div>
+                    
+                    <div class="control-group two-column">
+                        <div>
+                            <label>Interval method</label>
+                            <select id="interval-method-select">
+                                ${this.renderMethodOptions()}
+                            </select>
+                        </div>
+                        <div>
+                            <label>Confidence level</label>
+                            <select id="confidence-level-select">
+                                <option value="0.8">80%</option>
+                                <option value="0.9">90%</option>
+                                <option value="0.95" selected>95%</option>
+                                <option value="0.99">99%</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="control-group">
+                        <label>Sample size (n)</label>
+                        <input type="range" id="sample-size-slider" min="2" max="500" step="1" value="30" />
+                        <div class="sample-size-display">
+                            <span id="sample-size-value">30</span>
+                        </div>
+                    </div>
+                    
+                    <div class="control-group checkboxes">
+                        <label class="checkbox-label">
+                            <span>Show parameter line (θ)</span>
+                            <input type="checkbox" id="param-line-checkbox" checked />
+                        </label>
+                    </div>
+                    
+                    ${this.renderKdeControls()}
+                    
+                    <div class="control-group two-column">
+                        <div>
+                            <label>Speed</label>
+                            <select id="speed-select">
+                                <option value="normal">Normal</option>
+                                <option value="fast">Fast</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label>Seed</label>
+                            <input type="number" id="seed-input" value="1234" />
+                        </div>
+                    </div>
+                    
+                    <div class="info-box">
+                        <strong>Coverage:</strong> a 95% method captures θ in about 95% of samples. 
+                        Any single interval either covers θ or it doesn't.
+                    </div>
+                </div>
+            `;
+
+            this.addStyles();
+            this.renderGeneratorParams('A');
+        }
+
+        // Only statistics with at least one interval method
+        renderStatisticOptions() {
+            const available = global.IntervalMethods?.statistics() || ['mean', 'proportion'];
+            return available
+                .map(name => {
+                    const label = global.StatisticRegistry?.has(name) ?
+                        StatisticRegistry.resolve(name, 'parameterLabel', this.controls) : name;
+                    return `<option value="${name}"${name === this.controls.statistic ? ' selected' : ''}>${label}</option>`;
+                })
+                .join('');
+        }
+
+        setControls(changes) {
+            super.setControls(changes);
+            if (!global.IntervalMethods?.list(this.controls.statistic).some(m => m.name === this.controls.intervalMethod)) {
+                this.controls.intervalMethod = global.IntervalMethods?.list(this.controls.statistic)[0]?.name;
+            }
+            const methodSelect = this.element.querySelector('#interval-method-select');
+            if (methodSelect) methodSelect.innerHTML = this.renderMethodOptions();
+        }
+
+        renderMethodOptions() {
+            return (global.IntervalMethods?.list(this.controls.statistic) || [])
+                .map(m => `<option value="${m.name}"${m.name === this.controls.intervalMethod ? ' selected' : ''}>${m.label}</option>`)
+                .join('');
+        }
+
+        attachEventListeners() {
+            super.attachEventListeners();
+
+            // Each statistic has its own methods; registered before any app
+            // listener so the method is current when statisticChange reaches it
+            const methodSelect = this.element.querySelector('#interval-method-select');
+            this.on('statisticChange', (statistic) => {
+                this.controls.intervalMethod = global.IntervalMethods.list(statistic)[0].name;
+                methodSelect.innerHTML = this.renderMethodOptions();
+            });
+
+            methodSelect?.addEventListener('change', (e) => {
+                this.controls.intervalMethod = e.target.value;
+                this.emit('intervalMethodChange', e.target.value);
+            });
+        }
+    }
+
     // ============ Action Bar Component ============
     class ActionBar extends UIComponent {
         constructor(container, options = {}) {
@@ -364,8 +1086,19 @@
                     <div class="action-group">
                         <button id="repeat-10-btn" class="secondary-button">×10</button>
                         <button id="repeat-1000-btn" class="secondary-button">×1000</button>
+                        <button id="repeat-100000-btn" class="secondary-button">×100k</button>
                         <button id="reset-btn" class="outline-button">Reset</button>
                     </div>
+                    
+                    <div id="bulk-progress" class="bulk-progress" style="display: none;">
+                        <div class="bulk-progress-track">
+                            <div id="bulk-progress-fill" class="bulk-progress-fill"></div>
+                        </div>
+                        <div class="bulk-progress-row">
+                            <span id="bulk-progress-label">0%</span>
+                            <button id="cancel-bulk-btn" class="outline-button">Cancel</button>
+                        </div>
+                    </div>
                 </div>
             `;
 
@@ -452,6 +1185,34 @@
                     background: #F9FAFB;
                     border-color: #9CA3AF;
                 }
+                
+                .bulk-progress-track {
+                    height: 8px;
+                    border-radius: 4px;
+                    background: #E5E7EB;
+                    overflow: hidden;
+                }
+                
+                .bulk-progress-fill {
+                    height: 100%;
+                    width: 0;
+                    background: #15616D;
+                    transition: width 0.1s linear;
+                }
+                
+                .bulk-progress-row {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 0.5rem;
+                    margin-top: 0.25rem;
+                    font-size: 0.875rem;
+                    color: #475569;
+                }
+                
+                .bulk-progress-row .outline-button {
+                    flex: 0;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -474,6 +1235,14 @@
                 this.emit('repeat', 1000);
             });
 
+            this.element.querySelector('#repeat-100000-btn')?.addEventListener('click', () => {
+                this.emit('repeat', 100000);
+            });
+
+            this.element.querySelector('#cancel-bulk-btn')?.addEventListener('click', () => {
+                this.emit('cancelBulk');
+            });
+
             resetBtn?.addEventListener('click', () => {
                 this.emit('reset');
             });
@@ -492,6 +1261,24 @@
                 btn.disabled = !enabled;
             }
         }
+
+        // Progress of a worker-backed bulk run; pass null to hide the bar
+        updateBulkProgress(done, total) {
+            const progress = this.element.querySelector('#bulk-progress');
+            if (!progress) return;
+
+            const running = done !== null && total > 0;
+            progress.style.display = running ? 'block' : 'none';
+            ['draw-sample', 'repeat-10', 'repeat-1000', 'repeat-100000'].forEach(button => {
+                this.setButtonState(button, !running);
+            });
+            if (!running) return;
+
+            const percent = Math.round(done / total * 100);
+            this.element.querySelector('#bulk-progress-fill').style.width = `${percent}%`;
+            this.element.querySelector('#bulk-progress-label').textContent =
+                `${done.toLocaleString()} / ${total.toLocaleString()} (${percent}%)`;
+        }
     }
 
     // ============ Responsive Layout Manager ============
@@ -677,9 +1464,13 @@
     }
 
     // ============ Keyboard Shortcuts Manager ============
+    // Space/R/E/1/2 work anywhere on the page. The population cursor keys
+    // (arrows, Home/End, PageUp/PageDown) only act while `cursorTarget` has
+    // focus, so they still scroll the page elsewhere; Shift moves or paints ×5.
     class KeyboardShortcuts {
-        constructor(callbacks = {}) {
+        constructor(callbacks = {}, cursorTarget = null) {
             this.callbacks = callbacks;
+            this.cursorTarget = cursorTarget;
             this.setupEventListeners();
         }
 
@@ -687,6 +1478,7 @@
             document.addEventListener('keydown', (e) => {
                 // Ignore if typing in input fields
                 if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+                if (this.handleCursorKey(e)) return;
                 
                 switch (e.key) {
                     case ' ':
@@ -712,12 +1504,50 @@
                 }
             });
         }
+
+        handleCursorKey(e) {
+            if (!this.cursorTarget || e.target !== this.cursorTarget) return false;
+            if (e.ctrlKey || e.metaKey || e.altKey) return false;
+            const step = e.shiftKey ? 5 : 1;
+            
+            switch (e.key) {
+                case 'ArrowLeft':
+                    this.callbacks.moveCursor?.(-step);
+                    break;
+                case 'ArrowRight':
+                    this.callbacks.moveCursor?.(step);
+                    break;
+                case 'Home':
+                    this.callbacks.jumpCursor?.('start');
+                    break;
+                case 'End':
+                    this.callbacks.jumpCursor?.('end');
+                    break;
+                case 'ArrowUp':
+                    this.callbacks.paintCursor?.(step);
+                    break;
+                case 'ArrowDown':
+                    this.callbacks.paintCursor?.(-step);
+                    break;
+                case 'PageUp':
+                    this.callbacks.switchCursorGroup?.(-1);
+                    break;
+                case 'PageDown':
+                    this.callbacks.switchCursorGroup?.(1);
+                    break;
+                default:
+                    return false;
+            }
+            e.preventDefault();
+            return true;
+        }
     }
 
     // Export to global scope
     global.UIComponents = {
         UIComponent,
         ControlPanel,
+        IntervalControlPanel,
         ActionBar,
         ResponsiveLayout,
         KeyboardShortcuts
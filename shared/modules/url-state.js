@@ -0,0 +1,129 @@
+// URL State Module - Applet configuration in the location hash
+// Lets a link (or an embedding iframe's src) open an applet pre-configured:
+//   #dist=bimodal&params=mu1:0.3,mu2:0.8&stat=proportion&thr=0.6&n=50&seed=7&speed=fast&pop=0~12.3.5~4
+// Only keys that are present are applied; unknown or malformed values are dropped.
+
+(function(global) {
+    'use strict';
+
+    // ============ Population Compression ============
+    // Column counts as base-36 run-lengths: "value" or "value~runLength",
+    // joined by "." (all characters are unreserved in URLs)
+    function encodePopulation(counts) {
+        const tokens = [];
+        for (let c = 0; c < counts.length;) {
+            let run = 1;
+            while (c + run < counts.length && counts[c + run] === counts[c]) run++;
+            tokens.push(run > 1 ? `${counts[c].toString(36)}~${run.toString(36)}` : counts[c].toString(36));
+            c += run;
+        }
+        return tokens.join('.');
+    }
+
+    // Returns null unless the string expands to exactly `cols` counts
+    function decodePopulation(text, cols) {
+        const counts = [];
+        for (const token of String(text).split('.')) {
+            const match = /^([0-9a-z]+)(?:~([0-9a-z]+))?$/.exec(token);
+            if (!match) return null;
+            const value = parseInt(match[1], 36);
+            const run = match[2] ? parseInt(match[2], 36) : 1;
+            if (value > 10000 || counts.length + run > cols) return null;
+            for (let i = 0; i < run; i++) counts.push(value);
+        }
+        return counts.length === cols ? counts : null;
+    }
+
+    // ============ Hash Encoding ============
+    const finite = (text) => {
+        const value = parseFloat(text);
+        return isFinite(value) ? value : undefined;
+    };
+
+    // Hash key → [state key, parse, format]
+    const FIELDS = [
+        ['dist', 'distribution', String, String],
+        ['params', 'generatorParams', parseParams, formatParams],
+        ['stat', 'statistic', String, String],
+        ['thr', 'threshold', finite, String],
+        ['q', 'quantileLevel', finite, String],
+        ['n', 'sampleSize', (text) => Number.isInteger(finite(text)) ? finite(text) : undefined, String],
+        ['seed', 'seed', (text) => Number.isInteger(finite(text)) ? finite(text) : undefined, String],
+        ['speed', 'speed', (text) => (text === 'normal' || text === 'fast') ? text : undefined, String],
+        ['pop', 'population', String, encodePopulation]
+    ];
+
+    function parseParams(text) {
+        const params = {};
+        String(text).split(',').forEach(pair => {
+            const [key, value] = pair.split(':');
+            if (key && finite(value) !== undefined) params[key] = finite(value);
+        });
+        return params;
+    }
+
+    function formatParams(params) {
+        return Object.entries(params)
+            .map(([key, value]) => `${key}:${Number.isInteger(value) ? value : Number(value.toFixed(4))}`)
+            .join(',');
+    }
+
+    const UrlState = {
+        encodePopulation,
+        decodePopulation,
+
+        /**
+         * Read applet state from a hash string. The population stays encoded
+         * (decode it with decodePopulation once the column count is known).
+         * @param {string} [hash]
+         * @returns {{distribution?: string, generatorParams?: object, statistic?: string,
+         *            threshold?: number, quantileLevel?: number, sampleSize?: number,
+         *            seed?: number, speed?: string, population?: string}}
+         */
+        parse(hash = global.location?.hash || '') {
+            const search = new URLSearchParams(hash.replace(/^#/, ''));
+            const state = {};
+            FIELDS.forEach(([param, key, parse]) => {
+                if (!search.has(param)) return;
+                const value = parse(search.get(param));
+                if (value !== undefined) state[key] = value;
+            });
+            return state;
+        },
+
+        stringify(state) {
+            const search = new URLSearchParams();
+            FIELDS.forEach(([param, key, , format]) => {
+                if (state[key] !== undefined && state[key] !== null) search.set(param, format(state[key]));
+            });
+            // Keep parameter lists and run-lengths readable
+            return '#' + search.toString().replace(/%3A/g, ':').replace(/%2C/g, ',').replace(/%7E/g, '~');
+        },
+
+        // Replace the hash without adding history entries (or firing hashchange)
+        write(state) {
+            const hash = this.stringify(state);
+            if (global.location?.hash === hash) return;
+            global.history?.replaceState(null, '', hash);
+        },
+
+        link(state) {
+            return global.location.href.replace(/#.*$/, '') + this.stringify(state);
+        },
+
+        // Resolves with the link; falls back to a prompt where the clipboard is blocked
+        copyLink(state) {
+            const url = this.link(state);
+            const clipboard = global.navigator?.clipboard;
+            const fallback = () => {
+                global.prompt('Copy this link:', url);
+                return url;
+            };
+            return clipboard ? clipboard.writeText(url).then(() => url, fallback) : Promise.resolve(fallback());
+        }
+    };
+
+    // Export to global scope
+    global.UrlState = UrlState;
+
+})(window || this);
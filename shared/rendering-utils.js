@@ -144,6 +144,39 @@
             }
         },
 
+        // Polyline counterpart of drawLineWithMasking for curves (density overlays):
+        // white casing wherever isCovered(x, y) says the curve crosses a block or
+        // particle, then the curve itself on top
+        drawCurveWithMasking: function(ctx, points, color, isCovered, lineWidth = 2) {
+            if (points.length < 2) return;
+            
+            ctx.save();
+            ctx.lineJoin = "round";
+            ctx.strokeStyle = "#FFFFFF";
+            ctx.lineWidth = lineWidth + 2;
+            ctx.beginPath();
+            let open = false;
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1], b = points[i];
+                if (isCovered(a.x, a.y) || isCovered(b.x, b.y)) {
+                    if (!open) ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    open = true;
+                } else {
+                    open = false;
+                }
+            }
+            ctx.stroke();
+            
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+            ctx.stroke();
+            ctx.restore();
+        },
+
         getParticleMaskedSegments: function(ctx, engine, lineX) {
             const segments = { mid: [], bot: [] };
             const tolerance = engine.BOX / 2;
@@ -228,10 +261,7 @@
             const yMid = engine.marginY + engine.H_TOP;
             
             // Get parameter symbol
-            let paramSymbol = "μ";
-            if (engine.statistic === "median") paramSymbol = "μ̃";
-            else if (engine.statistic === "sd") paramSymbol = "σ";
-            else if (engine.statistic === "proportion") paramSymbol = "π";
+            const paramSymbol = StatisticRegistry.resolve(engine.statistic, "parameterShortLabel", engine);
             
             // Smart label positioning
             const labelPosition = this.getSmartLabelPosition(engine, line, 'parameter');
@@ -247,10 +277,7 @@
             const yMid = engine.marginY + engine.H_TOP;
             
             // Get sample statistic symbol
-            let statSymbol = "x̄";
-            if (engine.statistic === "median") statSymbol = "med";
-            else if (engine.statistic === "sd") statSymbol = "s";
-            else if (engine.statistic === "proportion") statSymbol = "p̂";
+            const statSymbol = StatisticRegistry.resolve(engine.statistic, "shortLabel", engine);
             
             // Smart label positioning
             const labelPosition = this.getSmartLabelPosition(engine, line, 'sample');
@@ -266,10 +293,7 @@
             const yBot = engine.marginY + engine.H_TOP + engine.H_MID;
             
             // Get sampling distribution mean symbol
-            let samplingSymbol = "E[x̄]";
-            if (engine.statistic === "median") samplingSymbol = "E[med]";
-            else if (engine.statistic === "sd") samplingSymbol = "E[s]";
-            else if (engine.statistic === "proportion") samplingSymbol = "E[p̂]";
+            const samplingSymbol = `E[${StatisticRegistry.resolve(engine.statistic, "shortLabel", engine)}]`;
             
             // Smart label positioning
             const labelPosition = this.getSmartLabelPosition(engine, line, 'sampling');